@@ -0,0 +1,288 @@
+//// Core modules
+const http = require('http');
+const https = require('https');
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./errors').InfobipValidationError;
+const hooks = require('./hooks');
+const trimError = require('./helpers').trimError;
+const createLogger = require('./logger').createLogger;
+const Sandbox = require('./sandbox').Sandbox;
+const sandboxFromEnv = require('./sandbox').fromEnv;
+const Auth = require('./service/Auth');
+const NumberLookup = require('./service/NumberLookup');
+const OAuth = require('./service/OAuth');
+const Settings = require('./service/Settings');
+const SMS = require('./service/SMS');
+const TwoFA = require('./service/TwoFA');
+
+/**
+ * Config keys that pick the authorization method, see createAuth()
+ *
+ * @private
+ */
+const CREDENTIALS = ['auth', 'clientId', 'apiKey', 'token', 'username']
+
+/**
+ * All services sharing one configuration and one HTTP agent. Create it with infobip.createClient().
+ *
+ * @example
+ * let client = infobip.createClient({
+ *     baseUrl: 'https://xxxxx.api.infobip.com',
+ *     apiKey: 'public-api-key',
+ *     defaultFrom: 'CompanyA',
+ *     timeout: 10000
+ * })
+ *
+ * console.log(await client.status())
+ * console.log(await client.sms.single('41793026727', 'Test sms.'))
+ * console.log(await client.twoFA.getApps())
+ * console.log(await client.settings.getApiKeys())
+ */
+class Client {
+    /**
+     * Instantiate Client class
+     *
+     * @param {Object} config See createClient().
+     * @throws {InfobipValidationError}
+     */
+    constructor(config) {
+        this.config = config
+        this.auth = createAuth(config)
+        if (config.logger) {
+            this.use(createLogger((config.logger === true) ? {} : config.logger))
+        }
+        if (config.hooks) {
+            this.use(config.hooks)
+        }
+        this.sandbox = createSandbox(config.sandbox)
+        if (this.sandbox) {
+            this.auth.setSandbox(this.sandbox)
+        }
+        this.httpAgent = new http.Agent({ keepAlive: true })
+        this.httpsAgent = new https.Agent({ keepAlive: true })
+
+        let httpOptions = {
+            timeout: config.timeout,
+            httpAgent: this.httpAgent,
+            httpsAgent: this.httpsAgent
+        }
+        // Services call auth.axios(contentType), pass the shared settings along
+        let shared = {
+            axios: (contentType) => {
+                return this.auth.axios(contentType, httpOptions)
+            }
+        }
+
+        this.sms = new SMS(config.defaultFrom, config.baseUrl, 1, config.contentType)
+        this.twoFA = new TwoFA(config.baseUrl, 2, config.contentType)
+        this.settings = new Settings(config.accountKey, config.baseUrl, 1, config.contentType)
+        this.numberLookup = new NumberLookup(config.baseUrl, 1, config.contentType)
+
+        let services = [this.sms, this.twoFA, this.settings, this.numberLookup]
+        services.forEach((service) => {
+            service.authorize(shared)
+            if (service.setNumberFormat && (config.defaultCountry || config.strictNumbers)) {
+                service.setNumberFormat(config.defaultCountry, !!config.strictNumbers)
+            }
+        })
+        this.axios = shared.axios(config.contentType)
+    }
+
+    /**
+     * Checking the service status
+     *
+     * @returns {string|Object} Response data
+     */
+    async status() {
+        try {
+            let response = await this.axios.get(`${this.config.baseUrl}/status`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Add hooks called on every API call of all services. See Auth.use().
+     *
+     * @param {Object} added Object with onRequest, onResponse and/or onError functions.
+     * @throws {InfobipValidationError}
+     *
+     * @example
+     * client.use({
+     *     onRequest: (request) => {
+     *         request.headers['X-Correlation-Id'] = correlationId()
+     *     }
+     * })
+     */
+    use(added) {
+        this.auth.use(added)
+    }
+
+    /**
+     * Close the idle connections kept alive by the shared HTTP agent
+     */
+    close() {
+        this.httpAgent.destroy()
+        this.httpsAgent.destroy()
+    }
+}
+
+/**
+ * Create a client. Settings not passed in config are read from environment variables.
+ * Credentials are read from the environment only if config has none, so an apiKey passed in config is used even if INFOBIP_CLIENT_ID is set.
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ *
+ * // Uses INFOBIP_BASE_URL, INFOBIP_API_KEY, etc.
+ * let client = infobip.createClient()
+ *
+ * // Basic authorization, return XML
+ * let client = infobip.createClient({ username: 'username', password: 'pass', contentType: 'xml' })
+ *
+ * // Record messages in client.sandbox.outbox instead of sending them, except to one test number
+ * let client = infobip.createClient({ sandbox: ['41793026700'] })
+ *
+ * @param {Object} config Optional. baseUrl (INFOBIP_BASE_URL), auth (instance of Auth), apiKey (INFOBIP_API_KEY), username and password (INFOBIP_USERNAME, INFOBIP_PASSWORD),
+ * token (INFOBIP_TOKEN, an IBSSO token), clientId and clientSecret (INFOBIP_CLIENT_ID, INFOBIP_CLIENT_SECRET, OAuth 2.0), defaultFrom (INFOBIP_SENDER), accountKey (INFOBIP_ACCOUNT_KEY), timeout in milliseconds (INFOBIP_TIMEOUT),
+ * contentType ("json" or "xml"), defaultCountry and strictNumbers (see SMS.setNumberFormat()), retry (see Auth.setRetryPolicy()),
+ * logger (true, or the options of logger.createLogger()), hooks (see Auth.use()) and sandbox (INFOBIP_SANDBOX, true, an allowlist of numbers,
+ * or an instance of sandbox.Sandbox. See Auth.setSandbox(). INFOBIP_SANDBOX_ALLOWLIST is a comma separated allowlist, and INFOBIP_SANDBOX wins over sandbox: false).
+ * The sandbox, retry policy and hooks are set on a wrapper of the auth passed in config, not on the instance itself.
+ * @param {Object} env Environment variables. Defaults to process.env.
+ *
+ * @returns {Client}
+ * @throws {InfobipValidationError}
+ */
+function createClient(config = {}, env = process.env) {
+    config = removeUndefined(config)
+    let credentials = {}
+    if (!CREDENTIALS.some((key) => config[key])) {
+        credentials = {
+            apiKey: env.INFOBIP_API_KEY,
+            username: env.INFOBIP_USERNAME,
+            password: env.INFOBIP_PASSWORD,
+            token: env.INFOBIP_TOKEN,
+            clientId: env.INFOBIP_CLIENT_ID,
+            clientSecret: env.INFOBIP_CLIENT_SECRET
+        }
+    }
+    let merged = Object.assign({
+        baseUrl: env.INFOBIP_BASE_URL || 'https://api.infobip.com',
+        defaultFrom: env.INFOBIP_SENDER || 'INFO',
+        accountKey: env.INFOBIP_ACCOUNT_KEY || '_',
+        timeout: env.INFOBIP_TIMEOUT ? parseInt(env.INFOBIP_TIMEOUT, 10) : 0,
+        contentType: 'json'
+    }, credentials, config)
+    // INFOBIP_SANDBOX wins over sandbox: false, so a test environment can't send for real
+    if (!merged.sandbox) {
+        merged.sandbox = sandboxFromEnv(env)
+    }
+    if (merged.baseUrl.endsWith('/')) {
+        merged.baseUrl = merged.baseUrl.slice(0, -1)
+    }
+    return new Client(merged)
+}
+
+/**
+ * Pick the Auth instance from the config
+ *
+ * @private
+ * @param {Object} config
+ * @returns {Auth}
+ * @throws {InfobipValidationError}
+ */
+function createAuth(config) {
+    let auth = null
+    if (config.auth) {
+        auth = wrapAuth(config.auth)
+    } else if (config.clientId) {
+        auth = new OAuth(config.clientId, config.clientSecret, config.baseUrl)
+    } else if (config.apiKey) {
+        auth = new Auth('App', config.apiKey)
+    } else if (config.token) {
+        auth = new Auth('IBSSO', config.token)
+    } else if (config.username) {
+        auth = new Auth('Basic', config.username, config.password)
+    } else {
+        throw new InfobipValidationError('Please provide auth, clientId and clientSecret, apiKey, token or username and password.')
+    }
+    if (config.retry !== undefined) {
+        auth.setRetryPolicy(config.retry)
+    }
+    return auth
+}
+
+/**
+ * Create the sandbox from the config
+ *
+ * @private
+ * @param {boolean|Array|Sandbox} sandbox
+ * @returns {Sandbox|null}
+ */
+function createSandbox(sandbox) {
+    if (!sandbox) {
+        return null
+    }
+    if (sandbox instanceof Sandbox) {
+        return sandbox
+    }
+    return new Sandbox(Array.isArray(sandbox) ? sandbox : [])
+}
+
+/**
+ * Wrap an Auth instance passed in the config, so the sandbox, retry policy and hooks the client sets stay off the caller's instance.
+ * Everything else, like credentials and fetched tokens, is shared with it. Hooks added to it later are not called by the client.
+ *
+ * @private
+ * @param {Auth} auth
+ * @returns {Auth}
+ */
+function wrapAuth(auth) {
+    let own = {
+        sandbox: auth.sandbox,
+        retryPolicy: auth.retryPolicy,
+        hooks: hooks.create()
+    }
+    Object.keys(own.hooks).forEach((name) => {
+        own.hooks[name] = auth.hooks[name].slice()
+    })
+    return new Proxy(auth, {
+        get: (target, key, receiver) => {
+            return Object.prototype.hasOwnProperty.call(own, key) ? own[key] : Reflect.get(target, key, receiver)
+        },
+        set: (target, key, value) => {
+            if (Object.prototype.hasOwnProperty.call(own, key)) {
+                own[key] = value
+            } else {
+                target[key] = value
+            }
+            return true
+        }
+    })
+}
+
+/**
+ * Copy an object without its undefined values
+ *
+ * @private
+ * @param {Object} object
+ * @returns {Object}
+ */
+function removeUndefined(object) {
+    let copy = {}
+    Object.keys(object).forEach((key) => {
+        if (object[key] !== undefined) {
+            copy[key] = object[key]
+        }
+    })
+    return copy
+}
+
+createClient.Client = Client
+
+module.exports = createClient
@@ -0,0 +1,109 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * GSM 03.38 basic character set. Each character takes one septet.
+ *
+ * @private
+ */
+const GSM_BASIC = new Set(Array.from(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+))
+
+/**
+ * GSM 03.38 extension table. Each character takes two septets (escape + character).
+ *
+ * @private
+ */
+const GSM_EXTENSION = new Set(Array.from('\f^{}\\[~]|€'))
+
+/**
+ * Segment sizes per encoding. Multipart messages lose room to the User Data Header.
+ *
+ * @private
+ */
+const LIMITS = {
+    'GSM-7': { single: 160, multi: 153 },
+    'UCS-2': { single: 70, multi: 67 }
+}
+
+/**
+ * Analyze the text of an SMS
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.encoding.analyze('Hello — world'))
+ * // {
+ * //   encoding: 'UCS-2',
+ * //   characters: 13,
+ * //   units: 13,
+ * //   segments: 1,
+ * //   perSegment: 70,
+ * //   remaining: 57,
+ * //   unicodeCharacters: ['—']
+ * // }
+ *
+ * @param {string} text Text of the message.
+ *
+ * @returns {Object} Object with encoding ("GSM-7" or "UCS-2"), characters (number of characters), units (septets for GSM-7, 16-bit code units for UCS-2), segments (number of SMS billed), perSegment (capacity of each segment), remaining (units left in the last segment) and unicodeCharacters (unique characters that forced UCS-2).
+ */
+function analyze(text = '') {
+    let chars = Array.from(String(text))
+    let unicodeCharacters = chars.filter((char, index) => {
+        return !GSM_BASIC.has(char) && !GSM_EXTENSION.has(char) && chars.indexOf(char) === index
+    })
+    let encoding = (unicodeCharacters.length > 0) ? 'UCS-2' : 'GSM-7'
+
+    // Size of each character in the encoding units
+    let sizes = chars.map((char) => {
+        if (encoding === 'GSM-7') {
+            return GSM_EXTENSION.has(char) ? 2 : 1
+        }
+        return char.length // Characters outside the BMP need a surrogate pair
+    })
+    let units = sizes.reduce((sum, size) => sum + size, 0)
+
+    let limit = LIMITS[encoding]
+    let perSegment = (units > limit.single) ? limit.multi : limit.single
+    let segments = 0
+    let used = perSegment
+    // A character never straddles two segments, so fill them one character at a time
+    sizes.forEach((size) => {
+        if (used + size > perSegment) {
+            segments += 1
+            used = 0
+        }
+        used += size
+    })
+
+    return {
+        encoding: encoding,
+        characters: chars.length,
+        units: units,
+        segments: segments,
+        perSegment: perSegment,
+        remaining: (segments > 0) ? perSegment - used : perSegment,
+        unicodeCharacters: unicodeCharacters
+    }
+}
+
+/**
+ * Check if a text can be sent using GSM-7 only
+ *
+ * @param {string} text Text of the message.
+ *
+ * @returns {boolean}
+ */
+function isGsm7(text = '') {
+    return analyze(text).encoding === 'GSM-7'
+}
+
+module.exports = {
+    analyze: analyze,
+    isGsm7: isGsm7
+}
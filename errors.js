@@ -0,0 +1,145 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Base class of all errors thrown by this module
+ *
+ * @example
+ * try {
+ *     await sms.single('41793026727', 'Test sms.')
+ * } catch (err) {
+ *     if (err instanceof infobip.errors.InfobipApiError && err.retryable) {
+ *         // Try again later
+ *     }
+ *     console.log(err.status, err.messageId, err.text, err.method, err.url)
+ * }
+ */
+class InfobipError extends Error {
+    /**
+     * Instantiate InfobipError class
+     *
+     * @param {string} message Human readable description.
+     * @param {Object} details Optional. status (HTTP status), messageId and text (from requestError.serviceException), method, url, retryable, data (response body) and cause (original error).
+     */
+    constructor(message, details = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = details.status || 0
+        this.messageId = details.messageId || ''
+        this.text = details.text || ''
+        this.method = details.method || ''
+        this.url = details.url || ''
+        this.retryable = !!details.retryable
+        this.data = (details.data !== undefined) ? details.data : null
+        this.cause = details.cause || null
+    }
+}
+
+/**
+ * The API responded with a non 2xx status
+ */
+class InfobipApiError extends InfobipError {}
+
+/**
+ * The request was sent but no response was received
+ */
+class InfobipNetworkError extends InfobipError {
+    /**
+     * Instantiate InfobipNetworkError class
+     *
+     * @param {string} message Human readable description.
+     * @param {Object} details See InfobipError. Also accepts code (eg. "ECONNRESET").
+     */
+    constructor(message, details = {}) {
+        super(message, Object.assign({ retryable: true }, details))
+        this.code = details.code || ''
+    }
+}
+
+/**
+ * Invalid arguments. Thrown before any request is sent.
+ */
+class InfobipValidationError extends InfobipError {
+    /**
+     * Instantiate InfobipValidationError class
+     *
+     * @param {string} message Human readable description.
+     * @param {Object} details See InfobipError. Also accepts errors (list of { path, message }).
+     */
+    constructor(message, details = {}) {
+        super(message, details)
+        this.errors = details.errors || []
+    }
+}
+
+/**
+ * Missing authorization, or the API rejected the credentials (HTTP 401 or 403)
+ */
+class InfobipAuthError extends InfobipError {}
+
+/**
+ * Convert an error of any kind into an InfobipError
+ *
+ * @private
+ * @param {*} error
+ * @returns {InfobipError}
+ */
+function toInfobipError(error) {
+    if (error instanceof InfobipError) {
+        return error
+    }
+    if (!(error instanceof Error)) {
+        return new InfobipError('Unknown error.', {
+            data: error
+        })
+    }
+
+    let config = error.config || {}
+    let request = {
+        method: (config.method || '').toUpperCase(),
+        url: config.url || '',
+        cause: error
+    }
+
+    if (error.response) { // This is axios
+        // The request was made and the server responded with a status code
+        // that falls out of the range of 2xx
+        let status = error.response.status
+        let data = error.response.data
+        let exception = (data && data.requestError && data.requestError.serviceException) || {}
+        let details = Object.assign({}, request, {
+            status: status,
+            messageId: exception.messageId,
+            text: exception.text,
+            retryable: status === 429 || status >= 500,
+            data: data
+        })
+        let message = exception.text || `Request failed with status code ${status}.`
+        if (status === 401 || status === 403) {
+            return new InfobipAuthError(message, details)
+        }
+        return new InfobipApiError(message, details)
+    }
+    if (error.request) { // This is axios
+        // The request was made but no response was received
+        return new InfobipNetworkError(error.message || 'No response received.', Object.assign({}, request, {
+            code: error.code
+        }))
+    }
+    return new InfobipError(error.message, {
+        cause: error
+    })
+}
+
+module.exports = {
+    InfobipError: InfobipError,
+    InfobipApiError: InfobipApiError,
+    InfobipNetworkError: InfobipNetworkError,
+    InfobipValidationError: InfobipValidationError,
+    InfobipAuthError: InfobipAuthError,
+    toInfobipError: toInfobipError
+}
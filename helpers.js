@@ -1,10 +1,13 @@
 //// Core modules
+const crypto = require('crypto');
 
 //// External modules
 const axios = require('axios');
 
 //// Modules
-
+const InfobipValidationError = require('./errors').InfobipValidationError;
+const toInfobipError = require('./errors').toInfobipError;
+const phone = require('./phone');
 
 /**
  * Authorize API calls
@@ -18,8 +21,8 @@ const axios = require('axios');
  * @throws {Error}
  */
 function authorize(authType, tokenKeyOrUsername, password = '', contentType = 'json') {
-    if (!['App', 'Basic', 'IBSSO'].includes(authType)) {
-        throw new Error('Invalid authorization type.')
+    if (!['App', 'Basic', 'IBSSO', 'Bearer'].includes(authType)) {
+        throw new InfobipValidationError('Invalid authorization type.')
     }
     if (authType === 'Basic') {
         tokenKeyOrUsername = Buffer.from(`${tokenKeyOrUsername}:${password}`).toString('base64')
@@ -38,37 +41,159 @@ function authorize(authType, tokenKeyOrUsername, password = '', contentType = 'j
 }
 
 /**
- * Axios returns a lengthy error message. Trim it down to just the result data.
+ * Axios returns a lengthy error. Convert it, and any other error, into an InfobipError with just the useful details.
  * 
  * @private
  * @param {*} error 
- * @returns {*} 
+ * @returns {InfobipError} 
  */
 function trimError(error) {
-    let errorValue = error;
-    if (error instanceof Error) {
-        if (error.response) { // This is axios
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            if (error.response.data) {
-                errorValue = error.response.data
-            } else {
-                errorValue = error.response
-            }
-        } else if (error.request) { // This is axios
-            // The request was made but no response was received
-            // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
-            // http.ClientRequest in node.js
-            errorValue = error.request
-        } else { // Regular error
-            errorValue = error;
+    return toInfobipError(error)
+}
+
+/**
+ * Build a query string from an object. Skips empty values and formats dates the way Infobip expects them.
+ * 
+ * @private
+ * @param {Object} params 
+ * @returns {string} Query string including the leading "?", or an empty string
+ */
+function buildQuery(params) {
+    let pairs = []
+    Object.keys(params).forEach((key) => {
+        let value = params[key]
+        if (value === undefined || value === null || value === '') {
+            return
+        }
+        if (value instanceof Date) {
+            value = formatDate(value)
         }
+        if (Array.isArray(value)) {
+            value = value.join(',')
+        }
+        pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    })
+    if (pairs.length <= 0) {
+        return ''
     }
+    return `?${pairs.join('&')}`
+}
 
-    return errorValue
+/**
+ * Format a date as yyyy-MM-ddTHH:mm:ss.SSS+0000
+ * 
+ * @private
+ * @param {Date} date 
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date.toISOString().replace('Z', '+0000')
+}
+
+/**
+ * Normalize one or more destination numbers
+ * 
+ * @private
+ * @param {string|Array} to 
+ * @param {Object} numberFormat Object with defaultCountry and strict. See phone.normalize().
+ * @returns {string|Array} 
+ * @throws {Error}
+ */
+function normalizeTo(to, numberFormat) {
+    if (Array.isArray(to)) {
+        return to.map((number) => {
+            return phone.normalize(number, numberFormat.defaultCountry, numberFormat.strict)
+        })
+    }
+    return phone.normalize(to, numberFormat.defaultCountry, numberFormat.strict)
+}
+
+/**
+ * Read and parse the JSON body of an incoming request. Uses the already parsed body if a middleware (eg. express.json()) ran before.
+ * 
+ * @private
+ * @param {http.IncomingMessage} req 
+ * @param {number} limit Maximum body size in bytes.
+ * @returns {Promise<Object>} 
+ * @throws {Error}
+ */
+function readBody(req, limit = 1048576) {
+    if (req.body !== undefined && req.body !== null) {
+        if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+            return Promise.resolve(JSON.parse(req.body.toString()))
+        }
+        return Promise.resolve(req.body)
+    }
+    return new Promise((resolve, reject) => {
+        let chunks = []
+        let size = 0
+        req.on('data', (chunk) => {
+            size += chunk.length
+            if (size > limit) {
+                reject(new Error('Request body too large.'))
+                req.destroy()
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString() || '{}'))
+            } catch (err) {
+                reject(err)
+            }
+        })
+        req.on('error', reject)
+    })
+}
+
+/**
+ * Copy the fields of an object that are set
+ * 
+ * @private
+ * @param {Object} object 
+ * @param {Array} keys 
+ * @returns {Object}
+ */
+function pick(object, keys) {
+    let picked = {}
+    keys.forEach((key) => {
+        if (object[key] !== undefined) {
+            picked[key] = object[key]
+        }
+    })
+    return picked
+}
+
+/**
+ * Random whole number from 0 to max - 1. Works like crypto.randomInt(max), which Node 10 does not have.
+ * 
+ * @private
+ * @param {number} max At most 2^32.
+ * @returns {number}
+ */
+function randomInt(max) {
+    return Math.floor(crypto.randomBytes(4).readUInt32BE(0) / 0x100000000 * max)
+}
+
+/**
+ * Random 32 character ID in the style of Infobip IDs
+ * 
+ * @private
+ * @returns {string}
+ */
+function randomId() {
+    return crypto.randomBytes(16).toString('hex').toUpperCase()
 }
 
 module.exports = {
     authorize: authorize,
+    buildQuery: buildQuery,
+    formatDate: formatDate,
+    normalizeTo: normalizeTo,
+    pick: pick,
+    randomId: randomId,
+    randomInt: randomInt,
+    readBody: readBody,
     trimError: trimError
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./errors').InfobipValidationError;
+const toInfobipError = require('./errors').toInfobipError;
+
+
+/**
+ * Names of the supported hooks
+ *
+ * @private
+ */
+const HOOKS = ['onRequest', 'onResponse', 'onError']
+
+/**
+ * Create an empty set of hooks
+ *
+ * @private
+ * @returns {Object} Object with a list of functions for each hook
+ */
+function create() {
+    let hooks = {}
+    HOOKS.forEach((name) => {
+        hooks[name] = []
+    })
+    return hooks
+}
+
+/**
+ * Add hook functions to a set of hooks
+ *
+ * @private
+ * @param {Object} hooks Set of hooks from create().
+ * @param {Object} added Object with onRequest, onResponse and/or onError functions.
+ * @throws {InfobipValidationError}
+ */
+function add(hooks, added) {
+    HOOKS.forEach((name) => {
+        if (added[name] === undefined) {
+            return
+        }
+        if (typeof added[name] !== 'function') {
+            throw new InfobipValidationError(`Hook ${name} must be a function.`)
+        }
+        hooks[name].push(added[name])
+    })
+}
+
+/**
+ * Call the hooks of an axios instance on every attempt of every request.
+ *
+ * The request interceptor is added first so that it runs last, after the Authorization header is set.
+ * The response interceptor is added first so that it sees each attempt once, before retries and token renewal.
+ *
+ * @private
+ * @param {Object} instance Instance of axios
+ * @param {Function} getHooks Returns the set of hooks to call.
+ * @returns {Object} The same instance
+ */
+function attach(instance, getHooks) {
+    instance.interceptors.request.use(async (config) => {
+        config.startedAt = Date.now()
+        for (let fn of getHooks().onRequest) {
+            await fn(describe(config))
+        }
+        return config
+    })
+    instance.interceptors.response.use(async (response) => {
+        for (let fn of getHooks().onResponse) {
+            await fn(response, describe(response.config, response))
+        }
+        return response
+    }, async (error) => {
+        let fns = getHooks().onError
+        if (fns.length > 0 && error && error.config) {
+            let err = toInfobipError(error)
+            for (let fn of fns) {
+                await fn(err, describe(error.config, error.response))
+            }
+        }
+        throw error
+    })
+    return instance
+}
+
+/**
+ * Describe a request for the hooks
+ *
+ * @private
+ * @param {Object} config Axios request config
+ * @param {Object} response Axios response, if any
+ * @returns {Object}
+ */
+function describe(config, response) {
+    let url = config.url || ''
+    let request = {
+        method: (config.method || 'get').toUpperCase(),
+        url: url,
+        endpoint: url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0],
+        headers: config.headers,
+        data: config.data,
+        attempt: config.retryAttempt || 1,
+        config: config
+    }
+    if (response !== undefined) {
+        request.status = response ? response.status : 0
+        request.duration = Date.now() - (config.startedAt || Date.now())
+    }
+    return request
+}
+
+module.exports = {
+    add: add,
+    attach: attach,
+    create: create
+}
@@ -0,0 +1,1034 @@
+// Type definitions for node-infobip
+// Keep in sync with the JS sources, test/types.test.js compiles this file with tsc and checks that every export and public method is declared.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { IncomingMessage, ServerResponse, Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
+
+//// Common
+
+/** The type of data the API returns */
+export type ContentType = 'json' | 'xml';
+
+/** API version. Overridable per call, "" uses the instance version. */
+export type Version = number | '';
+
+/** Prefix of the Authorization header */
+export type AuthType = 'App' | 'Basic' | 'IBSSO' | 'Bearer';
+
+/** Response of status() */
+export interface StatusResponse {
+    status: string;
+}
+
+//// Auth
+
+export interface RetryPolicy {
+    /** Total tries including the first one */
+    maxAttempts: number;
+    /** Milliseconds, doubled on every retry */
+    baseDelay: number;
+    /** Milliseconds. Also the longest Retry-After that is waited for. */
+    maxDelay: number;
+    jitter: boolean;
+    respectRetryAfter: boolean;
+    statusCodes: number[];
+    networkErrors: string[];
+    /** Methods retried by default */
+    methods: string[];
+    /** Also retry POST requests */
+    retryUnsafe: boolean;
+}
+
+/** Request passed to the hooks */
+export interface HookRequest {
+    method: string;
+    url: string;
+    /** Path without host and query string, eg. "/sms/2/text/single" */
+    endpoint: string;
+    /** Headers sent. Changes made in onRequest are sent too. */
+    headers: { [name: string]: any };
+    data: any;
+    /** Starts from 1, increases on retries */
+    attempt: number;
+    config: AxiosRequestConfig;
+    /** Set after the attempt. 0 if no response was received. */
+    status?: number;
+    /** Milliseconds, set after the attempt */
+    duration?: number;
+}
+
+export interface Hooks {
+    onRequest?: (request: HookRequest) => void | Promise<void>;
+    onResponse?: (response: AxiosResponse, request: HookRequest) => void | Promise<void>;
+    onError?: (err: errors.InfobipError, request: HookRequest) => void | Promise<void>;
+}
+
+/** Optional axios settings passed by the client to Auth.axios() */
+export interface AxiosOptions {
+    timeout?: number;
+    httpAgent?: HttpAgent;
+    httpsAgent?: HttpsAgent;
+}
+
+/** Anything with an axios() method, usually an Auth */
+export interface Authorizer {
+    axios(contentType?: ContentType, options?: AxiosOptions): AxiosInstance;
+}
+
+export class Auth implements Authorizer {
+    constructor(authType: AuthType, tokenKeyOrUsername: string, password?: string);
+    authType: AuthType;
+    tokenKeyOrUsername: string;
+    retryPolicy: RetryPolicy | false;
+    setRetryPolicy(policy: Partial<RetryPolicy> | false): void;
+    sandbox: sandbox.Sandbox | null;
+    setSandbox(sandbox: sandbox.Sandbox | false | null): void;
+    use(added: Hooks): void;
+    onRequest(fn: NonNullable<Hooks['onRequest']>): void;
+    onResponse(fn: NonNullable<Hooks['onResponse']>): void;
+    onError(fn: NonNullable<Hooks['onError']>): void;
+    axios(contentType?: ContentType, options?: AxiosOptions): AxiosInstance;
+}
+
+/** Base class of authorizations that fetch their own expiring token */
+declare class TokenAuth extends Auth {
+    constructor(authType: 'IBSSO' | 'Bearer');
+    /** Milliseconds since epoch */
+    expiresAt: number;
+    token(): Promise<string>;
+    touch(): void;
+    login(): Promise<string>;
+}
+
+export class SessionAuth extends TokenAuth {
+    constructor(username: string, password: string, baseUrl?: string, sessionTimeout?: number);
+    username: string;
+    password: string;
+    baseUrl: string;
+    sessionTimeout: number;
+    logout(): Promise<void>;
+}
+
+export class OAuth extends TokenAuth {
+    constructor(clientId: string, clientSecret: string, baseUrl?: string, refreshMargin?: number);
+    clientId: string;
+    clientSecret: string;
+    baseUrl: string;
+    refreshMargin: number;
+}
+
+//// Client
+
+export interface ClientConfig {
+    baseUrl?: string;
+    auth?: Auth;
+    apiKey?: string;
+    username?: string;
+    password?: string;
+    /** IBSSO token */
+    token?: string;
+    clientId?: string;
+    clientSecret?: string;
+    defaultFrom?: string;
+    accountKey?: string;
+    /** Milliseconds */
+    timeout?: number;
+    contentType?: ContentType;
+    defaultCountry?: string;
+    strictNumbers?: boolean;
+    retry?: Partial<RetryPolicy> | false;
+    logger?: boolean | logger.LoggerOptions;
+    hooks?: Hooks;
+    /** true, an allowlist of numbers, or a Sandbox */
+    sandbox?: boolean | string[] | sandbox.Sandbox;
+}
+
+export function createClient(config?: ClientConfig, env?: { [name: string]: string | undefined }): createClient.Client;
+
+export namespace createClient {
+    export class Client {
+        constructor(config: ClientConfig);
+        config: ClientConfig;
+        auth: Auth;
+        sms: SMS;
+        twoFA: TwoFA;
+        settings: Settings;
+        numberLookup: NumberLookup;
+        sandbox: sandbox.Sandbox | null;
+        httpAgent: HttpAgent;
+        httpsAgent: HttpsAgent;
+        axios: AxiosInstance;
+        status(): Promise<StatusResponse>;
+        use(added: Hooks): void;
+        close(): void;
+    }
+}
+
+export type Client = createClient.Client;
+
+export function status(contentType?: ContentType, baseUrl?: string): Promise<StatusResponse | string>;
+
+//// SMS
+
+export type StatusGroup = 'ACCEPTED' | 'PENDING' | 'UNDELIVERABLE' | 'DELIVERED' | 'EXPIRED' | 'REJECTED';
+
+export interface MessageStatus {
+    groupId: number;
+    groupName: StatusGroup;
+    id: number;
+    name: string;
+    description: string;
+    action?: string;
+}
+
+export interface MessageError {
+    groupId: number;
+    groupName: string;
+    id: number;
+    name: string;
+    description: string;
+    permanent: boolean;
+}
+
+export interface Price {
+    pricePerMessage: number;
+    currency: string;
+}
+
+export type Transliteration = 'TURKISH' | 'GREEK' | 'CYRILLIC' | 'SERBIAN_CYRILLIC' | 'BULGARIAN_CYRILLIC' | 'CENTRAL_EUROPEAN' | 'BALTIC' | 'PORTUGUESE' | 'COLOMBIAN' | 'NON_UNICODE';
+
+export type LanguageCode = 'TR' | 'ES' | 'PT' | 'AUTODETECT';
+
+export interface SendOptions {
+    /** Allow retrying the send on failure */
+    retry?: boolean;
+    maxSegments?: number;
+    onExceed?: 'reject' | 'warn';
+    flash?: boolean;
+    transliteration?: Transliteration;
+    languageCode?: LanguageCode;
+}
+
+export interface Destination {
+    to: string;
+    messageId?: string;
+}
+
+export interface AdvancedMessage {
+    destinations: string | Destination | Array<string | Destination>;
+    from?: string;
+    text?: string;
+    notifyUrl?: string;
+    notifyContentType?: 'application/json' | 'application/xml';
+    callbackData?: string;
+    /** Minutes */
+    validityPeriod?: number;
+    sendAt?: Date | string;
+    flash?: boolean;
+    transliteration?: Transliteration;
+    languageCode?: LanguageCode;
+}
+
+export interface BinaryPayload {
+    hex: string;
+    dataCoding?: number;
+    esmClass?: number;
+}
+
+export interface BinaryOptions {
+    flash?: boolean;
+    bulkId?: string;
+    retry?: boolean;
+    notifyUrl?: string;
+    notifyContentType?: 'application/json' | 'application/xml';
+    callbackData?: string;
+    validityPeriod?: number;
+    sendAt?: Date | string;
+}
+
+export interface SentMessage {
+    to: string;
+    status: MessageStatus;
+    messageId: string;
+    smsCount: number;
+}
+
+export interface SendResponse {
+    bulkId?: string;
+    messages: SentMessage[];
+}
+
+export interface ReportFilters {
+    bulkId?: string;
+    messageId?: string;
+    limit?: number;
+}
+
+export interface LogFilters {
+    from?: string;
+    to?: string;
+    bulkId?: string | string[];
+    messageId?: string | string[];
+    status?: StatusGroup;
+    sentSince?: Date;
+    sentUntil?: Date;
+    limit?: number;
+}
+
+export interface SmsReport {
+    bulkId?: string;
+    messageId: string;
+    to: string;
+    sentAt: string;
+    doneAt: string;
+    smsCount: number;
+    mccMnc?: string;
+    callbackData?: string;
+    price: Price;
+    status: MessageStatus;
+    error: MessageError;
+}
+
+export interface SmsLog {
+    bulkId?: string;
+    messageId: string;
+    to: string;
+    from: string;
+    text: string;
+    sentAt: string;
+    doneAt: string;
+    smsCount: number;
+    mccMnc?: string;
+    price: Price;
+    status: MessageStatus;
+    error: MessageError;
+}
+
+export interface ReportsResponse {
+    results: SmsReport[];
+}
+
+export interface LogsResponse {
+    results: SmsLog[];
+}
+
+export type BulkStatus = 'PENDING' | 'PAUSED' | 'PROCESSING' | 'CANCELED' | 'FINISHED' | 'FAILED';
+
+export interface ScheduledBulk {
+    bulkId: string;
+    sendAt: string;
+}
+
+export interface ScheduledBulkStatus {
+    bulkId: string;
+    status: BulkStatus;
+}
+
+export interface InboxMessage {
+    messageId: string;
+    from: string;
+    to: string;
+    text: string;
+    cleanText: string;
+    keyword: string;
+    receivedAt: string;
+    smsCount: number;
+    price: Price;
+    callbackData: string | null;
+}
+
+export interface InboxResponse {
+    results: InboxMessage[];
+    messageCount: number;
+    pendingMessageCount: number;
+}
+
+export class SMS {
+    constructor(defaultFrom?: string, baseUrl?: string, version?: number, contentType?: ContentType);
+    baseUrl: string;
+    version: number;
+    defaultFrom: string;
+    contentType: ContentType;
+    axios: AxiosInstance | null;
+    segmentBudget: { maxSegments: number; onExceed: 'reject' | 'warn' };
+    numberFormat: { defaultCountry: string; strict: boolean };
+    authorize(auth: Authorizer): void;
+    setNumberFormat(defaultCountry?: string, strict?: boolean): void;
+    setSegmentBudget(maxSegments: number, onExceed?: 'reject' | 'warn'): void;
+    single(to: string | string[], text: string, from?: string, version?: Version, options?: SendOptions): Promise<SendResponse>;
+    advanced(messages: AdvancedMessage[], bulkId?: string, version?: Version, options?: SendOptions): Promise<SendResponse>;
+    binary(to: string | string[], binary: string | BinaryPayload, from?: string, version?: Version, options?: BinaryOptions): Promise<SendResponse>;
+    getReportByMessageId(messageId: string, version?: Version): Promise<ReportsResponse>;
+    getReports(filters?: ReportFilters, version?: Version): Promise<ReportsResponse>;
+    getLogs(filters?: LogFilters, version?: Version): Promise<LogsResponse>;
+    iterateReports(filters?: ReportFilters, version?: Version): AsyncGenerator<SmsReport, void, undefined>;
+    iterateLogs(filters?: LogFilters, version?: Version): AsyncGenerator<SmsLog, void, undefined>;
+    getScheduled(bulkId: string, version?: Version): Promise<ScheduledBulk>;
+    reschedule(bulkId: string, sendAt: Date | string, version?: Version): Promise<ScheduledBulk>;
+    getScheduledStatus(bulkId: string, version?: Version): Promise<ScheduledBulkStatus>;
+    updateScheduledStatus(bulkId: string, status: 'PAUSED' | 'PROCESSING' | 'CANCELED', version?: Version): Promise<ScheduledBulkStatus>;
+    cancelScheduled(bulkId: string, version?: Version): Promise<ScheduledBulkStatus>;
+    pauseScheduled(bulkId: string, version?: Version): Promise<ScheduledBulkStatus>;
+    resumeScheduled(bulkId: string, version?: Version): Promise<ScheduledBulkStatus>;
+    getInbox(limit?: number | '', version?: Version): Promise<InboxResponse>;
+    iterateInbox(limit?: number, version?: Version): AsyncGenerator<InboxMessage, void, undefined>;
+}
+
+//// BulkSender
+
+export interface BulkAccepted {
+    to: string;
+    messageId: string;
+    status: MessageStatus;
+}
+
+export interface BulkRejected {
+    to: string;
+    messageId: string;
+    status: MessageStatus | null;
+    reason: string;
+    /** Set if the request of the chunk failed */
+    error?: errors.InfobipError;
+}
+
+export interface BulkResult {
+    bulkIds: string[];
+    accepted: BulkAccepted[];
+    rejected: BulkRejected[];
+}
+
+export class BulkSender {
+    constructor(sms: SMS, chunkSize?: number, concurrency?: number, messagesPerSecond?: number);
+    sms: SMS;
+    chunkSize: number;
+    concurrency: number;
+    send(to: string[], text: string, from?: string, version?: Version, options?: SendOptions): Promise<BulkResult>;
+}
+
+//// Two-Factor Authentication
+
+export interface TwoFAConfiguration {
+    pinAttempts?: number;
+    allowMultiplePinVerifications?: boolean;
+    /** eg. "15m". Units: ms, s, m, h, d */
+    pinTimeToLive?: string;
+    /** eg. "1/3s" */
+    verifyPinLimit?: string;
+    /** eg. "10000/1d" */
+    sendPinPerApplicationLimit?: string;
+    /** eg. "3/1d" */
+    sendPinPerPhoneNumberLimit?: string;
+}
+
+export interface TwoFAAppParams {
+    name: string;
+    configuration?: TwoFAConfiguration;
+    enabled?: boolean;
+}
+
+export interface TwoFAApp {
+    applicationId: string;
+    name: string;
+    configuration: Required<TwoFAConfiguration>;
+    enabled: boolean;
+}
+
+export type PinType = 'NUMERIC' | 'ALPHA' | 'HEX' | 'ALPHANUMERIC';
+
+export interface MessageTemplateParams {
+    pinType: PinType;
+    /** Must contain the pinPlaceholder */
+    messageText: string;
+    pinPlaceholder?: string;
+    pinLength?: number;
+    senderId?: string;
+    language?: string;
+    repeatDTMF?: string;
+    speechRate?: number;
+}
+
+export interface MessageTemplate extends MessageTemplateParams {
+    messageId: string;
+    applicationId: string;
+}
+
+export interface SendPinParams {
+    applicationId: string;
+    messageId: string;
+    to: string;
+    from?: string;
+    placeholders?: { [name: string]: string };
+}
+
+export interface PinStatus {
+    pinId: string;
+    to: string;
+    /** SMS only */
+    ncStatus?: string;
+    smsStatus?: string;
+    /** Voice, or SMS with fallback "voice" */
+    callStatus?: string;
+    /** Email only */
+    emailStatus?: { name: string; description: string };
+    /** Set when the SMS could not be sent and the PIN was sent by voice */
+    fallback?: 'voice';
+    /** Set when the SMS could not be sent and the voice fallback failed */
+    fallbackError?: errors.InfobipError;
+}
+
+export interface SendPinOptions {
+    retry?: boolean;
+    /** Call the number with the same PIN if the SMS could not be sent */
+    fallback?: 'voice' | '';
+}
+
+export interface VerifyPinResult {
+    pinId: string;
+    msisdn: string;
+    verified: boolean;
+    attemptsRemaining: number;
+    pinError?: 'WRONG_PIN' | 'TTL_EXPIRED' | 'NO_MORE_PIN_ATTEMPTS' | string;
+}
+
+export interface PinVerification {
+    msisdn: string;
+    verified: boolean;
+    /** Milliseconds since epoch, 0 if not verified */
+    verifiedAt: number;
+    /** Milliseconds since epoch, 0 if not sent */
+    sentAt: number;
+}
+
+export interface SyncTemplate extends Partial<MessageTemplateParams> {
+    /** Update this template instead of the one of its language */
+    messageId?: string;
+}
+
+export interface SyncConfig {
+    applications: Array<TwoFAAppParams & { templates?: SyncTemplate[] }>;
+}
+
+export interface SyncAction {
+    type: 'application' | 'template';
+    action: 'create' | 'update' | 'unchanged';
+    /** Name of the application */
+    name: string;
+    /** null for applications not created yet */
+    applicationId: string | null;
+    /** Templates only, null for templates not created yet */
+    messageId?: string | null;
+    language?: string;
+    /** Changed fields by path, eg. "configuration.pinAttempts" */
+    changes: { [path: string]: { from: any; to: any } };
+    /** Templates to create only, the required fields they miss */
+    errors?: Array<{ path: string; message: string }>;
+}
+
+export interface SyncPlan {
+    dryRun: boolean;
+    actions: SyncAction[];
+}
+
+export class TwoFA {
+    constructor(baseUrl?: string, version?: number, contentType?: ContentType);
+    baseUrl: string;
+    version: number;
+    contentType: ContentType;
+    axios: AxiosInstance | null;
+    numberFormat: { defaultCountry: string; strict: boolean };
+    authorize(auth: Authorizer): void;
+    setNumberFormat(defaultCountry?: string, strict?: boolean): void;
+    getApps(version?: Version): Promise<TwoFAApp[]>;
+    getApp(applicationId: string, version?: Version): Promise<TwoFAApp>;
+    newApp(params: TwoFAAppParams, version?: Version): Promise<TwoFAApp>;
+    updateApp(applicationId: string, params: Partial<TwoFAAppParams>, version?: Version): Promise<TwoFAApp>;
+    disableApp(applicationId: string, version?: Version): Promise<TwoFAApp>;
+    getMessageTemplates(applicationId: string, version?: Version): Promise<MessageTemplate[]>;
+    getMessageTemplate(applicationId: string, messageId: string, version?: Version): Promise<MessageTemplate>;
+    newMessageTemplate(applicationId: string, params: MessageTemplateParams, version?: Version): Promise<MessageTemplate>;
+    updateMessageTemplate(applicationId: string, messageId: string, params: Partial<MessageTemplateParams>, version?: Version): Promise<MessageTemplate>;
+    sendPin(params: SendPinParams, version?: Version, options?: SendPinOptions): Promise<PinStatus>;
+    resendPin(pinId: string, version?: Version): Promise<PinStatus>;
+    sendPinVoice(params: SendPinParams, version?: Version, options?: { retry?: boolean }): Promise<PinStatus>;
+    resendPinVoice(pinId: string, version?: Version): Promise<PinStatus>;
+    sendPinEmail(params: SendPinParams, version?: Version, options?: { retry?: boolean }): Promise<PinStatus>;
+    resendPinEmail(pinId: string, version?: Version): Promise<PinStatus>;
+    verifyPin(pinId: string, pin: string, version?: Version): Promise<VerifyPinResult>;
+    getVerificationStatus(applicationId: string, msisdn: string, filters?: { verified?: boolean; sent?: boolean }, version?: Version): Promise<{ verifications: PinVerification[] }>;
+    sync(config: SyncConfig | string, options?: { dryRun?: boolean }, version?: Version): Promise<SyncPlan>;
+    static loadConfig(file: string): Promise<SyncConfig>;
+}
+
+//// Verifier
+
+export type VerificationStatus = 'sent' | 'not_sent' | 'verified' | 'wrong_pin' | 'expired' | 'exhausted' | 'cooldown' | 'resend_limit' | 'not_found';
+
+export interface VerifierOptions {
+    /** Defaults to a new store.MemoryStore */
+    store?: store.Store;
+    /** Session lifetime in milliseconds */
+    ttl?: number;
+    /** Milliseconds between sends */
+    resendCooldown?: number;
+    maxResends?: number;
+    maxAttempts?: number;
+    from?: string;
+    /** "voice" calls numbers the SMS could not be sent to */
+    fallback?: 'voice' | '';
+}
+
+export interface VerificationResult {
+    sessionId: string;
+    status: VerificationStatus;
+    /** Not set for "not_found" */
+    to?: string;
+    /** "voice" after a fallback */
+    channel?: 'sms' | 'voice';
+    /** Milliseconds since epoch */
+    expiresAt?: number;
+    /** Milliseconds since epoch */
+    resendAt?: number;
+    resendsRemaining?: number;
+    attemptsRemaining?: number;
+    /** Milliseconds to wait, set for "cooldown" */
+    retryAfter?: number;
+}
+
+export class Verifier {
+    constructor(twoFA: TwoFA, applicationId: string, messageId: string, options?: VerifierOptions);
+    twoFA: TwoFA;
+    applicationId: string;
+    messageId: string;
+    store: store.Store;
+    options: Required<Omit<VerifierOptions, 'store'>>;
+    start(to: string, placeholders?: { [name: string]: string }): Promise<VerificationResult>;
+    resend(sessionId: string): Promise<VerificationResult>;
+    verify(sessionId: string, pin: string): Promise<VerificationResult>;
+}
+
+//// Settings
+
+export type ApiKeyPermission = 'ALL' | 'PUBLIC_API' | 'ACCOUNT_MANAGEMENT' | (string & {});
+
+export interface ApiKeyParams {
+    name: string;
+    allowedIPs?: string[];
+    permissions?: ApiKeyPermission[];
+    validFrom?: string;
+    validTo?: string;
+    enabled?: boolean;
+}
+
+export interface ApiKey {
+    key: string;
+    name: string;
+    accountKey: string;
+    publicApiKey: string;
+    validFrom: string;
+    validTo: string;
+    enabled: boolean;
+    allowedIPs: string[];
+    permissions: ApiKeyPermission[];
+}
+
+export interface ApiKeyList {
+    apiKeys: ApiKey[];
+}
+
+export class Settings {
+    constructor(accountKey?: string, baseUrl?: string, version?: number, contentType?: ContentType);
+    accountKey: string;
+    baseUrl: string;
+    version: number;
+    contentType: ContentType;
+    axios: AxiosInstance | null;
+    authorize(auth: Authorizer): void;
+    getApiKeys(enabled?: boolean | '', version?: Version): Promise<ApiKeyList>;
+    getApiKey(key: string, version?: Version): Promise<ApiKey>;
+    getApiKeyByPublicKey(key: string, version?: Version): Promise<ApiKeyList>;
+    getApiKeyByName(name: string, version?: Version): Promise<ApiKeyList>;
+    newApiKey(params: ApiKeyParams, version?: Version): Promise<ApiKey>;
+    updateApiKey(key: string, params: Partial<ApiKeyParams>, version?: Version): Promise<ApiKey>;
+}
+
+//// Number Lookup
+
+export interface Network {
+    name: string;
+    prefix: string;
+    countryName: string;
+    countryPrefix: string;
+}
+
+export interface LookupResult {
+    to: string;
+    mccMnc: string;
+    imsi: string;
+    /** The number exists */
+    valid: boolean;
+    /** The handset is reachable now */
+    reachable: boolean;
+    ported: boolean;
+    roaming: boolean;
+    /** The network currently serving the number */
+    network: Network | null;
+    originalNetwork: Network | null;
+    portedNetwork: Network | null;
+    roamingNetwork: Network | null;
+    status: MessageStatus | {};
+    error: MessageError | null;
+    raw: any;
+}
+
+export class NumberLookup {
+    constructor(baseUrl?: string, version?: number, contentType?: ContentType);
+    baseUrl: string;
+    version: number;
+    contentType: ContentType;
+    axios: AxiosInstance | null;
+    numberFormat: { defaultCountry: string; strict: boolean };
+    authorize(auth: Authorizer): void;
+    setNumberFormat(defaultCountry?: string, strict?: boolean): void;
+    lookup(to: string | string[], version?: Version): Promise<LookupResult[]>;
+    lookupAsync(to: string | string[], notifyUrl: string, notifyContentType?: 'application/json' | 'application/xml', version?: Version): Promise<SendResponse>;
+    static parseResult(raw: any): LookupResult;
+}
+
+//// Webhooks
+
+/** Base class of receivers of payloads pushed by Infobip */
+declare class Webhook extends EventEmitter {
+    handler(): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+    process(payload: any): Promise<any[]>;
+}
+
+export type DeliveryOutcome = 'pending' | 'delivered' | 'failed' | 'rejected';
+
+declare class DeliveryReport {
+    constructor(raw: any);
+    messageId: string;
+    bulkId: string;
+    to: string;
+    sentAt: Date | null;
+    doneAt: Date | null;
+    smsCount: number;
+    price: Price | null;
+    status: MessageStatus;
+    error: MessageError | null;
+    callbackData: string;
+    outcome: DeliveryOutcome;
+    raw: any;
+    isFinal(): boolean;
+}
+
+export class DeliveryReports extends Webhook {
+    constructor(maxEntries?: number);
+    static DeliveryReport: typeof DeliveryReport;
+    maxEntries: number;
+    process(payload: { results: any[] }): Promise<DeliveryReport[]>;
+    getReport(messageId: string): DeliveryReport | undefined;
+    getBulk(bulkId: string): DeliveryReport[];
+    on(event: DeliveryOutcome | 'report' | 'duplicate', listener: (report: DeliveryReport) => void): this;
+    once(event: DeliveryOutcome | 'report' | 'duplicate', listener: (report: DeliveryReport) => void): this;
+}
+
+export namespace DeliveryReports {
+    export type DeliveryReport = InstanceType<typeof DeliveryReports.DeliveryReport>;
+}
+
+declare class InboundMessage {
+    constructor(raw: any);
+    messageId: string;
+    from: string;
+    to: string;
+    keyword: string;
+    /** Text without the keyword */
+    text: string;
+    fullText: string;
+    receivedAt: Date | null;
+    smsCount: number;
+    price: Price | null;
+    callbackData: string;
+    raw: any;
+}
+
+export class InboundMessages extends Webhook {
+    constructor(maxEntries?: number);
+    static InboundMessage: typeof InboundMessage;
+    maxEntries: number;
+    process(payload: { results: any[] }): Promise<InboundMessage[]>;
+    on(event: 'message' | 'duplicate', listener: (message: InboundMessage) => void): this;
+    once(event: 'message' | 'duplicate', listener: (message: InboundMessage) => void): this;
+}
+
+export namespace InboundMessages {
+    export type InboundMessage = InstanceType<typeof InboundMessages.InboundMessage>;
+}
+
+//// Modules
+
+export namespace encoding {
+    export interface Analysis {
+        encoding: 'GSM-7' | 'UCS-2';
+        characters: number;
+        /** Septets for GSM-7, 16-bit code units for UCS-2 */
+        units: number;
+        segments: number;
+        perSegment: number;
+        remaining: number;
+        unicodeCharacters: string[];
+    }
+    export function analyze(text?: string): Analysis;
+    export function isGsm7(text?: string): boolean;
+}
+
+export namespace errors {
+    export interface ErrorDetails {
+        status?: number;
+        messageId?: string;
+        text?: string;
+        method?: string;
+        url?: string;
+        retryable?: boolean;
+        data?: any;
+        cause?: Error | null;
+    }
+    export class InfobipError extends Error {
+        constructor(message: string, details?: ErrorDetails);
+        /** HTTP status, 0 if there was no response */
+        status: number;
+        /** From requestError.serviceException */
+        messageId: string;
+        /** From requestError.serviceException */
+        text: string;
+        method: string;
+        url: string;
+        retryable: boolean;
+        /** Response body */
+        data: any;
+        cause: Error | null;
+    }
+    export class InfobipApiError extends InfobipError {}
+    export class InfobipNetworkError extends InfobipError {
+        constructor(message: string, details?: ErrorDetails & { code?: string });
+        /** eg. "ECONNRESET" */
+        code: string;
+    }
+    export class InfobipValidationError extends InfobipError {
+        constructor(message: string, details?: ErrorDetails & { errors?: Array<{ path: string; message: string }> });
+        errors: Array<{ path: string; message: string }>;
+    }
+    export class InfobipAuthError extends InfobipError {}
+    export function toInfobipError(error: unknown): InfobipError;
+}
+
+export namespace logger {
+    export interface LogEntry {
+        time: string;
+        event: 'request' | 'response' | 'error';
+        method: string;
+        endpoint: string;
+        attempt: number;
+        status?: number;
+        duration?: number;
+        messageIds?: string[];
+        headers?: { [name: string]: any };
+        body?: any;
+        response?: any;
+        error?: { name: string; message: string; messageId: string; text: string };
+    }
+    export interface LoggerOptions {
+        write?: (entry: LogEntry) => void;
+        /** Also log outgoing requests */
+        requests?: boolean;
+        includeHeaders?: boolean;
+        includeBody?: boolean;
+        /** More field names to redact */
+        redact?: string[];
+    }
+    export function createLogger(options?: LoggerOptions): Hooks;
+    export function redact<T>(value: T, fields?: string[]): T;
+}
+
+export namespace mock {
+    export interface MockServerOptions {
+        apiKey?: string;
+        username?: string;
+        password?: string;
+        clientId?: string;
+        clientSecret?: string;
+        accountKey?: string;
+        /** Milliseconds */
+        sessionTimeout?: number;
+        /** Seconds */
+        tokenLifetime?: number;
+        /** Deliver sent messages right away */
+        deliver?: boolean;
+    }
+    export interface FailOptions {
+        status?: number;
+        body?: any;
+        headers?: { [name: string]: string };
+        times?: number;
+        /** Destroy the connection instead of responding */
+        network?: boolean;
+    }
+    export interface RecordedRequest {
+        method: string;
+        path: string;
+        query: { [name: string]: string };
+        /** Parameters matched in the path */
+        params: string[];
+        headers: { [name: string]: string | string[] | undefined };
+        body: any;
+    }
+    export class MockServer {
+        constructor(options?: MockServerOptions);
+        options: Required<MockServerOptions>;
+        baseUrl: string;
+        requests: RecordedRequest[];
+        state: {
+            messages: any[];
+            reports: any[];
+            bulks: { [bulkId: string]: any };
+            inbox: InboxMessage[];
+            applications: { [applicationId: string]: TwoFAApp };
+            templates: { [messageId: string]: MessageTemplate };
+            pins: { [pinId: string]: any };
+            /** Voice PINs */
+            calls: any[];
+            /** Email PINs */
+            emails: any[];
+            apiKeys: { [key: string]: any };
+            sessions: { [token: string]: { expiresAt: number } };
+            tokens: { [token: string]: { expiresAt: number } };
+        };
+        reset(): void;
+        listen(port?: number): Promise<string>;
+        close(): Promise<void>;
+        now(): number;
+        advance(ms: number): void;
+        fail(method: string, path: string | RegExp, options?: FailOptions): void;
+        setOutcome(to: string, status: 'DELIVERED' | 'UNDELIVERABLE' | 'EXPIRED' | 'REJECTED'): void;
+        deliver(messageId: string, status?: 'DELIVERED' | 'UNDELIVERABLE' | 'EXPIRED' | 'REJECTED' | ''): any;
+        receive(message: { from: string; to: string; text: string; keyword?: string }): InboxMessage;
+        lastPin(to: string): string;
+    }
+    export function createServer(options?: MockServerOptions): MockServer;
+}
+
+export namespace phone {
+    export interface ParsedNumber {
+        valid: boolean;
+        /** International format without "+" */
+        number: string;
+        countryCode: string;
+        nationalNumber: string;
+        /** Why the number is invalid */
+        reason: string;
+    }
+    export function parse(number: string, defaultCountry?: string): ParsedNumber;
+    export function normalize(number: string, defaultCountry?: string, strict?: boolean): string;
+}
+
+export namespace retry {
+    export function policy(overrides?: Partial<RetryPolicy>): RetryPolicy;
+    export function attach(instance: AxiosInstance, getPolicy: () => RetryPolicy | false): AxiosInstance;
+}
+
+export namespace sandbox {
+    export interface OutboxEntry {
+        channel: 'sms' | 'binary' | 'pin';
+        to: string;
+        from: string;
+        sentAt: Date;
+        /** SMS only */
+        messageId?: string;
+        bulkId?: string;
+        text?: string;
+        binary?: BinaryPayload;
+        smsCount?: number;
+        flash?: boolean;
+        notifyUrl?: string;
+        callbackData?: string;
+        validityPeriod?: number;
+        sendAt?: string;
+        /** PIN only */
+        via?: 'sms' | 'voice' | 'email';
+        pinId?: string;
+        pin?: string;
+        applicationId?: string;
+        /** messageId of the message template */
+        templateId?: string;
+        placeholders?: { [name: string]: string };
+    }
+    export class Sandbox {
+        constructor(allowlist?: string[]);
+        allowlist: string[];
+        outbox: OutboxEntry[];
+        allow(numbers: string | string[]): void;
+        isAllowed(number: string): boolean;
+        find(to: string): OutboxEntry[];
+        lastPin(to: string): string;
+        clear(): void;
+    }
+    export function fromEnv(env?: { [name: string]: string | undefined }): Sandbox | null;
+    export function attach(instance: AxiosInstance, getSandbox: () => Sandbox | null): AxiosInstance;
+}
+
+export namespace schema {
+    export interface Duration {
+        amount: number;
+        unit: 'ms' | 's' | 'm' | 'h' | 'd';
+        ms: number;
+    }
+    export interface Rate {
+        attempts: number;
+        per: Duration;
+    }
+    export interface FieldError {
+        /** Eg. "configuration.pinTimeToLive" */
+        path: string;
+        message: string;
+    }
+    export function parseDuration(text: string): Duration | null;
+    export function parseRate(text: string): Rate | null;
+    export function appErrors(params: any, partial?: boolean, path?: string): FieldError[];
+    export function templateErrors(params: any, partial?: boolean, path?: string): FieldError[];
+}
+
+export namespace store {
+    /** Storage of Verifier sessions */
+    export interface Store {
+        get(id: string): Promise<any | null>;
+        /** The store may forget the value after expiresAt (milliseconds since epoch) */
+        set(id: string, value: any, expiresAt?: number): Promise<void>;
+        delete(id: string): Promise<void>;
+    }
+    export class MemoryStore implements Store {
+        constructor();
+        get(id: string): Promise<any | null>;
+        set(id: string, value: any, expiresAt?: number): Promise<void>;
+        delete(id: string): Promise<void>;
+    }
+    export class JsonFileStore implements Store {
+        constructor(file: string);
+        file: string;
+        get(id: string): Promise<any | null>;
+        set(id: string, value: any, expiresAt?: number): Promise<void>;
+        delete(id: string): Promise<void>;
+    }
+}
+
+export namespace xml {
+    export function parse(text: string): any;
+    export function serialize(data: object, root?: string): string;
+}
+
+export namespace yaml {
+    export function parse(text: string): any;
+}
@@ -4,10 +4,30 @@
 const axios = require('axios');
 
 //// Modules
+const createClient = require('./client');
+const encoding = require('./encoding');
+const errors = require('./errors');
+const logger = require('./logger');
+const mock = require('./mock');
+const trimError = require('./helpers').trimError;
+const phone = require('./phone');
+const retry = require('./retry');
+const sandbox = require('./sandbox');
+const schema = require('./schema');
+const store = require('./store');
+const xml = require('./xml');
+const yaml = require('./yaml');
 const Auth = require('./service/Auth');
+const BulkSender = require('./service/BulkSender');
+const DeliveryReports = require('./service/DeliveryReports');
+const InboundMessages = require('./service/InboundMessages');
+const NumberLookup = require('./service/NumberLookup');
+const OAuth = require('./service/OAuth');
+const SessionAuth = require('./service/SessionAuth');
 const Settings = require('./service/Settings');
 const SMS = require('./service/SMS');
 const TwoFA = require('./service/TwoFA');
+const Verifier = require('./service/Verifier');
 
 /**
  * Checking the service status
@@ -41,8 +61,27 @@ async function status(contentType = 'json', baseUrl = 'https://api.infobip.com')
 
 module.exports = {
     status: status,
+    createClient: createClient,
+    encoding: encoding,
+    errors: errors,
+    logger: logger,
+    mock: mock,
+    phone: phone,
+    retry: retry,
+    sandbox: sandbox,
+    schema: schema,
+    store: store,
+    xml: xml,
+    yaml: yaml,
     Auth: Auth,
+    BulkSender: BulkSender,
+    DeliveryReports: DeliveryReports,
+    InboundMessages: InboundMessages,
+    NumberLookup: NumberLookup,
+    OAuth: OAuth,
+    SessionAuth: SessionAuth,
     Settings: Settings,
     SMS: SMS,
-    TwoFA: TwoFA
+    TwoFA: TwoFA,
+    Verifier: Verifier
 }
\ No newline at end of file
@@ -0,0 +1,212 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Replacement of redacted values
+ *
+ * @private
+ */
+const REDACTED = '[REDACTED]'
+
+/**
+ * Fields whose values are never logged: credentials, tokens, API key values from Settings and PIN codes sent to TwoFA.verifyPin()
+ *
+ * @private
+ */
+const SECRET_FIELDS = ['authorization', 'password', 'pin', 'publicApiKey', 'apiKey', 'token', 'access_token', 'client_secret', 'clientSecret']
+
+/**
+ * Create hooks that log every API call as one structured entry. Pass the result to Auth.use() or Client.use().
+ *
+ * Entries have time, event ("request", "response" or "error"), method, endpoint, attempt, and for responses and errors also
+ * status, duration (milliseconds) and messageIds (IDs of the messages, PINs and bulks in the response). Errors add error
+ * (name, message, messageId and text). Credentials, tokens, API key values and PIN codes are redacted.
+ *
+ * @example
+ * // One JSON line per call on stdout
+ * auth.use(infobip.logger.createLogger())
+ *
+ * // To your own logger, with redacted headers and bodies
+ * client.use(infobip.logger.createLogger({
+ *     write: (entry) => pino.info(entry),
+ *     includeHeaders: true,
+ *     includeBody: true
+ * }))
+ *
+ * @param {Object} options Optional. write (function receiving each entry, defaults to printing JSON lines), requests (also log
+ * outgoing requests, defaults to false), includeHeaders, includeBody (add redacted request headers and bodies, and response bodies)
+ * and redact (more field names to redact).
+ *
+ * @returns {Object} Hooks with onRequest, onResponse and onError
+ */
+function createLogger(options = {}) {
+    let write = options.write || ((entry) => {
+        console.log(JSON.stringify(entry))
+    })
+    let fields = SECRET_FIELDS.concat(options.redact || [])
+
+    let entry = (event, request) => {
+        let logged = {
+            time: new Date().toISOString(),
+            event: event,
+            method: request.method,
+            endpoint: request.endpoint,
+            attempt: request.attempt
+        }
+        if (request.status !== undefined) {
+            logged.status = request.status
+            logged.duration = request.duration
+        }
+        if (options.includeHeaders) {
+            logged.headers = redact(flattenHeaders(request.headers), fields)
+        }
+        if (options.includeBody && request.data !== undefined) {
+            logged.body = redact(parseData(request.data), fields)
+        }
+        return logged
+    }
+
+    let hooks = {
+        onResponse: (response, request) => {
+            let logged = entry('response', request)
+            logged.messageIds = messageIds(response.data)
+            if (options.includeBody) {
+                logged.response = redact(response.data, fields)
+            }
+            write(logged)
+        },
+        onError: (err, request) => {
+            let logged = entry('error', request)
+            logged.messageIds = messageIds(err.data)
+            logged.error = {
+                name: err.name,
+                message: err.message,
+                messageId: err.messageId,
+                text: err.text
+            }
+            write(logged)
+        }
+    }
+    if (options.requests) {
+        hooks.onRequest = (request) => {
+            write(entry('request', request))
+        }
+    }
+    return hooks
+}
+
+/**
+ * Copy a value, replacing the values of secret fields. Authorization values keep their type, eg. "App [REDACTED]".
+ *
+ * @example
+ * infobip.logger.redact({ pin: '1234', to: '41793026727' })
+ * // { pin: '[REDACTED]', to: '41793026727' }
+ *
+ * @param {*} value Object, array or string. Query strings in URLs are redacted too.
+ * @param {Array} fields Field names to redact. Defaults to credentials, tokens, API keys and PINs.
+ *
+ * @returns {*}
+ */
+function redact(value, fields = SECRET_FIELDS) {
+    let secret = (key) => fields.some((field) => field.toLowerCase() === String(key).toLowerCase())
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, fields))
+    }
+    if (typeof value === 'string') {
+        // Query strings, credentials in URLs and XML elements
+        return value.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, key) => {
+            return secret(decodeURIComponent(key)) ? `${separator}${key}=${REDACTED}` : match
+        }).replace(/\/\/[^/@:]+:[^/@]+@/, `//${REDACTED}@`).replace(/<([\w:.-]+)>([^<]*)<\/\1>/g, (match, name) => {
+            return secret(name) ? `<${name}>${REDACTED}</${name}>` : match
+        })
+    }
+    if (!value || typeof value !== 'object') {
+        return value
+    }
+    let copy = {}
+    Object.keys(value).forEach((key) => {
+        if (!secret(key)) {
+            copy[key] = redact(value[key], fields)
+        } else if (key.toLowerCase() === 'authorization' && typeof value[key] === 'string' && value[key].includes(' ')) {
+            copy[key] = `${value[key].split(' ')[0]} ${REDACTED}`
+        } else {
+            copy[key] = REDACTED
+        }
+    })
+    return copy
+}
+
+/**
+ * IDs of the messages, PINs and bulks in a response body
+ *
+ * @private
+ * @param {*} data
+ * @returns {Array}
+ */
+function messageIds(data) {
+    let ids = []
+    let collect = (item) => {
+        if (!item || typeof item !== 'object') {
+            return
+        }
+        ['bulkId', 'messageId', 'pinId'].forEach((field) => {
+            if (typeof item[field] === 'string' && item[field] && !ids.includes(item[field])) {
+                ids.push(item[field])
+            }
+        })
+    }
+    if (data && typeof data === 'object' && !data.requestError) {
+        collect(data)
+        let lists = [data.messages, data.results, Array.isArray(data) ? data : null]
+        lists.forEach((list) => {
+            if (Array.isArray(list)) {
+                list.forEach(collect)
+            }
+        })
+    }
+    return ids
+}
+
+/**
+ * Headers of an axios request config without the per method defaults
+ *
+ * @private
+ * @param {Object} headers
+ * @returns {Object}
+ */
+function flattenHeaders(headers = {}) {
+    let flat = Object.assign({}, headers.common)
+    Object.keys(headers).forEach((key) => {
+        if (typeof headers[key] !== 'object') {
+            flat[key] = headers[key]
+        }
+    })
+    return flat
+}
+
+/**
+ * Request data as an object, if it was already serialized to JSON
+ *
+ * @private
+ * @param {*} data
+ * @returns {*}
+ */
+function parseData(data) {
+    if (typeof data !== 'string') {
+        return data
+    }
+    try {
+        return JSON.parse(data)
+    } catch (err) {
+        return data
+    }
+}
+
+module.exports = {
+    createLogger: createLogger,
+    redact: redact
+}
@@ -0,0 +1,1554 @@
+//// Core modules
+const http = require('http');
+const querystring = require('querystring');
+
+//// External modules
+
+//// Modules
+const encoding = require('./encoding');
+const helpers = require('./helpers');
+const formatDate = helpers.formatDate;
+const pick = helpers.pick;
+const randomId = helpers.randomId;
+const randomInt = helpers.randomInt;
+const xml = require('./xml');
+
+
+/**
+ * Default options of the mock server
+ *
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+    apiKey: 'mock-api-key',
+    username: 'mock-user',
+    password: 'mock-password',
+    clientId: 'mock-client',
+    clientSecret: 'mock-secret',
+    accountKey: 'mock-account',
+    sessionTimeout: 3600000,
+    tokenLifetime: 3600,
+    deliver: true
+}
+
+/**
+ * Message statuses used by the mock server
+ *
+ * @private
+ */
+const STATUSES = {
+    PENDING: { groupId: 1, groupName: 'PENDING', id: 26, name: 'PENDING_ACCEPTED', description: 'Message sent to next instance' },
+    DELIVERED: { groupId: 3, groupName: 'DELIVERED', id: 5, name: 'DELIVERED_TO_HANDSET', description: 'Message delivered to handset' },
+    UNDELIVERABLE: { groupId: 2, groupName: 'UNDELIVERABLE', id: 9, name: 'UNDELIVERABLE_NOT_DELIVERED', description: 'Message sent not delivered' },
+    EXPIRED: { groupId: 4, groupName: 'EXPIRED', id: 15, name: 'EXPIRED_EXPIRED', description: 'Message expired' },
+    REJECTED: { groupId: 5, groupName: 'REJECTED', id: 52, name: 'REJECTED_DESTINATION', description: 'Invalid destination address' },
+    CANCELED: { groupId: 5, groupName: 'REJECTED', id: 6, name: 'REJECTED_NETWORK', description: 'Message canceled' }
+}
+
+/**
+ * Error of delivered and pending messages
+ *
+ * @private
+ */
+const NO_ERROR = { groupId: 0, groupName: 'OK', id: 0, name: 'NO_ERROR', description: 'No Error', permanent: false }
+
+/**
+ * Error of undelivered messages and lookups of numbers that are switched off
+ *
+ * @private
+ */
+const ABSENT_SUBSCRIBER = { groupId: 1, groupName: 'HANDSET_ERRORS', id: 27, name: 'EC_ABSENT_SUBSCRIBER', description: 'Absent Subscriber', permanent: false }
+
+/**
+ * Error of lookups of rejected numbers
+ *
+ * @private
+ */
+const UNKNOWN_SUBSCRIBER = { groupId: 1, groupName: 'HANDSET_ERRORS', id: 1, name: 'EC_UNKNOWN_SUBSCRIBER', description: 'Unknown Subscriber', permanent: true }
+
+/**
+ * Default configuration of a 2FA application
+ *
+ * @private
+ */
+const DEFAULT_APP_CONFIGURATION = {
+    pinAttempts: 10,
+    allowMultiplePinVerifications: true,
+    pinTimeToLive: '15m',
+    verifyPinLimit: '1/3s',
+    sendPinPerApplicationLimit: '10000/1d',
+    sendPinPerPhoneNumberLimit: '3/1d'
+}
+
+/**
+ * Characters of each PIN type
+ *
+ * @private
+ */
+const PIN_CHARACTERS = {
+    NUMERIC: '0123456789',
+    ALPHA: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    HEX: '0123456789ABCDEF',
+    ALPHANUMERIC: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+}
+
+/**
+ * Milliseconds of each unit of 2FA durations, eg. "15m"
+ *
+ * @private
+ */
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }
+
+/**
+ * Rate limits of a 2FA application configuration, eg. "1/3s"
+ *
+ * @private
+ */
+const APP_RATES = ['verifyPinLimit', 'sendPinPerApplicationLimit', 'sendPinPerPhoneNumberLimit']
+
+/**
+ * In-process fake of the Infobip API for tests. Keeps state like the real API: sent messages show up in logs and delivery reports,
+ * PINs can be verified until their attempts run out or they expire, and created API keys can authorize requests.
+ *
+ * Emulates /status, the session and OAuth token endpoints, SMS sending, reports, logs, scheduled bulks and the inbox,
+ * Number Lookup, 2FA applications, message templates and PINs (SMS, voice and email), and the Settings API keys. Responds in XML when the request accepts it.
+ *
+ * @example
+ * let server = infobip.mock.createServer()
+ * let baseUrl = await server.listen()
+ *
+ * let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey })
+ * let sent = await client.twoFA.sendPin({ applicationId: appId, messageId: templateId, to: '41793026727' })
+ * await client.twoFA.verifyPin(sent.pinId, server.lastPin('41793026727'))
+ *
+ * // Make the next send fail
+ * server.fail('POST', '/sms/2/text/single', { status: 503 })
+ *
+ * await server.close()
+ */
+class MockServer {
+    /**
+     * Instantiate MockServer class
+     *
+     * @param {Object} options Optional. Accepted credentials: apiKey, username and password, clientId and clientSecret. accountKey, sessionTimeout (milliseconds),
+     * tokenLifetime (OAuth token lifetime in seconds) and deliver (deliver sent messages right away, defaults to true).
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+        this.server = null
+        this.sockets = new Set()
+        this.baseUrl = ''
+        this.reset()
+    }
+
+    /**
+     * Forget all state, injected failures and recorded requests
+     */
+    reset() {
+        this.offset = 0
+        this.requests = []
+        this.failures = []
+        this.outcomes = {}
+        this.state = {
+            messages: [],
+            reports: [],
+            bulks: {},
+            inbox: [],
+            calls: [],
+            emails: [],
+            applications: {},
+            templates: {},
+            pins: {},
+            apiKeys: {},
+            sessions: {},
+            tokens: {}
+        }
+        let now = this.now()
+        this.state.apiKeys[randomId()] = {
+            name: 'Default',
+            accountKey: this.options.accountKey,
+            publicApiKey: this.options.apiKey,
+            validFrom: formatDate(new Date(now)),
+            validTo: formatDate(new Date(now + 10 * 365 * 86400000)),
+            enabled: true,
+            allowedIPs: [],
+            permissions: ['ALL']
+        }
+    }
+
+    /**
+     * Start listening on localhost
+     *
+     * @param {number} port Defaults to a random free port.
+     *
+     * @returns {Promise<string>} Base URL of the server, eg. "http://127.0.0.1:41234"
+     */
+    listen(port = 0) {
+        this.server = http.createServer((req, res) => {
+            this._handle(req, res)
+        })
+        this.server.on('connection', (socket) => {
+            this.sockets.add(socket)
+            socket.on('close', () => {
+                this.sockets.delete(socket)
+            })
+        })
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject)
+            this.server.listen(port, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`
+                resolve(this.baseUrl)
+            })
+        })
+    }
+
+    /**
+     * Stop the server and drop open connections
+     *
+     * @returns {Promise}
+     */
+    close() {
+        if (!this.server) {
+            return Promise.resolve()
+        }
+        let server = this.server
+        this.server = null
+        this.sockets.forEach((socket) => {
+            socket.destroy()
+        })
+        return new Promise((resolve) => {
+            server.close(() => {
+                resolve()
+            })
+        })
+    }
+
+    /**
+     * Current time of the server in milliseconds. Moved forward by advance().
+     *
+     * @returns {number}
+     */
+    now() {
+        return Date.now() + this.offset
+    }
+
+    /**
+     * Move the clock of the server forward, eg. to expire PINs, sessions and tokens or to send scheduled bulks
+     *
+     * @param {number} ms Milliseconds
+     */
+    advance(ms) {
+        this.offset += ms
+    }
+
+    /**
+     * Make matching requests fail
+     *
+     * @example
+     * // Two 503s, then the request goes through
+     * server.fail('GET', '/sms/1/logs', { status: 503, times: 2 })
+     *
+     * // Drop the connection
+     * server.fail('*', /^\/2fa\//, { network: true })
+     *
+     * @param {string} method HTTP method, or "*" for any.
+     * @param {string|RegExp} path Exact path without the query string, or a pattern.
+     * @param {Object} options Optional. status (defaults to 500), body (defaults to a requestError), headers (eg. { 'Retry-After': '1' }),
+     * times (number of requests to fail, defaults to 1) and network (true to destroy the connection instead of responding).
+     */
+    fail(method, path, options = {}) {
+        this.failures.push(Object.assign({
+            method: method.toUpperCase(),
+            path: path,
+            status: 500,
+            times: 1,
+            network: false
+        }, options))
+    }
+
+    /**
+     * Set how messages to a number end up when they are delivered. Number Lookup reports "REJECTED" numbers as unknown and the others that fail as switched off.
+     *
+     * @param {string} to Destination number.
+     * @param {string} status One of "DELIVERED", "UNDELIVERABLE", "EXPIRED" or "REJECTED".
+     */
+    setOutcome(to, status) {
+        this.outcomes[to] = status
+    }
+
+    /**
+     * Deliver a sent message and queue its delivery report
+     *
+     * @param {string} messageId
+     * @param {string} status Defaults to the outcome set for the number, or "DELIVERED".
+     *
+     * @returns {Object|null} The message, or null if not found.
+     */
+    deliver(messageId, status = '') {
+        let message = this.state.messages.find((m) => m.messageId === messageId)
+        if (!message || message.status.groupName !== 'PENDING') {
+            return message || null
+        }
+        status = status || this.outcomes[message.to] || 'DELIVERED'
+        message.status = STATUSES[status]
+        message.error = (status === 'DELIVERED') ? NO_ERROR : ABSENT_SUBSCRIBER
+        message.doneAt = formatDate(new Date(this.now()))
+        this.state.reports.push(message)
+        return message
+    }
+
+    /**
+     * Receive an inbound message, as if sent from a phone to one of your numbers
+     *
+     * @param {Object} message from, to, text and optional keyword.
+     *
+     * @returns {Object} The message as returned by the inbox.
+     */
+    receive(message) {
+        let text = message.text || ''
+        let keyword = message.keyword || ''
+        let inbound = {
+            messageId: randomId(),
+            from: message.from,
+            to: message.to,
+            text: text,
+            cleanText: (keyword && text.toUpperCase().startsWith(keyword.toUpperCase())) ? text.substr(keyword.length).trim() : text,
+            keyword: keyword,
+            receivedAt: formatDate(new Date(this.now())),
+            smsCount: encoding.analyze(text).segments,
+            price: { pricePerMessage: 0, currency: 'EUR' },
+            callbackData: null
+        }
+        this.state.inbox.push(inbound)
+        return inbound
+    }
+
+    /**
+     * The latest PIN sent to a number
+     *
+     * @param {string} to Destination number.
+     *
+     * @returns {string} The PIN, or "" if none was sent.
+     */
+    lastPin(to) {
+        let pins = Object.keys(this.state.pins).map((pinId) => this.state.pins[pinId]).filter((pin) => pin.to === to)
+        return pins.length > 0 ? pins[pins.length - 1].pin : ''
+    }
+
+    /**
+     * Handle one request
+     *
+     * @private
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async _handle(req, res) {
+        let url = new URL(req.url, 'http://localhost')
+        let raw = await readRaw(req)
+        let ctx = {
+            method: req.method,
+            path: url.pathname,
+            query: Object.assign({}, querystring.parse(url.search.slice(1))),
+            headers: req.headers,
+            params: [],
+            body: null
+        }
+        this.requests.push(ctx)
+
+        let failure = this.failures.find((f) => {
+            return f.times > 0 && (f.method === '*' || f.method === ctx.method) &&
+                ((f.path instanceof RegExp) ? f.path.test(ctx.path) : f.path === ctx.path)
+        })
+        if (failure) {
+            failure.times -= 1
+            if (failure.network) {
+                req.socket.destroy()
+                return
+            }
+            let body = failure.body || requestError('GENERAL_ERROR', 'Injected failure.').body
+            return this._respond(req, res, { status: failure.status, body: body, headers: failure.headers })
+        }
+
+        let result
+        try {
+            ctx.body = parseBody(raw, req.headers['content-type'] || '')
+            this._tick()
+            result = this._route(ctx)
+        } catch (err) {
+            result = requestError('BAD_REQUEST', err.message, 400)
+        }
+        this._respond(req, res, result)
+    }
+
+    /**
+     * Find and run the handler of a request
+     *
+     * @private
+     * @param {Object} ctx
+     * @returns {Object} { status, body }
+     */
+    _route(ctx) {
+        let routes = [
+            ['GET', /^\/status$/, this._status, true],
+            ['POST', /^\/auth\/1\/session$/, this._login, true],
+            ['DELETE', /^\/auth\/1\/session$/, this._logout],
+            ['POST', /^\/auth\/1\/oauth2\/token$/, this._oauthToken, true],
+            ['POST', /^\/sms\/\d\/text\/single$/, this._sendSingle],
+            ['POST', /^\/sms\/\d\/text\/advanced$/, this._sendAdvanced],
+            ['POST', /^\/sms\/\d\/binary\/advanced$/, this._sendAdvanced],
+            ['GET', /^\/sms\/\d\/reports$/, this._getReports],
+            ['GET', /^\/sms\/\d\/logs$/, this._getLogs],
+            ['GET', /^\/sms\/\d\/bulks$/, this._getBulk],
+            ['PUT', /^\/sms\/\d\/bulks$/, this._reschedule],
+            ['GET', /^\/sms\/\d\/bulks\/status$/, this._getBulkStatus],
+            ['PUT', /^\/sms\/\d\/bulks\/status$/, this._updateBulkStatus],
+            ['GET', /^\/sms\/\d\/inbox\/reports$/, this._getInbox],
+            ['POST', /^\/number\/\d\/query$/, this._lookup],
+            ['POST', /^\/number\/\d\/notify$/, this._lookupAsync],
+            ['GET', /^\/2fa\/\d\/applications$/, this._getApps],
+            ['POST', /^\/2fa\/\d\/applications$/, this._newApp],
+            ['GET', /^\/2fa\/\d\/applications\/([^/]+)$/, this._getApp],
+            ['PUT', /^\/2fa\/\d\/applications\/([^/]+)$/, this._updateApp],
+            ['GET', /^\/2fa\/\d\/applications\/([^/]+)\/messages$/, this._getTemplates],
+            ['POST', /^\/2fa\/\d\/applications\/([^/]+)\/messages$/, this._newTemplate],
+            ['GET', /^\/2fa\/\d\/applications\/([^/]+)\/messages\/([^/]+)$/, this._getTemplate],
+            ['PUT', /^\/2fa\/\d\/applications\/([^/]+)\/messages\/([^/]+)$/, this._updateTemplate],
+            ['GET', /^\/2fa\/\d\/applications\/([^/]+)\/verifications$/, this._getVerifications],
+            ['POST', /^\/2fa\/\d\/pin$/, this._sendPin],
+            ['POST', /^\/2fa\/\d\/pin\/voice$/, this._sendPinVoice],
+            ['POST', /^\/2fa\/\d\/pin\/email$/, this._sendPinEmail],
+            ['POST', /^\/2fa\/\d\/pin\/([^/]+)\/resend$/, this._resendPin],
+            ['POST', /^\/2fa\/\d\/pin\/([^/]+)\/resend\/voice$/, this._resendPinVoice],
+            ['POST', /^\/2fa\/\d\/pin\/([^/]+)\/resend\/email$/, this._resendPinEmail],
+            ['POST', /^\/2fa\/\d\/pin\/([^/]+)\/verify$/, this._verifyPin],
+            ['GET', /^\/settings\/\d\/accounts\/([^/]+)\/api-keys$/, this._getApiKeys],
+            ['POST', /^\/settings\/\d\/accounts\/([^/]+)\/api-keys$/, this._newApiKey],
+            ['GET', /^\/settings\/\d\/accounts\/([^/]+)\/api-keys\/([^/]+)$/, this._getApiKey],
+            ['PUT', /^\/settings\/\d\/accounts\/([^/]+)\/api-keys\/([^/]+)$/, this._updateApiKey]
+        ]
+        let found = false
+        for (let route of routes) {
+            let match = route[1].exec(ctx.path)
+            if (!match) {
+                continue
+            }
+            found = true
+            if (route[0] !== ctx.method) {
+                continue
+            }
+            if (!route[3] && !this._authorized(ctx.headers.authorization || '')) {
+                return requestError('UNAUTHORIZED', 'Invalid login details', 401)
+            }
+            ctx.params = match.slice(1).map(decodeURIComponent)
+            let result = route[2].call(this, ctx)
+            return isReply(result) ? result : { status: 200, body: result }
+        }
+        if (found) {
+            return requestError('METHOD_NOT_ALLOWED', 'Method not allowed', 405)
+        }
+        return requestError('NOT_FOUND', 'Requested URL not found', 404)
+    }
+
+    /**
+     * Send the result of a handler. Uses XML if the request accepts it.
+     *
+     * @private
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} result
+     */
+    _respond(req, res, result) {
+        let headers = Object.assign({}, result.headers)
+        let body = ''
+        if (result.body !== undefined && result.body !== null) {
+            if ((req.headers.accept || '').includes('xml')) {
+                headers['Content-Type'] = 'application/xml'
+                if (result.body.requestError) {
+                    body = xml.serialize(result.body.requestError, 'requestError')
+                } else {
+                    body = xml.serialize(result.body, Array.isArray(result.body) ? 'results' : 'response')
+                }
+            } else {
+                headers['Content-Type'] = 'application/json'
+                body = JSON.stringify(result.body)
+            }
+        }
+        res.writeHead(result.status, headers)
+        res.end(body)
+    }
+
+    /**
+     * Check the Authorization header against the accepted credentials
+     *
+     * @private
+     * @param {string} header
+     * @returns {boolean}
+     */
+    _authorized(header) {
+        let index = header.indexOf(' ')
+        let type = header.substr(0, index)
+        let value = header.substr(index + 1)
+        let now = this.now()
+        if (type === 'App') {
+            return this._findApiKeys((apiKey) => apiKey.publicApiKey === value && apiKey.enabled).length > 0
+        }
+        if (type === 'Basic') {
+            return value === Buffer.from(`${this.options.username}:${this.options.password}`).toString('base64')
+        }
+        if (type === 'IBSSO') {
+            let session = this.state.sessions[value]
+            if (!session || session.expiresAt <= now) {
+                return false
+            }
+            session.expiresAt = now + this.options.sessionTimeout
+            return true
+        }
+        if (type === 'Bearer') {
+            let token = this.state.tokens[value]
+            return !!token && token.expiresAt > now
+        }
+        return false
+    }
+
+    /**
+     * Send the scheduled bulks that are due
+     *
+     * @private
+     */
+    _tick() {
+        let now = this.now()
+        Object.keys(this.state.bulks).forEach((bulkId) => {
+            let bulk = this.state.bulks[bulkId]
+            if (bulk.status === 'PENDING' && bulk.sendAt <= now) {
+                bulk.status = 'FINISHED'
+                if (this.options.deliver) {
+                    this.state.messages.filter((m) => m.bulkId === bulkId).forEach((m) => this.deliver(m.messageId))
+                }
+            }
+        })
+    }
+
+    /**
+     * API keys of the account matching a filter
+     *
+     * @private
+     * @param {Function} filter
+     * @returns {Array}
+     */
+    _findApiKeys(filter) {
+        return Object.keys(this.state.apiKeys).map((key) => {
+            return Object.assign({ key: key }, this.state.apiKeys[key])
+        }).filter(filter)
+    }
+
+    /**
+     * Accept a message for one destination
+     *
+     * @private
+     * @param {Object} message
+     * @param {Object} destination
+     * @param {string} bulkId
+     * @returns {Object}
+     */
+    _accept(message, destination, bulkId) {
+        let to = String(destination.to || '')
+        let valid = /^\+?\d{6,15}$/.test(to) && this.outcomes[to] !== 'REJECTED'
+        let text = message.text || ''
+        let record = {
+            bulkId: bulkId || undefined,
+            messageId: destination.messageId || randomId(),
+            to: to,
+            from: message.from || 'InfoSMS',
+            text: text,
+            sentAt: formatDate(new Date(this.now())),
+            doneAt: null,
+            smsCount: message.binary ? 1 : encoding.analyze(text).segments,
+            mccMnc: '22801',
+            callbackData: message.callbackData || null,
+            price: { pricePerMessage: valid ? 0.01 : 0, currency: 'EUR' },
+            status: valid ? STATUSES.PENDING : STATUSES.REJECTED,
+            error: NO_ERROR
+        }
+        this.state.messages.push(record)
+        // Reported as pending like the real API, even if delivered right away
+        let accepted = {
+            to: to,
+            status: record.status,
+            messageId: record.messageId,
+            smsCount: record.smsCount
+        }
+        let sendAt = message.sendAt ? Date.parse(message.sendAt) : 0
+        if (valid && sendAt > this.now()) {
+            this.state.bulks[bulkId] = this.state.bulks[bulkId] || { status: 'PENDING', sendAt: sendAt }
+        } else if (valid && this.options.deliver) {
+            this.deliver(record.messageId)
+        }
+        return accepted
+    }
+
+    /**
+     * GET /status
+     *
+     * @private
+     */
+    _status() {
+        return { status: 'OK' }
+    }
+
+    /**
+     * POST /auth/1/session
+     *
+     * @private
+     */
+    _login(ctx) {
+        let body = ctx.body || {}
+        if (body.username !== this.options.username || body.password !== this.options.password) {
+            return requestError('UNAUTHORIZED', 'Invalid login details', 401)
+        }
+        let token = randomId()
+        this.state.sessions[token] = { expiresAt: this.now() + this.options.sessionTimeout }
+        return { token: token }
+    }
+
+    /**
+     * DELETE /auth/1/session
+     *
+     * @private
+     */
+    _logout(ctx) {
+        delete this.state.sessions[ctx.headers.authorization.substr('IBSSO '.length)]
+        return { status: 204, body: null }
+    }
+
+    /**
+     * POST /auth/1/oauth2/token
+     *
+     * @private
+     */
+    _oauthToken(ctx) {
+        let body = ctx.body || {}
+        if (body.grant_type !== 'client_credentials') {
+            return requestError('BAD_REQUEST', 'Unsupported grant type', 400)
+        }
+        if (body.client_id !== this.options.clientId || body.client_secret !== this.options.clientSecret) {
+            return requestError('UNAUTHORIZED', 'Invalid client credentials', 401)
+        }
+        let token = randomId()
+        this.state.tokens[token] = { expiresAt: this.now() + this.options.tokenLifetime * 1000 }
+        return { access_token: token, expires_in: this.options.tokenLifetime, token_type: 'Bearer' }
+    }
+
+    /**
+     * POST /sms/{version}/text/single
+     *
+     * @private
+     */
+    _sendSingle(ctx) {
+        let body = ctx.body || {}
+        if (!body.to || !body.text) {
+            return requestError('BAD_REQUEST', 'Missing destination or text', 400)
+        }
+        let to = Array.isArray(body.to) ? body.to : [body.to]
+        let bulkId = (to.length > 1) ? randomId() : ''
+        let messages = to.map((number) => this._accept(body, { to: number }, bulkId))
+        let response = { messages: messages }
+        if (bulkId) {
+            response.bulkId = bulkId
+        }
+        return response
+    }
+
+    /**
+     * POST /sms/{version}/text/advanced and /sms/{version}/binary/advanced
+     *
+     * @private
+     */
+    _sendAdvanced(ctx) {
+        let body = ctx.body || {}
+        if (!Array.isArray(body.messages) || body.messages.length <= 0) {
+            return requestError('BAD_REQUEST', 'Missing messages', 400)
+        }
+        let invalid = body.messages.find((message) => !Array.isArray(message.destinations) || message.destinations.length <= 0)
+        if (invalid) {
+            return requestError('BAD_REQUEST', 'Missing destinations', 400)
+        }
+        let bulkId = body.bulkId || randomId()
+        let messages = []
+        body.messages.forEach((message) => {
+            message.destinations.forEach((destination) => {
+                messages.push(this._accept(message, destination, bulkId))
+            })
+        })
+        return { bulkId: bulkId, messages: messages }
+    }
+
+    /**
+     * GET /sms/{version}/reports. Each report is returned once.
+     *
+     * @private
+     */
+    _getReports(ctx) {
+        let limit = Math.min(parseInt(ctx.query.limit, 10) || 50, 1000)
+        let results = this.state.reports.filter((report) => {
+            return (!ctx.query.bulkId || report.bulkId === ctx.query.bulkId) &&
+                (!ctx.query.messageId || report.messageId === ctx.query.messageId)
+        }).slice(0, limit)
+        this.state.reports = this.state.reports.filter((report) => !results.includes(report))
+        return {
+            results: results.map((report) => pick(report, ['bulkId', 'messageId', 'to', 'sentAt', 'doneAt', 'smsCount', 'mccMnc', 'callbackData', 'price', 'status', 'error']))
+        }
+    }
+
+    /**
+     * GET /sms/{version}/logs. Newest first.
+     *
+     * @private
+     */
+    _getLogs(ctx) {
+        let q = ctx.query
+        let limit = Math.min(parseInt(q.limit, 10) || 50, 1000)
+        let since = q.sentSince ? Date.parse(q.sentSince) : 0
+        let until = q.sentUntil ? Date.parse(q.sentUntil) : Infinity
+        let results = this.state.messages.filter((message) => {
+            let sentAt = Date.parse(message.sentAt)
+            return (!q.from || message.from === q.from) &&
+                (!q.to || message.to === q.to) &&
+                (!q.bulkId || q.bulkId.split(',').includes(message.bulkId)) &&
+                (!q.messageId || q.messageId.split(',').includes(message.messageId)) &&
+                (!q.generalStatus || message.status.groupName === q.generalStatus) &&
+                sentAt >= since && sentAt <= until
+        }).reverse().slice(0, limit)
+        return {
+            results: results.map((message) => pick(message, ['bulkId', 'messageId', 'to', 'from', 'text', 'sentAt', 'doneAt', 'smsCount', 'mccMnc', 'price', 'status', 'error']))
+        }
+    }
+
+    /**
+     * GET /sms/{version}/bulks
+     *
+     * @private
+     */
+    _getBulk(ctx) {
+        let bulk = this.state.bulks[ctx.query.bulkId]
+        if (!bulk) {
+            return requestError('NOT_FOUND', 'Bulk not found', 404)
+        }
+        return { bulkId: ctx.query.bulkId, sendAt: formatDate(new Date(bulk.sendAt)) }
+    }
+
+    /**
+     * PUT /sms/{version}/bulks
+     *
+     * @private
+     */
+    _reschedule(ctx) {
+        let bulk = this.state.bulks[ctx.query.bulkId]
+        if (!bulk) {
+            return requestError('NOT_FOUND', 'Bulk not found', 404)
+        }
+        let sendAt = Date.parse((ctx.body || {}).sendAt)
+        if (isNaN(sendAt)) {
+            return requestError('BAD_REQUEST', 'Invalid sendAt', 400)
+        }
+        if (bulk.status !== 'PENDING' && bulk.status !== 'PAUSED') {
+            return requestError('BAD_REQUEST', `Bulk is ${bulk.status}`, 400)
+        }
+        bulk.sendAt = sendAt
+        return { bulkId: ctx.query.bulkId, sendAt: formatDate(new Date(sendAt)) }
+    }
+
+    /**
+     * GET /sms/{version}/bulks/status
+     *
+     * @private
+     */
+    _getBulkStatus(ctx) {
+        let bulk = this.state.bulks[ctx.query.bulkId]
+        if (!bulk) {
+            return requestError('NOT_FOUND', 'Bulk not found', 404)
+        }
+        return { bulkId: ctx.query.bulkId, status: bulk.status }
+    }
+
+    /**
+     * PUT /sms/{version}/bulks/status. PAUSED and PROCESSING toggle a pending bulk, CANCELED rejects its messages.
+     *
+     * @private
+     */
+    _updateBulkStatus(ctx) {
+        let bulk = this.state.bulks[ctx.query.bulkId]
+        if (!bulk) {
+            return requestError('NOT_FOUND', 'Bulk not found', 404)
+        }
+        let status = (ctx.body || {}).status
+        if (!['PAUSED', 'PROCESSING', 'CANCELED'].includes(status)) {
+            return requestError('BAD_REQUEST', 'Invalid status', 400)
+        }
+        if (bulk.status !== 'PENDING' && bulk.status !== 'PAUSED') {
+            return requestError('BAD_REQUEST', `Bulk is ${bulk.status}`, 400)
+        }
+        bulk.status = (status === 'PROCESSING') ? 'PENDING' : status
+        if (status === 'CANCELED') {
+            this.state.messages.filter((m) => m.bulkId === ctx.query.bulkId).forEach((m) => {
+                m.status = STATUSES.CANCELED
+            })
+        }
+        return { bulkId: ctx.query.bulkId, status: bulk.status }
+    }
+
+    /**
+     * GET /sms/{version}/inbox/reports. Each message is returned once.
+     *
+     * @private
+     */
+    _getInbox(ctx) {
+        let limit = Math.min(parseInt(ctx.query.limit, 10) || 50, 1000)
+        let results = this.state.inbox.slice(0, limit)
+        this.state.inbox = this.state.inbox.slice(limit)
+        return {
+            results: results,
+            messageCount: results.length,
+            pendingMessageCount: this.state.inbox.length
+        }
+    }
+
+    /**
+     * POST /number/{version}/query. Numbers with the outcome "REJECTED" are unknown, those with another failed outcome are switched off.
+     *
+     * @private
+     */
+    _lookup(ctx) {
+        let to = (ctx.body || {}).to
+        if (!Array.isArray(to) || to.length <= 0) {
+            return requestError('BAD_REQUEST', 'Missing destinations', 400)
+        }
+        return {
+            results: to.map((number) => this._lookupNumber(String(number)))
+        }
+    }
+
+    /**
+     * POST /number/{version}/notify. Accepts the lookups, but does not push the results.
+     *
+     * @private
+     */
+    _lookupAsync(ctx) {
+        let body = ctx.body || {}
+        if (!Array.isArray(body.to) || body.to.length <= 0 || !body.notifyUrl) {
+            return requestError('BAD_REQUEST', 'Missing destinations or notifyUrl', 400)
+        }
+        return {
+            bulkId: randomId(),
+            results: body.to.map((number) => {
+                return { to: String(number), status: STATUSES.PENDING, messageId: randomId() }
+            })
+        }
+    }
+
+    /**
+     * Result of the lookup of one number
+     *
+     * @private
+     * @param {string} to
+     * @returns {Object}
+     */
+    _lookupNumber(to) {
+        let result = {
+            to: to,
+            mccMnc: '22801',
+            imsi: '22801' + to.slice(-10).padStart(10, '0'),
+            originalNetwork: { networkName: 'Mock Mobile', networkPrefix: to.substr(2, 2), countryName: 'Mockland', countryPrefix: to.substr(0, 2) },
+            ported: false,
+            roaming: false,
+            status: STATUSES.DELIVERED,
+            error: NO_ERROR
+        }
+        let outcome = this.outcomes[to] || 'DELIVERED'
+        if (!/^\+?\d{6,15}$/.test(to) || outcome === 'REJECTED') {
+            return Object.assign(result, { mccMnc: '', imsi: '', status: STATUSES.REJECTED, error: UNKNOWN_SUBSCRIBER })
+        }
+        if (outcome !== 'DELIVERED') {
+            result.error = ABSENT_SUBSCRIBER
+        }
+        return result
+    }
+
+    /**
+     * GET /2fa/{version}/applications
+     *
+     * @private
+     */
+    _getApps() {
+        return Object.keys(this.state.applications).map((id) => this.state.applications[id])
+    }
+
+    /**
+     * POST /2fa/{version}/applications
+     *
+     * @private
+     */
+    _newApp(ctx) {
+        let body = ctx.body || {}
+        let error = validateApp(body)
+        if (error) {
+            return error
+        }
+        let app = {
+            applicationId: randomId(),
+            name: body.name,
+            configuration: Object.assign({}, DEFAULT_APP_CONFIGURATION, body.configuration),
+            enabled: (body.enabled !== undefined) ? body.enabled : true
+        }
+        this.state.applications[app.applicationId] = app
+        return app
+    }
+
+    /**
+     * GET /2fa/{version}/applications/{applicationId}
+     *
+     * @private
+     */
+    _getApp(ctx) {
+        return this.state.applications[ctx.params[0]] || requestError('NOT_FOUND', 'Application not found', 404)
+    }
+
+    /**
+     * PUT /2fa/{version}/applications/{applicationId}
+     *
+     * @private
+     */
+    _updateApp(ctx) {
+        let app = this.state.applications[ctx.params[0]]
+        if (!app) {
+            return requestError('NOT_FOUND', 'Application not found', 404)
+        }
+        let body = ctx.body || {}
+        let error = validateApp(body, true)
+        if (error) {
+            return error
+        }
+        if (body.name !== undefined) {
+            app.name = body.name
+        }
+        if (body.enabled !== undefined) {
+            app.enabled = body.enabled
+        }
+        if (body.configuration) {
+            app.configuration = Object.assign({}, app.configuration, body.configuration)
+        }
+        return app
+    }
+
+    /**
+     * GET /2fa/{version}/applications/{applicationId}/messages
+     *
+     * @private
+     */
+    _getTemplates(ctx) {
+        if (!this.state.applications[ctx.params[0]]) {
+            return requestError('NOT_FOUND', 'Application not found', 404)
+        }
+        return Object.keys(this.state.templates).map((id) => this.state.templates[id]).filter((t) => t.applicationId === ctx.params[0])
+    }
+
+    /**
+     * POST /2fa/{version}/applications/{applicationId}/messages
+     *
+     * @private
+     */
+    _newTemplate(ctx) {
+        if (!this.state.applications[ctx.params[0]]) {
+            return requestError('NOT_FOUND', 'Application not found', 404)
+        }
+        let template = Object.assign({
+            pinPlaceholder: '{{pin}}',
+            pinLength: 4,
+            language: 'en',
+            repeatDTMF: '1#',
+            speechRate: 1
+        }, ctx.body, {
+            messageId: randomId(),
+            applicationId: ctx.params[0]
+        })
+        let error = validateTemplate(template)
+        if (error) {
+            return error
+        }
+        this.state.templates[template.messageId] = template
+        return template
+    }
+
+    /**
+     * GET /2fa/{version}/applications/{applicationId}/messages/{messageId}
+     *
+     * @private
+     */
+    _getTemplate(ctx) {
+        let template = this.state.templates[ctx.params[1]]
+        if (!template || template.applicationId !== ctx.params[0]) {
+            return requestError('NOT_FOUND', 'Message not found', 404)
+        }
+        return template
+    }
+
+    /**
+     * GET /2fa/{version}/applications/{applicationId}/verifications. One entry per PIN sent to msisdn, newest first.
+     *
+     * @private
+     */
+    _getVerifications(ctx) {
+        if (!this.state.applications[ctx.params[0]]) {
+            return requestError('NOT_FOUND', 'Application not found', 404)
+        }
+        let q = ctx.query
+        if (!q.msisdn) {
+            return requestError('BAD_REQUEST', 'Missing msisdn', 400)
+        }
+        let verifications = Object.keys(this.state.pins).map((pinId) => this.state.pins[pinId]).filter((record) => {
+            return record.applicationId === ctx.params[0] && record.to === q.msisdn &&
+                (q.verified === undefined || String(record.verified) === q.verified) &&
+                (q.sent === undefined || String(record.sentAt > 0) === q.sent)
+        }).reverse()
+        return {
+            verifications: verifications.map((record) => {
+                return {
+                    msisdn: record.to,
+                    verified: record.verified,
+                    verifiedAt: record.verifiedAt,
+                    sentAt: record.sentAt
+                }
+            })
+        }
+    }
+
+    /**
+     * PUT /2fa/{version}/applications/{applicationId}/messages/{messageId}
+     *
+     * @private
+     */
+    _updateTemplate(ctx) {
+        let template = this.state.templates[ctx.params[1]]
+        if (!template || template.applicationId !== ctx.params[0]) {
+            return requestError('NOT_FOUND', 'Message not found', 404)
+        }
+        let updated = Object.assign({}, template, ctx.body, {
+            messageId: template.messageId,
+            applicationId: template.applicationId
+        })
+        let error = validateTemplate(updated)
+        if (error) {
+            return error
+        }
+        this.state.templates[template.messageId] = updated
+        return updated
+    }
+
+    /**
+     * POST /2fa/{version}/pin
+     *
+     * @private
+     */
+    _sendPin(ctx) {
+        return this._newPin(ctx, 'sms')
+    }
+
+    /**
+     * POST /2fa/{version}/pin/voice
+     *
+     * @private
+     */
+    _sendPinVoice(ctx) {
+        return this._newPin(ctx, 'voice')
+    }
+
+    /**
+     * POST /2fa/{version}/pin/email
+     *
+     * @private
+     */
+    _sendPinEmail(ctx) {
+        return this._newPin(ctx, 'email')
+    }
+
+    /**
+     * Generate a PIN and send it
+     *
+     * @private
+     * @param {Object} ctx
+     * @param {string} channel "sms", "voice" or "email"
+     * @returns {Object}
+     */
+    _newPin(ctx, channel) {
+        let body = ctx.body || {}
+        let app = this.state.applications[body.applicationId]
+        if (!app) {
+            return requestError('NOT_FOUND', 'Application not found', 404)
+        }
+        if (!app.enabled) {
+            return requestError('BAD_REQUEST', 'Application is disabled', 400)
+        }
+        let template = this.state.templates[body.messageId]
+        if (!template || template.applicationId !== app.applicationId) {
+            return requestError('NOT_FOUND', 'Message not found', 404)
+        }
+        if (!body.to) {
+            return requestError('BAD_REQUEST', 'Missing destination', 400)
+        }
+        let invalid = checkPinDestination(String(body.to), channel)
+        if (invalid) {
+            return invalid
+        }
+
+        let characters = PIN_CHARACTERS[template.pinType]
+        let pin = ''
+        for (let i = 0; i < template.pinLength; i++) {
+            pin += characters[randomInt(characters.length)]
+        }
+        let record = {
+            pinId: randomId(),
+            to: String(body.to),
+            from: body.from || template.senderId || 'InfoSMS',
+            pin: pin,
+            text: fillPlaceholders(template, pin, body.placeholders),
+            applicationId: app.applicationId,
+            attemptsRemaining: parseInt(app.configuration.pinAttempts, 10),
+            expiresAt: this.now() + durationMs(app.configuration.pinTimeToLive),
+            multiple: app.configuration.allowMultiplePinVerifications,
+            verified: false,
+            verifiedAt: 0,
+            sentAt: 0
+        }
+        this.state.pins[record.pinId] = record
+        return this._deliverPin(record, channel)
+    }
+
+    /**
+     * POST /2fa/{version}/pin/{pinId}/resend. Sends the same PIN again.
+     *
+     * @private
+     */
+    _resendPin(ctx) {
+        return this._repeatPin(ctx, 'sms')
+    }
+
+    /**
+     * POST /2fa/{version}/pin/{pinId}/resend/voice. Calls with the same PIN, also after an SMS.
+     *
+     * @private
+     */
+    _resendPinVoice(ctx) {
+        return this._repeatPin(ctx, 'voice')
+    }
+
+    /**
+     * POST /2fa/{version}/pin/{pinId}/resend/email
+     *
+     * @private
+     */
+    _resendPinEmail(ctx) {
+        return this._repeatPin(ctx, 'email')
+    }
+
+    /**
+     * Send an existing PIN again
+     *
+     * @private
+     * @param {Object} ctx
+     * @param {string} channel "sms", "voice" or "email"
+     * @returns {Object}
+     */
+    _repeatPin(ctx, channel) {
+        let record = this.state.pins[ctx.params[0]]
+        if (!record) {
+            return requestError('NOT_FOUND', 'Pin not found', 404)
+        }
+        return checkPinDestination(record.to, channel) || this._deliverPin(record, channel)
+    }
+
+    /**
+     * Send a PIN. Voice calls and emails are recorded in state.calls and state.emails, SMS like any other message.
+     * Outcomes set with setOutcome() only apply to SMS, so a number can fail over SMS and still get a call.
+     *
+     * @private
+     * @param {Object} record
+     * @param {string} channel "sms", "voice" or "email"
+     * @returns {Object}
+     */
+    _deliverPin(record, channel = 'sms') {
+        if (channel === 'voice' || channel === 'email') {
+            record.sentAt = this.now()
+            let delivered = {
+                pinId: record.pinId,
+                to: record.to,
+                from: record.from,
+                text: record.text,
+                sentAt: formatDate(new Date(this.now()))
+            }
+            if (channel === 'voice') {
+                this.state.calls.push(delivered)
+                return {
+                    pinId: record.pinId,
+                    to: record.to,
+                    callStatus: 'PENDING_ACCEPTED'
+                }
+            }
+            this.state.emails.push(delivered)
+            return {
+                pinId: record.pinId,
+                to: record.to,
+                emailStatus: {
+                    name: 'PENDING_ACCEPTED',
+                    description: 'Message accepted, pending for delivery.'
+                }
+            }
+        }
+        let sent = this._accept({ from: record.from, text: record.text }, { to: record.to }, '')
+        let rejected = sent.status.groupName === 'REJECTED'
+        if (!rejected) {
+            record.sentAt = this.now()
+        }
+        return {
+            pinId: record.pinId,
+            to: record.to,
+            ncStatus: rejected ? 'NC_DESTINATION_UNKNOWN' : 'NC_DESTINATION_REACHABLE',
+            smsStatus: rejected ? 'MESSAGE_NOT_SENT' : 'MESSAGE_SENT'
+        }
+    }
+
+    /**
+     * POST /2fa/{version}/pin/{pinId}/verify
+     *
+     * @private
+     */
+    _verifyPin(ctx) {
+        let record = this.state.pins[ctx.params[0]]
+        if (!record) {
+            return requestError('NOT_FOUND', 'Pin not found', 404)
+        }
+        let pin = String((ctx.body || {}).pin || '').toUpperCase()
+        let result = {
+            pinId: record.pinId,
+            msisdn: record.to,
+            verified: false,
+            attemptsRemaining: record.attemptsRemaining
+        }
+        if (record.expiresAt <= this.now()) {
+            result.pinError = 'TTL_EXPIRED'
+        } else if (record.verified && record.multiple && pin === record.pin) {
+            result.verified = true
+        } else if (record.attemptsRemaining <= 0) {
+            result.pinError = 'NO_MORE_PIN_ATTEMPTS'
+        } else if (pin === record.pin) {
+            record.verified = true
+            record.verifiedAt = this.now()
+            record.attemptsRemaining = 0
+            result.verified = true
+            result.attemptsRemaining = 0
+        } else {
+            record.attemptsRemaining -= 1
+            result.attemptsRemaining = record.attemptsRemaining
+            result.pinError = 'WRONG_PIN'
+        }
+        return result
+    }
+
+    /**
+     * GET /settings/{version}/accounts/{accountKey}/api-keys
+     *
+     * @private
+     */
+    _getApiKeys(ctx) {
+        if (!this._isAccount(ctx.params[0])) {
+            return requestError('NOT_FOUND', 'Account not found', 404)
+        }
+        let q = ctx.query
+        return {
+            apiKeys: this._findApiKeys((apiKey) => {
+                return (q.enabled === undefined || String(apiKey.enabled) === q.enabled) &&
+                    (!q.publicApiKey || apiKey.publicApiKey === q.publicApiKey) &&
+                    (!q.name || apiKey.name === q.name)
+            })
+        }
+    }
+
+    /**
+     * POST /settings/{version}/accounts/{accountKey}/api-keys
+     *
+     * @private
+     */
+    _newApiKey(ctx) {
+        if (!this._isAccount(ctx.params[0])) {
+            return requestError('NOT_FOUND', 'Account not found', 404)
+        }
+        let body = ctx.body || {}
+        if (!body.name) {
+            return requestError('BAD_REQUEST', 'Missing name', 400)
+        }
+        let now = this.now()
+        let key = randomId()
+        this.state.apiKeys[key] = {
+            name: body.name,
+            accountKey: this.options.accountKey,
+            publicApiKey: randomId().toLowerCase(),
+            validFrom: body.validFrom || formatDate(new Date(now)),
+            validTo: body.validTo || formatDate(new Date(now + 10 * 365 * 86400000)),
+            enabled: (body.enabled !== undefined) ? body.enabled : true,
+            allowedIPs: body.allowedIPs || [],
+            permissions: body.permissions || ['ALL']
+        }
+        return this._findApiKeys((apiKey) => apiKey.key === key)[0]
+    }
+
+    /**
+     * GET /settings/{version}/accounts/{accountKey}/api-keys/{key}
+     *
+     * @private
+     */
+    _getApiKey(ctx) {
+        let found = this._isAccount(ctx.params[0]) && this._findApiKeys((apiKey) => apiKey.key === ctx.params[1])[0]
+        return found || requestError('NOT_FOUND', 'API key not found', 404)
+    }
+
+    /**
+     * PUT /settings/{version}/accounts/{accountKey}/api-keys/{key}
+     *
+     * @private
+     */
+    _updateApiKey(ctx) {
+        let apiKey = this._isAccount(ctx.params[0]) && this.state.apiKeys[ctx.params[1]]
+        if (!apiKey) {
+            return requestError('NOT_FOUND', 'API key not found', 404)
+        }
+        let body = ctx.body || {}
+        let editable = ['name', 'validFrom', 'validTo', 'enabled', 'allowedIPs', 'permissions']
+        editable.forEach((field) => {
+            if (body[field] !== undefined) {
+                apiKey[field] = body[field]
+            }
+        })
+        return this._findApiKeys((found) => found.key === ctx.params[1])[0]
+    }
+
+    /**
+     * Check the account key of a Settings URL. "_" is the account of the caller.
+     *
+     * @private
+     * @param {string} accountKey
+     * @returns {boolean}
+     */
+    _isAccount(accountKey) {
+        return accountKey === '_' || accountKey === this.options.accountKey
+    }
+}
+
+/**
+ * Create a mock Infobip server. See MockServer.
+ *
+ * @example
+ * let server = infobip.mock.createServer({ apiKey: 'test-key' })
+ * let baseUrl = await server.listen()
+ *
+ * @param {Object} options See MockServer.
+ *
+ * @returns {MockServer}
+ */
+function createServer(options = {}) {
+    return new MockServer(options)
+}
+
+/**
+ * Response with an Infobip requestError body
+ *
+ * @private
+ * @param {string} messageId
+ * @param {string} text
+ * @param {number} status
+ * @returns {Object}
+ */
+function requestError(messageId, text, status = 500) {
+    return {
+        status: status,
+        body: {
+            requestError: {
+                serviceException: {
+                    messageId: messageId,
+                    text: text
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Check if a handler returned a full { status, body } reply instead of just the body
+ *
+ * @private
+ * @param {*} result
+ * @returns {boolean}
+ */
+function isReply(result) {
+    return !!result && typeof result.status === 'number' && result.body !== undefined
+}
+
+/**
+ * Validate a 2FA application the way the API does, so durations and rate limits can be relied on when PINs are sent.
+ * Kept apart from the client's schema checks, so the tests show when the two disagree.
+ *
+ * @private
+ * @param {Object} app
+ * @param {boolean} partial Only check the fields that are set, as in an update.
+ * @returns {Object|null} Error response, or null if valid.
+ */
+function validateApp(app, partial = false) {
+    if (!partial && !app.name) {
+        return requestError('BAD_REQUEST', 'Missing name', 400)
+    }
+    if (app.name !== undefined && typeof app.name !== 'string') {
+        return requestError('BAD_REQUEST', 'Invalid name', 400)
+    }
+    if (app.enabled !== undefined && typeof app.enabled !== 'boolean') {
+        return requestError('BAD_REQUEST', 'Invalid enabled', 400)
+    }
+    let configuration = app.configuration
+    if (configuration === undefined) {
+        return null
+    }
+    if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+        return requestError('BAD_REQUEST', 'Invalid configuration', 400)
+    }
+    if (configuration.pinAttempts !== undefined && !(Number.isInteger(configuration.pinAttempts) && configuration.pinAttempts > 0)) {
+        return requestError('BAD_REQUEST', 'Invalid configuration.pinAttempts', 400)
+    }
+    if (configuration.allowMultiplePinVerifications !== undefined && typeof configuration.allowMultiplePinVerifications !== 'boolean') {
+        return requestError('BAD_REQUEST', 'Invalid configuration.allowMultiplePinVerifications', 400)
+    }
+    if (configuration.pinTimeToLive !== undefined && !durationMs(configuration.pinTimeToLive)) {
+        return requestError('BAD_REQUEST', 'Invalid configuration.pinTimeToLive', 400)
+    }
+    let rate = APP_RATES.find((field) => {
+        let parts = String(configuration[field]).split('/')
+        return configuration[field] !== undefined && !(parts.length === 2 && /^\d+$/.test(parts[0]) && durationMs(parts[1]))
+    })
+    if (rate) {
+        return requestError('BAD_REQUEST', `Invalid configuration.${rate}`, 400)
+    }
+    return null
+}
+
+/**
+ * Validate a 2FA message template
+ *
+ * @private
+ * @param {Object} template
+ * @returns {Object|null} Error response, or null if valid.
+ */
+function validateTemplate(template) {
+    if (!PIN_CHARACTERS[template.pinType]) {
+        return requestError('BAD_REQUEST', `Invalid pinType. Values: ${Object.keys(PIN_CHARACTERS).join(', ')}`, 400)
+    }
+    if (typeof template.messageText !== 'string' || !template.messageText.includes(template.pinPlaceholder)) {
+        return requestError('BAD_REQUEST', 'messageText must contain the pinPlaceholder', 400)
+    }
+    let pinLength = Number(template.pinLength)
+    if (!(Number.isInteger(pinLength) && pinLength >= 1 && pinLength <= 16)) {
+        return requestError('BAD_REQUEST', 'Invalid pinLength', 400)
+    }
+    return null
+}
+
+/**
+ * Milliseconds of a 2FA duration, eg. "15m". The amount defaults to 1, so "h" is one hour.
+ *
+ * @private
+ * @param {string} text
+ * @returns {number} Milliseconds, or 0 if invalid.
+ */
+function durationMs(text) {
+    let match = /^(\d*)(ms|s|m|h|d)$/.exec(String(text))
+    if (!match) {
+        return 0
+    }
+    return ((match[1] === '') ? 1 : parseInt(match[1], 10)) * DURATION_UNITS[match[2]]
+}
+
+/**
+ * Check that a PIN can be sent to a destination over a channel
+ *
+ * @private
+ * @param {string} to
+ * @param {string} channel
+ * @returns {Object|null} Error reply, or null if valid
+ */
+function checkPinDestination(to, channel) {
+    let email = /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(to)
+    if (channel === 'email' && !email) {
+        return requestError('BAD_REQUEST', 'Invalid email address', 400)
+    }
+    if (channel !== 'email' && email) {
+        return requestError('BAD_REQUEST', 'Invalid destination address', 400)
+    }
+    return null
+}
+
+/**
+ * Replace the PIN and custom placeholders of a template
+ *
+ * @private
+ * @param {Object} template
+ * @param {string} pin
+ * @param {Object} placeholders
+ * @returns {string}
+ */
+function fillPlaceholders(template, pin, placeholders = {}) {
+    let text = template.messageText.split(template.pinPlaceholder).join(pin)
+    Object.keys(placeholders || {}).forEach((name) => {
+        text = text.split(`{{${name}}}`).join(placeholders[name])
+    })
+    return text
+}
+
+/**
+ * Read the body of a request as a string
+ *
+ * @private
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readRaw(req) {
+    return new Promise((resolve) => {
+        let chunks = []
+        req.on('data', (chunk) => {
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            resolve(Buffer.concat(chunks).toString())
+        })
+    })
+}
+
+/**
+ * Parse a JSON, XML or form encoded request body
+ *
+ * @private
+ * @param {string} raw
+ * @param {string} contentType
+ * @returns {Object|null}
+ * @throws {Error}
+ */
+function parseBody(raw, contentType) {
+    if (!raw) {
+        return null
+    }
+    if (contentType.includes('xml')) {
+        return xml.parse(raw)
+    }
+    if (contentType.includes('x-www-form-urlencoded')) {
+        return Object.assign({}, querystring.parse(raw))
+    }
+    return JSON.parse(raw)
+}
+
+module.exports = {
+    createServer: createServer,
+    MockServer: MockServer
+}
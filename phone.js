@@ -0,0 +1,261 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./errors').InfobipValidationError;
+
+
+/**
+ * Numbering plans of common countries. Lengths are of the national significant number (without country code and trunk prefix).
+ *
+ * @private
+ */
+const COUNTRIES = {
+    AE: { code: '971', min: 8, max: 9, trunk: '0' },
+    AR: { code: '54', min: 10, max: 11, trunk: '0' },
+    AT: { code: '43', min: 4, max: 13, trunk: '0' },
+    AU: { code: '61', min: 9, max: 9, trunk: '0' },
+    BD: { code: '880', min: 8, max: 10, trunk: '0' },
+    BE: { code: '32', min: 8, max: 9, trunk: '0' },
+    BG: { code: '359', min: 8, max: 9, trunk: '0' },
+    BR: { code: '55', min: 10, max: 11, trunk: '0' },
+    CA: { code: '1', min: 10, max: 10, trunk: '1' },
+    CH: { code: '41', min: 9, max: 9, trunk: '0' },
+    CL: { code: '56', min: 9, max: 9, trunk: '' },
+    CN: { code: '86', min: 9, max: 11, trunk: '0' },
+    CO: { code: '57', min: 8, max: 10, trunk: '' },
+    CZ: { code: '420', min: 9, max: 9, trunk: '' },
+    DE: { code: '49', min: 6, max: 13, trunk: '0' },
+    DK: { code: '45', min: 8, max: 8, trunk: '' },
+    EG: { code: '20', min: 9, max: 10, trunk: '0' },
+    ES: { code: '34', min: 9, max: 9, trunk: '' },
+    FI: { code: '358', min: 5, max: 12, trunk: '0' },
+    FR: { code: '33', min: 9, max: 9, trunk: '0' },
+    GB: { code: '44', min: 9, max: 10, trunk: '0' },
+    GR: { code: '30', min: 10, max: 10, trunk: '' },
+    HK: { code: '852', min: 8, max: 8, trunk: '' },
+    HR: { code: '385', min: 8, max: 9, trunk: '0' },
+    HU: { code: '36', min: 8, max: 9, trunk: '06' },
+    ID: { code: '62', min: 8, max: 12, trunk: '0' },
+    IE: { code: '353', min: 7, max: 9, trunk: '0' },
+    IL: { code: '972', min: 8, max: 9, trunk: '0' },
+    IN: { code: '91', min: 10, max: 10, trunk: '0' },
+    IT: { code: '39', min: 6, max: 11, trunk: '' },
+    JP: { code: '81', min: 9, max: 10, trunk: '0' },
+    KE: { code: '254', min: 9, max: 9, trunk: '0' },
+    KR: { code: '82', min: 8, max: 10, trunk: '0' },
+    MX: { code: '52', min: 10, max: 10, trunk: '' },
+    MY: { code: '60', min: 8, max: 10, trunk: '0' },
+    NG: { code: '234', min: 8, max: 10, trunk: '0' },
+    NL: { code: '31', min: 9, max: 9, trunk: '0' },
+    NO: { code: '47', min: 8, max: 8, trunk: '' },
+    NZ: { code: '64', min: 8, max: 10, trunk: '0' },
+    PE: { code: '51', min: 8, max: 9, trunk: '0' },
+    PH: { code: '63', min: 8, max: 10, trunk: '0' },
+    PK: { code: '92', min: 9, max: 10, trunk: '0' },
+    PL: { code: '48', min: 9, max: 9, trunk: '' },
+    PT: { code: '351', min: 9, max: 9, trunk: '' },
+    RO: { code: '40', min: 9, max: 9, trunk: '0' },
+    RS: { code: '381', min: 8, max: 9, trunk: '0' },
+    RU: { code: '7', min: 10, max: 10, trunk: '8' },
+    SA: { code: '966', min: 8, max: 9, trunk: '0' },
+    SE: { code: '46', min: 7, max: 9, trunk: '0' },
+    SG: { code: '65', min: 8, max: 8, trunk: '' },
+    SI: { code: '386', min: 8, max: 8, trunk: '0' },
+    SK: { code: '421', min: 9, max: 9, trunk: '0' },
+    TH: { code: '66', min: 8, max: 9, trunk: '0' },
+    TR: { code: '90', min: 10, max: 10, trunk: '0' },
+    TW: { code: '886', min: 8, max: 9, trunk: '0' },
+    UA: { code: '380', min: 9, max: 9, trunk: '0' },
+    US: { code: '1', min: 10, max: 10, trunk: '1' },
+    VE: { code: '58', min: 10, max: 10, trunk: '0' },
+    VN: { code: '84', min: 9, max: 10, trunk: '0' },
+    ZA: { code: '27', min: 9, max: 9, trunk: '0' }
+}
+
+/**
+ * All assigned ITU-T E.164 country calling codes
+ *
+ * @private
+ */
+const CALLING_CODES = new Set([
+    '1', '7', '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+    '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66', '81', '82', '84', '86',
+    '90', '91', '92', '93', '94', '95', '98',
+    '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229',
+    '230', '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244', '245',
+    '246', '247', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258', '260', '261', '262',
+    '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+    '350', '351', '352', '353', '354', '355', '356', '357', '358', '359', '370', '371', '372', '373', '374', '375',
+    '376', '377', '378', '379', '380', '381', '382', '383', '385', '386', '387', '389', '420', '421', '423',
+    '500', '501', '502', '503', '504', '505', '506', '507', '508', '509', '590', '591', '592', '593', '594', '595',
+    '596', '597', '598', '599', '670', '672', '673', '674', '675', '676', '677', '678', '679', '680', '681', '682',
+    '683', '685', '686', '687', '688', '689', '690', '691', '692', '800', '808', '850', '852', '853', '855', '856',
+    '870', '878', '880', '881', '882', '883', '886', '888', '960', '961', '962', '963', '964', '965', '966', '967',
+    '968', '970', '971', '972', '973', '974', '975', '976', '977', '979', '992', '993', '994', '995', '996', '997', '998'
+])
+
+/**
+ * Parse a phone number
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.phone.parse('0917 123 4567', 'PH'))
+ * // { valid: true, number: '639171234567', countryCode: '63', nationalNumber: '9171234567', reason: '' }
+ *
+ * @param {string} number Phone number in international (eg. "+63 917 123 4567", "00639171234567", "639171234567") or national format (eg. "0917 123 4567").
+ * With a defaultCountry, digits that start with its country code and fit as an international number are taken as international,
+ * so normalized numbers stay the same when normalized again. Other numbers without "+" or "00", and formatted ones like "393 123 4567", are read as national first.
+ * @param {string} defaultCountry ISO 3166-1 alpha-2 code of the country used for national format numbers (eg. "PH").
+ *
+ * @returns {Object} Object with valid (boolean), number (international format without "+"), countryCode, nationalNumber and reason (why the number is invalid).
+ * @throws {Error} If defaultCountry is unknown
+ */
+function parse(number, defaultCountry = '') {
+    let country = null
+    if (defaultCountry) {
+        country = COUNTRIES[defaultCountry.toUpperCase()]
+        if (!country) {
+            throw new InfobipValidationError(`Unknown default country "${defaultCountry}".`)
+        }
+    }
+
+    let trimmed = String(number).trim()
+    let formatted = /[\s\-.()\/]/.test(trimmed)
+    let cleaned = trimmed.replace(/[\s\-.()\/]/g, '')
+    let international = false
+    if (cleaned.startsWith('+')) {
+        cleaned = cleaned.substr(1)
+        international = true
+    } else if (cleaned.startsWith('00')) {
+        cleaned = cleaned.substr(2)
+        international = true
+    }
+    if (!/^\d+$/.test(cleaned)) {
+        return invalid(cleaned, 'Number must contain digits only.')
+    }
+
+    if (!international && country) {
+        // Already has the country code, eg. "639171234567" for PH
+        let prefixed = cleaned.startsWith(country.code) && fits(country, cleaned.length - country.code.length)
+        if (prefixed && !formatted) {
+            return parseInternational(cleaned)
+        }
+        let national = cleaned
+        if (country.trunk && national.startsWith(country.trunk)) {
+            national = national.substr(country.trunk.length)
+        }
+        if (!fits(country, national.length)) {
+            // "393 123 4567" for IT is read as national, but falls back to the country code if that is too long
+            if (prefixed) {
+                return parseInternational(cleaned)
+            }
+            return invalid(cleaned, `Invalid length for a national number of ${defaultCountry.toUpperCase()}.`)
+        }
+        return {
+            valid: true,
+            number: country.code + national,
+            countryCode: country.code,
+            nationalNumber: national,
+            reason: ''
+        }
+    }
+    return parseInternational(cleaned)
+}
+
+/**
+ * Normalize a phone number to the international format Infobip expects (digits only, no "+")
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.phone.normalize('0917 123 4567', 'PH')) // 639171234567
+ * console.log(infobip.phone.normalize('+41 79 302 67 27')) // 41793026727
+ *
+ * @param {string} number Phone number in international or national format.
+ * @param {string} defaultCountry ISO 3166-1 alpha-2 code of the country used for national format numbers (eg. "PH").
+ * @param {boolean} strict If true, throws on invalid numbers. Otherwise invalid numbers are returned with only the formatting characters removed.
+ *
+ * @returns {string}
+ * @throws {Error}
+ */
+function normalize(number, defaultCountry = '', strict = false) {
+    let parsed = parse(number, defaultCountry)
+    if (!parsed.valid && strict) {
+        throw new InfobipValidationError(`Invalid phone number "${number}". ${parsed.reason}`)
+    }
+    return parsed.number
+}
+
+/**
+ * Parse a number in international format without prefix
+ *
+ * @private
+ * @param {string} digits
+ * @returns {Object}
+ */
+function parseInternational(digits) {
+    let countryCode = ''
+    for (let length = 1; length <= 3; length++) {
+        if (CALLING_CODES.has(digits.substr(0, length))) {
+            countryCode = digits.substr(0, length)
+            break
+        }
+    }
+    if (!countryCode) {
+        return invalid(digits, 'Unknown country code.')
+    }
+    let national = digits.substr(countryCode.length)
+    let countries = Object.keys(COUNTRIES).map((key) => COUNTRIES[key]).filter((country) => {
+        return country.code === countryCode
+    })
+    if (countries.length > 0) {
+        if (!countries.some((country) => fits(country, national.length))) {
+            return invalid(digits, `Invalid length for country code ${countryCode}.`)
+        }
+    } else if (digits.length < 8 || digits.length > 15) {
+        return invalid(digits, 'Number must have 8 to 15 digits.')
+    }
+    return {
+        valid: true,
+        number: digits,
+        countryCode: countryCode,
+        nationalNumber: national,
+        reason: ''
+    }
+}
+
+/**
+ * Check the national number length against the numbering plan
+ *
+ * @private
+ * @param {Object} country
+ * @param {number} length
+ * @returns {boolean}
+ */
+function fits(country, length) {
+    return length >= country.min && length <= country.max
+}
+
+/**
+ * Result for an invalid number
+ *
+ * @private
+ * @param {string} cleaned
+ * @param {string} reason
+ * @returns {Object}
+ */
+function invalid(cleaned, reason) {
+    return {
+        valid: false,
+        number: cleaned,
+        countryCode: '',
+        nationalNumber: '',
+        reason: reason
+    }
+}
+
+module.exports = {
+    normalize: normalize,
+    parse: parse
+}
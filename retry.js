@@ -0,0 +1,145 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Default retry policy
+ *
+ * @private
+ */
+const DEFAULT_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 300,
+    maxDelay: 10000,
+    jitter: true,
+    respectRetryAfter: true,
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    networkErrors: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryUnsafe: false
+}
+
+/**
+ * Build a retry policy from the defaults
+ *
+ * @example
+ * let policy = infobip.retry.policy({ maxAttempts: 5, statusCodes: [429, 503] })
+ *
+ * @param {Object} overrides Optional. maxAttempts (total tries including the first one), baseDelay and maxDelay (milliseconds),
+ * jitter (randomize delays), respectRetryAfter (wait as long as the Retry-After header says, giving up if it is longer than maxDelay),
+ * statusCodes and networkErrors (what counts as retryable), methods (retried by default) and retryUnsafe (also retry POST requests).
+ *
+ * @returns {Object}
+ */
+function policy(overrides = {}) {
+    return Object.assign({}, DEFAULT_POLICY, overrides)
+}
+
+/**
+ * Retry failed requests of an axios instance.
+ *
+ * Requests with a method in policy.methods are retried. Other requests (eg. sending a message with POST) are retried only if policy.retryUnsafe is true or the request config has "retry: true".
+ * A request config with "retry: false" is never retried.
+ *
+ * @private
+ * @param {Object} instance Instance of axios
+ * @param {Function} getPolicy Returns the policy to use, or false to disable retrying.
+ * @returns {Object} The same instance
+ */
+function attach(instance, getPolicy) {
+    instance.interceptors.response.use(undefined, async (error) => {
+        let config = error.config
+        let current = getPolicy()
+        if (!config || !current || !shouldRetry(error, config, current)) {
+            throw error
+        }
+
+        let wait = delay(config.retryAttempt || 1, current)
+        let retryAfter = parseRetryAfter(error.response)
+        if (current.respectRetryAfter && retryAfter !== null) {
+            if (retryAfter > current.maxDelay) {
+                throw error
+            }
+            wait = retryAfter
+        }
+
+        config.retryAttempt = (config.retryAttempt || 1) + 1
+        await new Promise((resolve) => {
+            setTimeout(resolve, wait)
+        })
+        return instance.request(config)
+    })
+    return instance
+}
+
+/**
+ * Check if a failed request should be tried again
+ *
+ * @private
+ * @param {Error} error
+ * @param {Object} config
+ * @param {Object} current
+ * @returns {boolean}
+ */
+function shouldRetry(error, config, current) {
+    if (config.retry === false) {
+        return false
+    }
+    if ((config.retryAttempt || 1) >= current.maxAttempts) {
+        return false
+    }
+    let method = (config.method || 'get').toUpperCase()
+    if (!current.methods.includes(method) && !current.retryUnsafe && config.retry !== true) {
+        return false
+    }
+    if (error.response) {
+        return current.statusCodes.includes(error.response.status)
+    }
+    return !!error.request && current.networkErrors.includes(error.code)
+}
+
+/**
+ * Exponential backoff delay in milliseconds
+ *
+ * @private
+ * @param {number} attempt The attempt that failed, starting from 1.
+ * @param {Object} current
+ * @returns {number}
+ */
+function delay(attempt, current) {
+    let wait = Math.min(current.maxDelay, current.baseDelay * Math.pow(2, attempt - 1))
+    if (current.jitter) {
+        wait = wait / 2 + Math.random() * wait / 2
+    }
+    return Math.round(wait)
+}
+
+/**
+ * Read the Retry-After header. Supports both seconds and HTTP dates.
+ *
+ * @private
+ * @param {Object} response
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(response) {
+    let value = response && response.headers && response.headers['retry-after']
+    if (!value) {
+        return null
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000
+    }
+    let date = Date.parse(value)
+    if (isNaN(date)) {
+        return null
+    }
+    return Math.max(0, date - Date.now())
+}
+
+module.exports = {
+    attach: attach,
+    policy: policy
+}
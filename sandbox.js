@@ -0,0 +1,445 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const encoding = require('./encoding');
+const randomId = require('./helpers').randomId;
+const randomInt = require('./helpers').randomInt;
+
+
+/**
+ * Status of accepted messages, as reported by the API
+ *
+ * @private
+ */
+const PENDING = { groupId: 1, groupName: 'PENDING', id: 26, name: 'PENDING_ACCEPTED', description: 'Message sent to next instance' }
+
+/**
+ * Endpoints that send messages
+ *
+ * @private
+ */
+const SMS_SEND = /^\/sms\/\d+\/(text|binary)\/(single|advanced)$/
+const PIN_SEND = /^\/2fa\/\d+\/pin(?:\/(voice|email))?$/
+const PIN_RESEND = /^\/2fa\/\d+\/pin\/([^/]+)\/resend(?:\/(voice|email))?$/
+const PIN_VERIFY = /^\/2fa\/\d+\/pin\/([^/]+)\/verify$/
+
+/**
+ * Verification attempts of sandbox PINs, the default of 2FA applications
+ *
+ * @private
+ */
+const PIN_ATTEMPTS = 10
+
+/**
+ * Dry-run mode for outbound messages. While a sandbox is set on an Auth (see Auth.setSandbox()) or a client (the "sandbox" config),
+ * SMS and 2FA PIN sends are not sent. They get a realistic response with generated message IDs and are recorded in the outbox instead.
+ * PINs sent in the sandbox, by SMS, voice or email, can be resent and verified like real ones. Sends to the numbers and email addresses
+ * in the allowlist go through for real.
+ *
+ * @example
+ * let sandbox = new infobip.sandbox.Sandbox(['41793026700'])
+ * auth.setSandbox(sandbox)
+ *
+ * let response = await sms.single(['41793026727', '41793026700'], 'Hello')
+ * // Only 41793026700 received the message, response.messages has both
+ *
+ * console.log(sandbox.outbox) // [{ channel: 'sms', to: '41793026727', text: 'Hello', messageId: '...', ... }]
+ * console.log(sandbox.lastPin('41793026727'))
+ */
+class Sandbox {
+    /**
+     * Instantiate Sandbox class
+     *
+     * @param {Array} allowlist Numbers that receive messages for real, in international format, and email addresses that receive PINs.
+     */
+    constructor(allowlist = []) {
+        this.allowlist = []
+        this.outbox = []
+        this.pins = {}
+        this.allow(allowlist)
+    }
+
+    /**
+     * Add numbers to the allowlist
+     *
+     * @param {string|Array} numbers Numbers in international format, or email addresses.
+     */
+    allow(numbers) {
+        (Array.isArray(numbers) ? numbers : [numbers]).forEach((number) => {
+            number = address(number)
+            if (number && !this.allowlist.includes(number)) {
+                this.allowlist.push(number)
+            }
+        })
+    }
+
+    /**
+     * Check if a number receives messages for real
+     *
+     * @param {string} number
+     * @returns {boolean}
+     */
+    isAllowed(number) {
+        return this.allowlist.includes(address(number))
+    }
+
+    /**
+     * Messages in the outbox sent to a number or email address
+     *
+     * @param {string} to
+     * @returns {Array}
+     */
+    find(to) {
+        return this.outbox.filter((entry) => entry.to === address(to))
+    }
+
+    /**
+     * The PIN last sent to a number or email address in the sandbox, over any channel
+     *
+     * @param {string} to
+     * @returns {string} The PIN, or an empty string
+     */
+    lastPin(to) {
+        let pins = this.find(to).filter((entry) => entry.channel === 'pin')
+        return (pins.length > 0) ? pins[pins.length - 1].pin : ''
+    }
+
+    /**
+     * Empty the outbox and forget the sandbox PINs
+     */
+    clear() {
+        this.outbox = []
+        this.pins = {}
+    }
+
+    /**
+     * Decide what to do with a request
+     *
+     * @private
+     * @param {string} endpoint Path of the request, eg. "/sms/2/text/single"
+     * @param {Object} data Request body
+     * @returns {Object|null} Null to send the request unchanged, { response } to answer it without sending,
+     * or { data, messages, order, bulkId } to send data for real and add messages to the response.
+     */
+    _intercept(endpoint, data) {
+        let match = null
+        if (SMS_SEND.test(endpoint)) {
+            return this._sendSms(endpoint, data || {})
+        }
+        if ((match = PIN_SEND.exec(endpoint))) {
+            return this._sendPin(data || {}, match[1] || 'sms')
+        }
+        if ((match = PIN_RESEND.exec(endpoint)) && this.pins[match[1]]) {
+            return { response: this._deliverPin(this.pins[match[1]], match[2] || 'sms') }
+        }
+        if ((match = PIN_VERIFY.exec(endpoint)) && this.pins[match[1]]) {
+            return { response: this._verifyPin(this.pins[match[1]], (data || {}).pin) }
+        }
+        return null
+    }
+
+    /**
+     * Split an SMS send between the outbox and the API
+     *
+     * @private
+     * @param {string} endpoint
+     * @param {Object} data
+     * @returns {Object|null}
+     */
+    _sendSms(endpoint, data) {
+        let single = endpoint.endsWith('/single')
+        let messages = data.messages || []
+        if (single) {
+            messages = [{
+                from: data.from,
+                text: data.text,
+                destinations: (Array.isArray(data.to) ? data.to : [data.to]).map((to) => ({ to: to }))
+            }]
+        }
+        let order = []
+        let real = []
+        let fake = []
+        messages.forEach((message) => {
+            let destinations = (message.destinations || []).map((destination) => {
+                return (typeof destination === 'object') ? destination : { to: destination }
+            })
+            destinations.forEach((destination) => order.push(digits(destination.to)))
+            let allowed = destinations.filter((destination) => this.isAllowed(destination.to))
+            if (allowed.length > 0) {
+                real.push(Object.assign({}, message, { destinations: allowed }))
+            }
+            destinations.filter((destination) => !this.isAllowed(destination.to)).forEach((destination) => {
+                fake.push({ message: message, destination: destination })
+            })
+        })
+        if (fake.length <= 0) {
+            return null
+        }
+
+        let bulkId = data.bulkId || ''
+        if (!bulkId && (!single || order.length > 1)) {
+            bulkId = randomId()
+        }
+        let entries = fake.map((item) => this._record(item.message, item.destination, bulkId))
+        let accepted = entries.map((entry) => ({
+            to: entry.to,
+            status: Object.assign({}, PENDING),
+            messageId: entry.messageId,
+            smsCount: entry.smsCount
+        }))
+
+        if (real.length <= 0) {
+            let response = { messages: accepted }
+            if (bulkId) {
+                response = Object.assign({ bulkId: bulkId }, response)
+            }
+            return { response: response }
+        }
+        let realData = null
+        if (single) {
+            let to = real[0].destinations.map((destination) => destination.to)
+            realData = Object.assign({}, data, { to: Array.isArray(data.to) ? to : to[0] })
+        } else {
+            realData = Object.assign({}, data, { messages: real })
+        }
+        return { data: realData, messages: accepted, order: order, bulkId: bulkId }
+    }
+
+    /**
+     * Send a PIN in the sandbox, unless the number is allowed
+     *
+     * @private
+     * @param {Object} data
+     * @param {string} via Channel of the PIN: "sms", "voice" or "email"
+     * @returns {Object|null}
+     */
+    _sendPin(data, via) {
+        if (this.isAllowed(data.to)) {
+            return null
+        }
+        let record = {
+            pinId: randomId(),
+            pin: String(randomInt(10000)).padStart(4, '0'),
+            to: address(data.to),
+            from: data.from || '',
+            applicationId: data.applicationId,
+            templateId: data.messageId,
+            placeholders: data.placeholders || {},
+            attemptsRemaining: PIN_ATTEMPTS,
+            verified: false
+        }
+        this.pins[record.pinId] = record
+        return { response: this._deliverPin(record, via) }
+    }
+
+    /**
+     * Record a sandbox PIN in the outbox
+     *
+     * @private
+     * @param {Object} record
+     * @param {string} via Channel of the PIN: "sms", "voice" or "email"
+     * @returns {Object} PIN status, as returned by the API
+     */
+    _deliverPin(record, via) {
+        this.outbox.push({
+            channel: 'pin',
+            via: via,
+            to: record.to,
+            from: record.from,
+            pinId: record.pinId,
+            pin: record.pin,
+            applicationId: record.applicationId,
+            templateId: record.templateId,
+            placeholders: record.placeholders,
+            sentAt: new Date()
+        })
+        if (via === 'voice') {
+            return { pinId: record.pinId, to: record.to, callStatus: 'PENDING_ACCEPTED' }
+        }
+        if (via === 'email') {
+            return {
+                pinId: record.pinId,
+                to: record.to,
+                emailStatus: { name: 'PENDING_ACCEPTED', description: 'Message accepted, pending for delivery.' }
+            }
+        }
+        return {
+            pinId: record.pinId,
+            to: record.to,
+            ncStatus: 'NC_DESTINATION_REACHABLE',
+            smsStatus: 'MESSAGE_SENT'
+        }
+    }
+
+    /**
+     * Verify a sandbox PIN
+     *
+     * @private
+     * @param {Object} record
+     * @param {string} pin
+     * @returns {Object} Verification result, as returned by the API
+     */
+    _verifyPin(record, pin) {
+        let result = {
+            pinId: record.pinId,
+            msisdn: record.to,
+            verified: false,
+            attemptsRemaining: record.attemptsRemaining
+        }
+        if (record.verified || record.attemptsRemaining <= 0) {
+            result.pinError = 'NO_MORE_PIN_ATTEMPTS'
+        } else if (String(pin) === record.pin) {
+            record.verified = true
+            record.attemptsRemaining = 0
+            result.verified = true
+            result.attemptsRemaining = 0
+        } else {
+            record.attemptsRemaining -= 1
+            result.attemptsRemaining = record.attemptsRemaining
+            result.pinError = 'WRONG_PIN'
+        }
+        return result
+    }
+
+    /**
+     * Record an SMS in the outbox
+     *
+     * @private
+     * @param {Object} message
+     * @param {Object} destination
+     * @param {string} bulkId
+     * @returns {Object} The outbox entry
+     */
+    _record(message, destination, bulkId) {
+        let entry = {
+            channel: message.binary ? 'binary' : 'sms',
+            to: digits(destination.to),
+            from: message.from || '',
+            messageId: destination.messageId || randomId(),
+            bulkId: bulkId,
+            smsCount: message.binary ? 1 : encoding.analyze(message.text || '').segments,
+            sentAt: new Date()
+        }
+        if (message.binary) {
+            entry.binary = message.binary
+        } else {
+            entry.text = message.text || ''
+        }
+        let optional = ['flash', 'notifyUrl', 'callbackData', 'validityPeriod', 'sendAt']
+        optional.forEach((key) => {
+            if (message[key] !== undefined) {
+                entry[key] = message[key]
+            }
+        })
+        this.outbox.push(entry)
+        return entry
+    }
+}
+
+/**
+ * Create the sandbox asked for by environment variables: INFOBIP_SANDBOX ("1", "true" or "yes") switches it on,
+ * INFOBIP_SANDBOX_ALLOWLIST is a comma separated allowlist.
+ *
+ * @example
+ * let sandbox = infobip.sandbox.fromEnv({ INFOBIP_SANDBOX: 'true', INFOBIP_SANDBOX_ALLOWLIST: '41793026700' })
+ * console.log(sandbox.allowlist) // ['41793026700']
+ *
+ * @param {Object} env Environment variables. Defaults to process.env.
+ * @returns {Sandbox|null} New sandbox, or null if INFOBIP_SANDBOX is not set.
+ */
+function fromEnv(env = process.env) {
+    if (!['1', 'true', 'yes'].includes(String(env.INFOBIP_SANDBOX || '').toLowerCase())) {
+        return null
+    }
+    return new Sandbox((env.INFOBIP_SANDBOX_ALLOWLIST || '').split(',').map((number) => number.trim()).filter((number) => number))
+}
+
+/**
+ * Answer or trim the message sends of an axios instance while a sandbox is set
+ *
+ * @private
+ * @param {Object} instance Instance of axios
+ * @param {Function} getSandbox Returns the sandbox to use, or null to send everything.
+ * @returns {Object} The same instance
+ */
+function attach(instance, getSandbox) {
+    instance.interceptors.request.use((config) => {
+        let sandbox = getSandbox()
+        // Retries come back here with the data already trimmed
+        if (!sandbox || config.sandboxed !== undefined || (config.method || '').toLowerCase() !== 'post') {
+            return config
+        }
+        let result = sandbox._intercept((config.url || '').replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0], config.data)
+        config.sandboxed = result
+        if (result && result.response) {
+            config.adapter = () => {
+                return Promise.resolve({
+                    data: result.response,
+                    status: 200,
+                    statusText: 'OK',
+                    headers: {},
+                    config: config,
+                    request: {}
+                })
+            }
+        } else if (result) {
+            config.data = result.data
+        }
+        return config
+    })
+    instance.interceptors.response.use((response) => {
+        let result = response.config.sandboxed
+        if (result && result.messages && response.data && Array.isArray(response.data.messages)) {
+            // The API only returns a bulkId if it got several destinations
+            let bulkId = response.data.bulkId || result.bulkId
+            if (bulkId) {
+                response.data.bulkId = bulkId
+                // Retries copy the config, find the entries by messageId
+                let ids = result.messages.map((message) => message.messageId)
+                let outbox = getSandbox() ? getSandbox().outbox : []
+                outbox.forEach((entry) => {
+                    if (ids.includes(entry.messageId)) {
+                        entry.bulkId = bulkId
+                    }
+                })
+            }
+            // Back in the order of the destinations in the request
+            response.data.messages = response.data.messages.concat(result.messages).sort((a, b) => {
+                return result.order.indexOf(digits(a.to)) - result.order.indexOf(digits(b.to))
+            })
+        }
+        return response
+    })
+    return instance
+}
+
+/**
+ * Number without formatting, eg. "+41 79 302 67 27" to "41793026727"
+ *
+ * @private
+ * @param {string} number
+ * @returns {string}
+ */
+function digits(number) {
+    return String(number || '').replace(/\D/g, '')
+}
+
+/**
+ * Number without formatting, or email address in lower case
+ *
+ * @private
+ * @param {string} to
+ * @returns {string}
+ */
+function address(to) {
+    to = String(to || '')
+    return to.includes('@') ? to.trim().toLowerCase() : digits(to)
+}
+
+module.exports = {
+    attach: attach,
+    fromEnv: fromEnv,
+    Sandbox: Sandbox
+}
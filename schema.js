@@ -0,0 +1,219 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Milliseconds of the time units of durations
+ *
+ * @private
+ */
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }
+
+/**
+ * PIN types of message templates
+ *
+ * @private
+ */
+const PIN_TYPES = ['NUMERIC', 'ALPHA', 'HEX', 'ALPHANUMERIC']
+
+/**
+ * Longest PIN the API accepts
+ *
+ * @private
+ */
+const MAX_PIN_LENGTH = 16
+
+/**
+ * Configuration fields of 2FA applications that are rate limits
+ *
+ * @private
+ */
+const RATES = ['verifyPinLimit', 'sendPinPerApplicationLimit', 'sendPinPerPhoneNumberLimit']
+
+/**
+ * Parse a duration of the 2FA API, eg. "15m". The amount is optional and defaults to 1, so "h" is one hour.
+ *
+ * @example
+ * console.log(infobip.schema.parseDuration('15m')) // { amount: 15, unit: 'm', ms: 900000 }
+ * console.log(infobip.schema.parseDuration('15 min')) // null
+ *
+ * @param {string} text Duration with a unit of ms, s, m, h or d.
+ *
+ * @returns {Object|null} Object with amount, unit and ms, or null if invalid
+ */
+function parseDuration(text) {
+    let match = /^(\d*)(ms|s|m|h|d)$/.exec(String(text))
+    if (!match) {
+        return null
+    }
+    let amount = (match[1] === '') ? 1 : parseInt(match[1], 10)
+    if (amount <= 0) {
+        return null
+    }
+    return { amount: amount, unit: match[2], ms: amount * UNITS[match[2]] }
+}
+
+/**
+ * Parse a rate limit of the 2FA API, eg. "1/3s" for one attempt every 3 seconds
+ *
+ * @example
+ * console.log(infobip.schema.parseRate('3/1d')) // { attempts: 3, per: { amount: 1, unit: 'd', ms: 86400000 } }
+ * console.log(infobip.schema.parseRate('1/3sec')) // null
+ *
+ * @param {string} text Attempts and duration, separated by "/".
+ *
+ * @returns {Object|null} Object with attempts and per (a duration, see parseDuration()), or null if invalid
+ */
+function parseRate(text) {
+    let match = /^(\d+)\/(.*)$/.exec(String(text))
+    if (!match) {
+        return null
+    }
+    let attempts = parseInt(match[1], 10)
+    let per = parseDuration(match[2])
+    if (attempts <= 0 || !per) {
+        return null
+    }
+    return { attempts: attempts, per: per }
+}
+
+/**
+ * Check the properties of a 2FA application, as passed to TwoFA.newApp() or updateApp()
+ *
+ * @example
+ * console.log(infobip.schema.appErrors({ name: 'Login', configuration: { pinTimeToLive: '15 min' } }))
+ * // [{ path: 'configuration.pinTimeToLive', message: 'must be a duration like "15m" (units: ms, s, m, h, d), got "15 min"' }]
+ *
+ * @param {Object} params Application properties.
+ * @param {boolean} partial Only check the fields that are set, as in an update.
+ * @param {string} path Prefix of the paths in the errors.
+ *
+ * @returns {Array} Every problem found, as { path, message }. Empty if valid.
+ */
+function appErrors(params, partial = false, path = '') {
+    let errors = []
+    let at = (field) => path ? `${path}.${field}` : field
+    if (!isObject(params)) {
+        return [{ path: path || 'params', message: 'must be an object' }]
+    }
+    if (params.name === undefined && !partial) {
+        errors.push({ path: at('name'), message: 'is required' })
+    } else if (params.name !== undefined && (typeof params.name !== 'string' || params.name.trim() === '')) {
+        errors.push({ path: at('name'), message: 'must be a non-empty string' })
+    }
+    if (params.enabled !== undefined && typeof params.enabled !== 'boolean') {
+        errors.push({ path: at('enabled'), message: 'must be true or false' })
+    }
+    if (params.configuration === undefined) {
+        return errors
+    }
+    if (!isObject(params.configuration)) {
+        errors.push({ path: at('configuration'), message: 'must be an object' })
+        return errors
+    }
+    let configuration = params.configuration
+    if (configuration.pinAttempts !== undefined && !isCount(configuration.pinAttempts)) {
+        errors.push({ path: at('configuration.pinAttempts'), message: 'must be a whole number above 0' })
+    }
+    if (configuration.allowMultiplePinVerifications !== undefined && typeof configuration.allowMultiplePinVerifications !== 'boolean') {
+        errors.push({ path: at('configuration.allowMultiplePinVerifications'), message: 'must be true or false' })
+    }
+    if (configuration.pinTimeToLive !== undefined && !parseDuration(configuration.pinTimeToLive)) {
+        errors.push({
+            path: at('configuration.pinTimeToLive'),
+            message: `must be a duration like "15m" (units: ${Object.keys(UNITS).join(', ')}), got ${JSON.stringify(configuration.pinTimeToLive)}`
+        })
+    }
+    RATES.forEach((field) => {
+        if (configuration[field] !== undefined && !parseRate(configuration[field])) {
+            errors.push({
+                path: at(`configuration.${field}`),
+                message: `must be a rate like "1/3s" (attempts/duration), got ${JSON.stringify(configuration[field])}`
+            })
+        }
+    })
+    return errors
+}
+
+/**
+ * Check the properties of a message template, as passed to TwoFA.newMessageTemplate() or updateMessageTemplate().
+ * PINs must be 1 to 16 characters.
+ *
+ * @example
+ * console.log(infobip.schema.templateErrors({ pinType: 'NUMERIC', pinLength: 20, messageText: 'Your code' }))
+ * // [{ path: 'messageText', message: 'must contain the pinPlaceholder "{{pin}}"' }, { path: 'pinLength', message: 'must be a whole number from 1 to 16' }]
+ *
+ * @param {Object} params Template properties.
+ * @param {boolean} partial Only check the fields that are set, as in an update. messageText is then only checked for the placeholder if pinPlaceholder is set too.
+ * @param {string} path Prefix of the paths in the errors.
+ *
+ * @returns {Array} Every problem found, as { path, message }. Empty if valid.
+ */
+function templateErrors(params, partial = false, path = '') {
+    let errors = []
+    let at = (field) => path ? `${path}.${field}` : field
+    if (!isObject(params)) {
+        return [{ path: path || 'params', message: 'must be an object' }]
+    }
+    if (params.pinType === undefined && !partial) {
+        errors.push({ path: at('pinType'), message: 'is required' })
+    } else if (params.pinType !== undefined && !PIN_TYPES.includes(params.pinType)) {
+        errors.push({ path: at('pinType'), message: `must be one of ${PIN_TYPES.join(', ')}` })
+    }
+    let placeholder = (params.pinPlaceholder !== undefined || partial) ? params.pinPlaceholder : '{{pin}}'
+    if (params.pinPlaceholder !== undefined && (typeof params.pinPlaceholder !== 'string' || params.pinPlaceholder === '')) {
+        errors.push({ path: at('pinPlaceholder'), message: 'must be a non-empty string' })
+        placeholder = undefined
+    }
+    if (params.messageText === undefined && !partial) {
+        errors.push({ path: at('messageText'), message: 'is required' })
+    } else if (params.messageText !== undefined && (typeof params.messageText !== 'string' || params.messageText === '')) {
+        errors.push({ path: at('messageText'), message: 'must be a non-empty string' })
+    } else if (params.messageText !== undefined && placeholder && !params.messageText.includes(placeholder)) {
+        errors.push({ path: at('messageText'), message: `must contain the pinPlaceholder ${JSON.stringify(placeholder)}` })
+    }
+    if (params.pinLength !== undefined && (!isCount(params.pinLength) || Number(params.pinLength) > MAX_PIN_LENGTH)) {
+        errors.push({ path: at('pinLength'), message: `must be a whole number from 1 to ${MAX_PIN_LENGTH}` })
+    }
+    if (params.speechRate !== undefined && !(typeof params.speechRate === 'number' && params.speechRate >= 0.5 && params.speechRate <= 2)) {
+        errors.push({ path: at('speechRate'), message: 'must be a number from 0.5 to 2' })
+    }
+    ['senderId', 'language', 'repeatDTMF'].forEach((field) => {
+        if (params[field] !== undefined && typeof params[field] !== 'string') {
+            errors.push({ path: at(field), message: 'must be a string' })
+        }
+    })
+    return errors
+}
+
+/**
+ * Check for a whole number above 0, also as a string like "5"
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCount(value) {
+    return (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))) && Number.isInteger(Number(value)) && Number(value) > 0
+}
+
+/**
+ * Check for a plain object
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = {
+    appErrors: appErrors,
+    parseDuration: parseDuration,
+    parseRate: parseRate,
+    templateErrors: templateErrors
+}
@@ -4,6 +4,13 @@
 const axios = require('axios');
 
 //// Modules
+const hooks = require('./../hooks');
+const retry = require('./../retry');
+const attachSandbox = require('./../sandbox').attach;
+const sandboxFromEnv = require('./../sandbox').fromEnv;
+const Sandbox = require('./../sandbox').Sandbox;
+const xml = require('./../xml');
+const InfobipValidationError = require('./../errors').InfobipValidationError;
 
 
 /**
@@ -19,6 +26,9 @@ const axios = require('axios');
  * // Token authorization
  * auth = new infobip.Auth('IBSSO', 'token');
  * 
+ * // OAuth 2.0 access token. See OAuth to have it fetched and refreshed for you.
+ * auth = new infobip.Auth('Bearer', 'access-token');
+ * 
  * // Passing auth to services, for example SMS
  * let sms = new infobip.SMS();
  * sms.authorize(auth);
@@ -33,8 +43,8 @@ class Auth {
      * @throws {Error}
      */
     constructor(authType, tokenKeyOrUsername, password = '') {
-        if (!['App', 'Basic', 'IBSSO'].includes(authType)) {
-            throw new Error('Invalid authorization type.')
+        if (!['App', 'Basic', 'IBSSO', 'Bearer'].includes(authType)) {
+            throw new InfobipValidationError('Invalid authorization type.')
         }
         if (authType === 'Basic') {
             tokenKeyOrUsername = Buffer.from(`${tokenKeyOrUsername}:${password}`).toString('base64')
@@ -42,25 +52,139 @@ class Auth {
 
         this.authType = authType
         this.tokenKeyOrUsername = tokenKeyOrUsername
+        this.retryPolicy = retry.policy()
+        this.hooks = hooks.create()
+        this.sandbox = null
+        this.envSandbox = undefined
+    }
+
+    /**
+     * Configure how failed requests are retried. Applies to all services authorized with this instance, including those authorized before the call.
+     * 
+     * Reads and updates (GET, PUT, ...) are retried by default. Sends (POST) are only retried if retryUnsafe is true, or per call (eg. the "retry" option of SMS.single()).
+     * 
+     * @param {Object|boolean} policy Overrides of the default policy (see retry.policy()), or false to disable retrying.
+     * 
+     * @example
+     * auth.setRetryPolicy({ maxAttempts: 5, baseDelay: 500 })
+     * 
+     * // Disable
+     * auth.setRetryPolicy(false)
+     */
+    setRetryPolicy(policy) {
+        this.retryPolicy = (policy === false) ? false : retry.policy(policy)
+    }
+
+    /**
+     * Send SMS and 2FA PINs to a sandbox instead of the API. Applies to all services authorized with this instance, including those authorized before the call.
+     * 
+     * Sends get a fake response with generated IDs and are recorded in sandbox.outbox. Numbers in the sandbox allowlist still receive messages. See sandbox.Sandbox.
+     * 
+     * INFOBIP_SANDBOX switches the sandbox on too (see sandbox.fromEnv()), and wins over false: while it is set, services send to the sandbox it creates. It is read when axios() is first called.
+     * 
+     * @param {Sandbox|boolean} sandbox Instance of sandbox.Sandbox, or false to send for real again.
+     * @throws {InfobipValidationError}
+     * 
+     * @example
+     * let sandbox = new infobip.sandbox.Sandbox(['41793026700'])
+     * auth.setSandbox(sandbox)
+     * 
+     * // Disable
+     * auth.setSandbox(false)
+     */
+    setSandbox(sandbox) {
+        if (sandbox !== false && sandbox !== null && !(sandbox instanceof Sandbox)) {
+            throw new InfobipValidationError('Please provide an instance of Sandbox or false.')
+        }
+        this.sandbox = sandbox || null
+    }
+
+    /**
+     * Add hooks called on every API call of the services authorized with this instance, including those authorized before the call.
+     * 
+     * onRequest(request) runs before each attempt, after the Authorization header is set. Changes to request.headers are sent.
+     * onResponse(response, request) and onError(err, request) run after each attempt, so a retried call runs them more than once.
+     * request has method, url, endpoint, headers, data, attempt and config (the axios config), plus status and duration (milliseconds) after the attempt.
+     * err is an InfobipError. Hooks can be async. A hook that throws fails the call.
+     * 
+     * @param {Object} added Object with onRequest, onResponse and/or onError functions. See logger.createLogger() for a ready made one.
+     * @throws {InfobipValidationError}
+     * 
+     * @example
+     * auth.use({
+     *     onRequest: (request) => {
+     *         request.headers['X-Correlation-Id'] = correlationId()
+     *     },
+     *     onError: (err, request) => {
+     *         audit.write(request.method, request.endpoint, err.status)
+     *     }
+     * })
+     */
+    use(added) {
+        hooks.add(this.hooks, added)
+    }
+
+    /**
+     * Add a hook called before each request. See use().
+     * 
+     * @param {Function} fn
+     */
+    onRequest(fn) {
+        this.use({ onRequest: fn })
+    }
+
+    /**
+     * Add a hook called after each successful response. See use().
+     * 
+     * @param {Function} fn
+     */
+    onResponse(fn) {
+        this.use({ onResponse: fn })
     }
 
     /**
-     * Create an axios instance
+     * Add a hook called after each failed attempt. See use().
+     * 
+     * @param {Function} fn
+     */
+    onError(fn) {
+        this.use({ onError: fn })
+    }
+
+    /**
+     * Create an axios instance. Sends go to the sandbox if one is set, or if INFOBIP_SANDBOX is, see setSandbox().
      * 
      * @param {string} contentType The type of data the API returns. Values: "json" or "xml"
+     * @param {Object} options Optional axios settings: timeout, httpAgent and httpsAgent.
      */
-    axios(contentType) {
+    axios(contentType, options = {}) {
         let accept = 'application/json'
         if (contentType === 'xml') {
             accept = 'application/xml'
         }
-        return axios.create({
+        let settings = Object.assign({}, options, {
             headers: {
                 'Authorization': `${this.authType} ${this.tokenKeyOrUsername}`,
                 'Content-Type': accept,
                 'Accept': accept
             }
-        });
+        })
+        if (contentType === 'xml') {
+            // Send and receive the same objects as in JSON mode
+            settings.transformRequest = [(data) => {
+                return (data && typeof data === 'object') ? xml.serialize(data) : data
+            }]
+            settings.transformResponse = [(data) => {
+                return (typeof data === 'string' && data.trim().startsWith('<')) ? xml.parse(data) : data
+            }]
+        }
+        let instance = axios.create(settings);
+        hooks.attach(instance, () => this.hooks);
+        if (this.envSandbox === undefined) {
+            this.envSandbox = sandboxFromEnv(process.env)
+        }
+        attachSandbox(instance, () => this.sandbox || this.envSandbox);
+        return retry.attach(instance, () => this.retryPolicy);
     }
 
 }
@@ -0,0 +1,203 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+
+
+/**
+ * Status groups of a message that Infobip accepted for delivery
+ *
+ * @private
+ */
+const ACCEPTED_GROUPS = ['ACCEPTED', 'PENDING', 'DELIVERED']
+
+/**
+ * Token bucket limiting the number of messages per second
+ *
+ * @private
+ */
+class TokenBucket {
+    /**
+     * @param {number} rate Tokens added per second. Also the bucket capacity.
+     */
+    constructor(rate) {
+        this.rate = rate
+        this.tokens = rate
+        this.updatedAt = Date.now()
+    }
+
+    /**
+     * Wait until n tokens can be taken. Requests bigger than the capacity only wait for a full bucket and leave it in debt.
+     *
+     * @param {number} n
+     * @returns {Promise}
+     */
+    async take(n) {
+        while (true) {
+            let now = Date.now()
+            this.tokens = Math.min(this.rate, this.tokens + (now - this.updatedAt) / 1000 * this.rate)
+            this.updatedAt = now
+
+            let needed = Math.min(n, this.rate)
+            if (this.tokens >= needed) {
+                this.tokens -= n
+                return
+            }
+            await new Promise((resolve) => {
+                setTimeout(resolve, Math.ceil((needed - this.tokens) / this.rate * 1000))
+            })
+        }
+    }
+}
+
+/**
+ * Send one text to a large number of recipients. Splits the recipients into chunks, sends the chunks in parallel using SMS.single() and keeps under a messages-per-second limit.
+ *
+ * @example
+ * let sms = new infobip.SMS('CompanyA')
+ * sms.authorize(auth)
+ *
+ * // Chunks of 500, 4 requests at a time, max 100 messages per second
+ * let bulk = new infobip.BulkSender(sms, 500, 4, 100)
+ *
+ * let result = await bulk.send(recipients, 'Our store opens at 9AM tomorrow.')
+ * console.log(result.accepted.length, result.rejected)
+ */
+class BulkSender {
+    /**
+     * Instantiate BulkSender class
+     *
+     * @param {SMS} sms Authorized instance of the SMS service.
+     * @param {number} chunkSize Number of destinations per request.
+     * @param {number} concurrency Number of requests running at the same time.
+     * @param {number} messagesPerSecond Maximum messages sent per second. Set to 0 for no limit.
+     * @throws {Error}
+     */
+    constructor(sms, chunkSize = 1000, concurrency = 4, messagesPerSecond = 0) {
+        if (!sms) {
+            throw new InfobipValidationError('Please provide an SMS instance.')
+        }
+        if (chunkSize < 1) {
+            throw new InfobipValidationError('Invalid chunk size.')
+        }
+        if (concurrency < 1) {
+            throw new InfobipValidationError('Invalid concurrency.')
+        }
+        this.sms = sms
+        this.chunkSize = chunkSize
+        this.concurrency = concurrency
+        this.bucket = (messagesPerSecond > 0) ? new TokenBucket(messagesPerSecond) : null
+    }
+
+    /**
+     * Send a text to all recipients
+     *
+     * @param {Array} to List of destination addresses in international format.
+     * @param {string} text Text of the message that will be sent.
+     * @param {string} from Sender ID. If empty, uses the default sender of the SMS instance.
+     * @param {number} version The API version to use. If set to "", will use the SMS instance version.
+     * @param {Object} options Passed to SMS.single().
+     *
+     * @returns {Object} Object with bulkIds (Array), accepted (Array of { to, messageId, status }) and rejected (Array of { to, messageId, status, reason }).
+     */
+    async send(to, text, from = '', version = 2, options = {}) {
+        if (!Array.isArray(to) || to.length <= 0) {
+            throw new InfobipValidationError('Please provide destinations.')
+        }
+
+        let chunks = []
+        for (let i = 0; i < to.length; i += this.chunkSize) {
+            chunks.push(to.slice(i, i + this.chunkSize))
+        }
+
+        let result = {
+            bulkIds: [],
+            accepted: [],
+            rejected: []
+        }
+        let next = 0
+        let worker = async () => {
+            while (next < chunks.length) {
+                let chunk = chunks[next]
+                next += 1
+                await this._sendChunk(chunk, text, from, version, options, result)
+            }
+        }
+        let workers = []
+        for (let i = 0; i < Math.min(this.concurrency, chunks.length); i++) {
+            workers.push(worker())
+        }
+        await Promise.all(workers)
+        return result
+    }
+
+    /**
+     * Send one chunk and merge its outcome into the result
+     *
+     * @private
+     * @param {Array} chunk
+     * @param {string} text
+     * @param {string} from
+     * @param {number} version
+     * @param {Object} options
+     * @param {Object} result
+     */
+    async _sendChunk(chunk, text, from, version, options, result) {
+        if (this.bucket) {
+            await this.bucket.take(chunk.length)
+        }
+        try {
+            let data = await this.sms.single(chunk, text, from, version, options)
+            if (data.bulkId) {
+                result.bulkIds.push(data.bulkId)
+            }
+            let messages = data.messages || []
+            messages.forEach((message) => {
+                let status = message.status || {}
+                let item = {
+                    to: message.to,
+                    messageId: message.messageId,
+                    status: status
+                }
+                if (ACCEPTED_GROUPS.includes(status.groupName)) {
+                    result.accepted.push(item)
+                } else {
+                    item.reason = status.description || status.name || 'Unknown status.'
+                    result.rejected.push(item)
+                }
+            })
+        } catch (err) {
+            let reason = errorReason(err)
+            chunk.forEach((destination) => {
+                result.rejected.push({
+                    to: destination,
+                    messageId: '',
+                    status: null,
+                    reason: reason,
+                    error: err
+                })
+            })
+        }
+    }
+}
+
+/**
+ * Get a readable reason out of a failed request
+ *
+ * @private
+ * @param {*} err
+ * @returns {string}
+ */
+function errorReason(err) {
+    if (err && err.text) {
+        return err.text
+    }
+    if (err && err.message) {
+        return err.message
+    }
+    return 'Request failed.'
+}
+
+module.exports = BulkSender
@@ -0,0 +1,199 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const Webhook = require('./Webhook');
+
+/**
+ * Status group names mapped to the event emitted for them
+ *
+ * @private
+ */
+const OUTCOMES = {
+    ACCEPTED: 'pending',
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    UNDELIVERABLE: 'failed',
+    EXPIRED: 'failed',
+    REJECTED: 'rejected'
+}
+
+/**
+ * A single delivery report pushed by Infobip
+ */
+class DeliveryReport {
+    /**
+     * Instantiate from a raw report
+     *
+     * @param {Object} raw One item of the "results" array in the pushed payload.
+     */
+    constructor(raw) {
+        let status = raw.status || {}
+
+        this.messageId = raw.messageId
+        this.bulkId = raw.bulkId || ''
+        this.to = raw.to
+        this.sentAt = raw.sentAt ? new Date(raw.sentAt) : null
+        this.doneAt = raw.doneAt ? new Date(raw.doneAt) : null
+        this.smsCount = raw.smsCount || 0
+        this.price = raw.price || null
+        this.status = status
+        this.error = raw.error || null
+        this.callbackData = raw.callbackData || ''
+        this.outcome = OUTCOMES[status.groupName] || 'pending'
+        this.raw = raw
+    }
+
+    /**
+     * True if no further reports are expected for this message
+     *
+     * @returns {boolean}
+     */
+    isFinal() {
+        return this.outcome !== 'pending'
+    }
+}
+
+/**
+ * Receiver for delivery reports pushed by Infobip to the notifyUrl of SMS and 2FA messages.
+ *
+ * Emits "delivered", "failed" and "rejected" with a DeliveryReport, "pending" for intermediate statuses and "report" for all of them.
+ * Duplicate and stale (out-of-order) reports are not re-emitted, they are emitted as "duplicate" instead.
+ * A report is only remembered once its listeners returned and the promises of async listeners resolved. If one throws or rejects,
+ * the same report is emitted again when Infobip redelivers it.
+ *
+ * @example
+ * let reports = new infobip.DeliveryReports()
+ *
+ * reports.on('delivered', (report) => {
+ *     console.log(report.messageId, report.bulkId, report.doneAt)
+ * })
+ * reports.on('failed', (report) => {
+ *     console.log(report.messageId, report.error)
+ * })
+ *
+ * // Express
+ * app.post('/infobip/reports', reports.handler())
+ *
+ * // Node http
+ * http.createServer(reports.handler()).listen(8080)
+ */
+class DeliveryReports extends Webhook {
+    /**
+     * Instantiate DeliveryReports class
+     *
+     * @param {number} maxEntries Number of messages to remember for duplicate and out-of-order detection.
+     */
+    constructor(maxEntries = 10000) {
+        super()
+        this.maxEntries = maxEntries
+        this.reports = new Map()
+    }
+
+    /**
+     * Process a parsed delivery report payload
+     *
+     * @param {Object} payload Pushed body with a "results" array.
+     *
+     * @returns {Array} List of DeliveryReport that were emitted
+     * @throws {Error}
+     */
+    async process(payload) {
+        if (!payload || !Array.isArray(payload.results)) {
+            throw new InfobipValidationError('Invalid delivery report payload.')
+        }
+        let emitted = []
+        for (let raw of payload.results) {
+            if (!raw || !raw.messageId) {
+                continue
+            }
+            let report = new DeliveryReport(raw)
+            let previous = this.reports.get(report.messageId)
+            if (!this._accept(report)) {
+                this.emit('duplicate', report)
+                continue
+            }
+            try {
+                await this._emitAndWait('report', report)
+                await this._emitAndWait(report.outcome, report)
+            } catch (err) {
+                this._forget(report, previous)
+                throw err
+            }
+            emitted.push(report)
+        }
+        return emitted
+    }
+
+    /**
+     * Get the latest report for a message
+     *
+     * @param {string} messageId The ID that uniquely identifies the message sent.
+     *
+     * @returns {DeliveryReport|undefined}
+     */
+    getReport(messageId) {
+        return this.reports.get(messageId)
+    }
+
+    /**
+     * Get the latest reports of all remembered messages in a bulk
+     *
+     * @param {string} bulkId The ID that uniquely identifies the request.
+     *
+     * @returns {Array} List of DeliveryReport
+     */
+    getBulk(bulkId) {
+        return Array.from(this.reports.values()).filter((report) => {
+            return report.bulkId === bulkId
+        })
+    }
+
+    /**
+     * Store the report if it is newer than what we already have
+     *
+     * @private
+     * @param {DeliveryReport} report
+     * @returns {boolean} False for duplicates and stale reports
+     */
+    _accept(report) {
+        let previous = this.reports.get(report.messageId)
+        if (previous) {
+            if (previous.isFinal() && !report.isFinal()) {
+                return false
+            }
+            if (previous.status.name === report.status.name && previous.outcome === report.outcome) {
+                return false
+            }
+            if (previous.isFinal() && previous.doneAt && report.doneAt && report.doneAt < previous.doneAt) {
+                return false
+            }
+            this.reports.delete(report.messageId)
+        }
+        this.reports.set(report.messageId, report)
+        if (this.reports.size > this.maxEntries) {
+            this.reports.delete(this.reports.keys().next().value)
+        }
+        return true
+    }
+
+    /**
+     * Undo _accept() of a report whose listeners failed
+     *
+     * @private
+     * @param {DeliveryReport} report
+     * @param {DeliveryReport|undefined} previous The report stored before.
+     */
+    _forget(report, previous) {
+        this.reports.delete(report.messageId)
+        if (previous) {
+            this.reports.set(previous.messageId, previous)
+        }
+    }
+}
+
+DeliveryReports.DeliveryReport = DeliveryReport
+
+module.exports = DeliveryReports
@@ -0,0 +1,112 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const Webhook = require('./Webhook');
+
+/**
+ * A single inbound (mobile originated) message
+ */
+class InboundMessage {
+    /**
+     * Instantiate from a raw inbound message
+     *
+     * @param {Object} raw One item of the "results" array in the pushed payload or in getInbox().
+     */
+    constructor(raw) {
+        let text = raw.text || ''
+        let keyword = raw.keyword || ''
+        let cleanText = raw.cleanText
+        if (cleanText === undefined) {
+            cleanText = text
+            if (keyword && text.toUpperCase().startsWith(keyword.toUpperCase())) {
+                cleanText = text.substr(keyword.length)
+            }
+        }
+
+        this.messageId = raw.messageId
+        this.from = raw.from
+        this.to = raw.to
+        this.keyword = keyword
+        this.text = cleanText.trim()
+        this.fullText = text
+        this.receivedAt = raw.receivedAt ? new Date(raw.receivedAt) : null
+        this.smsCount = raw.smsCount || 0
+        this.price = raw.price || null
+        this.callbackData = raw.callbackData || ''
+        this.raw = raw
+    }
+}
+
+/**
+ * Receiver for inbound (MO) messages forwarded by Infobip to your URL.
+ *
+ * Emits "message" with an InboundMessage. Messages with an already seen messageId are emitted as "duplicate" instead.
+ * A message is only marked as seen once its listeners returned and the promises of async listeners resolved. If one throws or rejects,
+ * it is emitted again when Infobip redelivers it.
+ *
+ * @example
+ * let inbound = new infobip.InboundMessages()
+ *
+ * inbound.on('message', (message) => {
+ *     console.log(message.from, message.keyword, message.text, message.receivedAt)
+ * })
+ *
+ * // Express
+ * app.post('/infobip/inbound', inbound.handler())
+ */
+class InboundMessages extends Webhook {
+    /**
+     * Instantiate InboundMessages class
+     *
+     * @param {number} maxEntries Number of message IDs to remember for duplicate detection.
+     */
+    constructor(maxEntries = 10000) {
+        super()
+        this.maxEntries = maxEntries
+        this.seen = new Set()
+    }
+
+    /**
+     * Process a parsed inbound message payload
+     *
+     * @param {Object} payload Pushed body with a "results" array.
+     *
+     * @returns {Array} List of InboundMessage that were emitted
+     * @throws {Error}
+     */
+    async process(payload) {
+        if (!payload || !Array.isArray(payload.results)) {
+            throw new InfobipValidationError('Invalid inbound message payload.')
+        }
+        let emitted = []
+        for (let raw of payload.results) {
+            if (!raw || !raw.messageId) {
+                continue
+            }
+            let message = new InboundMessage(raw)
+            if (this.seen.has(message.messageId)) {
+                this.emit('duplicate', message)
+                continue
+            }
+            this.seen.add(message.messageId)
+            if (this.seen.size > this.maxEntries) {
+                this.seen.delete(this.seen.values().next().value)
+            }
+            try {
+                await this._emitAndWait('message', message)
+            } catch (err) {
+                this.seen.delete(message.messageId)
+                throw err
+            }
+            emitted.push(message)
+        }
+        return emitted
+    }
+}
+
+InboundMessages.InboundMessage = InboundMessage
+
+module.exports = InboundMessages
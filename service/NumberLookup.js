@@ -0,0 +1,198 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipAuthError = require('./../errors').InfobipAuthError;
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const helpers = require('./../helpers');
+const trimError = helpers.trimError;
+const normalizeTo = helpers.normalizeTo;
+
+/**
+ * Class for Number Lookup (HLR) service
+ *
+ * @example
+ * // Instantiate NumberLookup class
+ * let numberLookup = new infobip.NumberLookup()
+ */
+class NumberLookup {
+
+    /**
+     * Instantiate NumberLookup class
+     *
+     * @param {string} baseUrl Infobip personal base URL
+     * @param {number} version API version. The version is overridable on an individual method call level - useful if some methods are still using old version numbers.
+     * @param {string} contentType The type of data the API returns. Values: "json" or "xml"
+     */
+    constructor(baseUrl = 'https://api.infobip.com', version = 1, contentType = 'json') {
+        if (version < 1 || version > 2) {
+            throw new InfobipValidationError('Invalid version number.')
+        }
+        if (!(contentType === 'json' || contentType === 'xml')) {
+            throw new InfobipValidationError('Invalid content type.')
+        }
+        this.baseUrl = baseUrl;
+        this.version = version;
+        this.contentType = contentType;
+        this.axios = null;
+        this.numberFormat = {
+            defaultCountry: '',
+            strict: false
+        };
+    }
+
+    /**
+     * Authorize API calls
+     *
+     * @param {Auth} auth Instance of authorization class
+     */
+    authorize(auth) {
+        this.axios = auth.axios(this.contentType)
+    }
+
+    /**
+     * Set how numbers are normalized before the lookup. See SMS.setNumberFormat().
+     *
+     * @param {string} defaultCountry ISO 3166-1 alpha-2 code of the country used for national format numbers (eg. "PH").
+     * @param {boolean} strict If true, invalid numbers throw an Error before the request is sent.
+     */
+    setNumberFormat(defaultCountry = '', strict = false) {
+        this.numberFormat = {
+            defaultCountry: defaultCountry,
+            strict: strict
+        };
+    }
+
+    /**
+     * Look up one or more numbers and wait for the result
+     *
+     * @param {string|Array} to Numbers to look up in international format (example: 41793026727)
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     *
+     * @returns {Array} List of results parsed by NumberLookup.parseResult()
+     * @throws {Error}
+     *
+     * @example
+     * let results = await numberLookup.lookup(['41793026727', '41793026728'])
+     * console.log(results[0].reachable, results[0].ported, results[0].network.name)
+     */
+    async lookup(to, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!to || to.length <= 0) {
+                throw new InfobipValidationError('Please provide a number.')
+            }
+
+            let endPoint = `${this.baseUrl}/number/${version}/query`
+
+            let response = await this.axios.post(endPoint, {
+                to: normalizeTo(Array.isArray(to) ? to : [to], this.numberFormat)
+            });
+            let results = (response.data && response.data.results) || []
+            return results.map(NumberLookup.parseResult)
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Look up one or more numbers. Infobip sends the results to notifyUrl when they are ready. Use NumberLookup.parseResult() on each item of the pushed "results".
+     *
+     * @param {string|Array} to Numbers to look up in international format (example: 41793026727)
+     * @param {string} notifyUrl The URL on your callback server to which the results will be sent.
+     * @param {string} notifyContentType Preferred format of the results. Values: "application/json" or "application/xml".
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     *
+     * @returns {Object} Axios response.data with the bulkId and messageIds of the lookups
+     * @throws {Error}
+     *
+     * @example
+     * console.log(await numberLookup.lookupAsync(['41793026727'], 'https://www.example.com/lookups'))
+     */
+    async lookupAsync(to, notifyUrl, notifyContentType = 'application/json', version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!to || to.length <= 0) {
+                throw new InfobipValidationError('Please provide a number.')
+            }
+            if (!notifyUrl) {
+                throw new InfobipValidationError('Please provide a notifyUrl.')
+            }
+
+            let endPoint = `${this.baseUrl}/number/${version}/notify`
+
+            let response = await this.axios.post(endPoint, {
+                to: normalizeTo(Array.isArray(to) ? to : [to], this.numberFormat),
+                notifyUrl: notifyUrl,
+                notifyContentType: notifyContentType
+            });
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Parse a raw lookup result
+     *
+     * @param {Object} raw One item of the "results" array.
+     *
+     * @returns {Object} Object with to, mccMnc, imsi, valid (the number exists), reachable (the handset is reachable now), ported, roaming, network (the network currently serving the number), originalNetwork, portedNetwork, roamingNetwork, status, error and raw.
+     */
+    static parseResult(raw) {
+        let status = raw.status || {}
+        let error = raw.error || null
+        let originalNetwork = parseNetwork(raw.originalNetwork)
+        let portedNetwork = raw.ported ? parseNetwork(raw.portedNetwork) : null
+        let roamingNetwork = raw.roaming ? parseNetwork(raw.roamingNetwork) : null
+
+        return {
+            to: raw.to,
+            mccMnc: raw.mccMnc || '',
+            imsi: raw.imsi || '',
+            valid: status.groupName !== 'REJECTED' && !(error && error.permanent),
+            reachable: status.groupName === 'DELIVERED' && (!error || error.id === 0),
+            ported: !!raw.ported,
+            roaming: !!raw.roaming,
+            network: roamingNetwork || portedNetwork || originalNetwork,
+            originalNetwork: originalNetwork,
+            portedNetwork: portedNetwork,
+            roamingNetwork: roamingNetwork,
+            status: status,
+            error: error,
+            raw: raw
+        }
+    }
+}
+
+/**
+ * Rename network fields to something shorter
+ *
+ * @private
+ * @param {Object} network
+ * @returns {Object|null}
+ */
+function parseNetwork(network) {
+    if (!network) {
+        return null
+    }
+    return {
+        name: network.networkName || '',
+        prefix: network.networkPrefix || '',
+        countryName: network.countryName || '',
+        countryPrefix: network.countryPrefix || ''
+    }
+}
+
+module.exports = NumberLookup
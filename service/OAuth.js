@@ -0,0 +1,91 @@
+//// Core modules
+
+//// External modules
+const axios = require('axios');
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const trimError = require('./../helpers').trimError;
+const TokenAuth = require('./TokenAuth');
+
+/**
+ * Token lifetime in milliseconds when the token response has no valid expires_in
+ *
+ * @private
+ */
+const DEFAULT_LIFETIME = 3600000
+
+/**
+ * Shortest time in milliseconds a token is used, so a tiny expires_in does not mean a new token on every request.
+ * A token that expires sooner is rejected with 401, and then replaced.
+ *
+ * @private
+ */
+const MIN_LIFETIME = 30000
+
+/**
+ * OAuth 2.0 authorization using the client credentials grant. Exchanges the client ID and secret for an access token,
+ * caches it until shortly before it expires, and fetches a new one when needed.
+ *
+ * @example
+ * let auth = new infobip.OAuth('client-id', 'client-secret')
+ *
+ * let sms = new infobip.SMS()
+ * sms.authorize(auth)
+ * await sms.single('41793026727', 'Test sms.')
+ */
+class OAuth extends TokenAuth {
+    /**
+     * Instantiate OAuth class
+     *
+     * @param {string} clientId
+     * @param {string} clientSecret
+     * @param {string} baseUrl Infobip personal base URL
+     * @param {number} refreshMargin Milliseconds before expiry at which the token is refreshed. Tokens are kept for at least 30 seconds,
+     * and for an hour if the response has no expires_in.
+     * @throws {InfobipValidationError}
+     */
+    constructor(clientId, clientSecret, baseUrl = 'https://api.infobip.com', refreshMargin = 60000) {
+        if (!clientId || !clientSecret) {
+            throw new InfobipValidationError('Please provide a clientId and clientSecret.')
+        }
+        super('Bearer')
+        this.clientId = clientId
+        this.clientSecret = clientSecret
+        this.baseUrl = baseUrl
+        this.refreshMargin = refreshMargin
+    }
+
+    /**
+     * Fetch a new access token
+     *
+     * @returns {Promise<string>} The access token
+     * @throws {InfobipError}
+     */
+    async login() {
+        try {
+            let body = [
+                `client_id=${encodeURIComponent(this.clientId)}`,
+                `client_secret=${encodeURIComponent(this.clientSecret)}`,
+                'grant_type=client_credentials'
+            ].join('&')
+            let response = await axios.post(`${this.baseUrl}/auth/1/oauth2/token`, body, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json'
+                }
+            });
+            let expiresIn = parseInt(response.data.expires_in, 10) * 1000
+            if (!(expiresIn > 0)) {
+                expiresIn = DEFAULT_LIFETIME
+            }
+            this.tokenKeyOrUsername = response.data.access_token
+            this.expiresAt = Date.now() + Math.max(MIN_LIFETIME, expiresIn - this.refreshMargin)
+            return this.tokenKeyOrUsername
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+}
+
+module.exports = OAuth
@@ -3,8 +3,35 @@
 //// External modules
 
 //// Modules
-const trimError = require('./../helpers').trimError;
+const InfobipAuthError = require('./../errors').InfobipAuthError;
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const encoding = require('./../encoding');
+const helpers = require('./../helpers');
+const trimError = helpers.trimError;
+const buildQuery = helpers.buildQuery;
+const formatDate = helpers.formatDate;
+const normalizeTo = helpers.normalizeTo;
 
+/**
+ * Values accepted by Infobip for the transliteration option
+ * 
+ * @private
+ */
+const TRANSLITERATIONS = ['TURKISH', 'GREEK', 'CYRILLIC', 'SERBIAN_CYRILLIC', 'BULGARIAN_CYRILLIC', 'CENTRAL_EUROPEAN', 'BALTIC', 'PORTUGUESE', 'COLOMBIAN', 'NON_UNICODE']
+
+/**
+ * Language codes of the national language shift tables
+ * 
+ * @private
+ */
+const LANGUAGE_CODES = ['TR', 'ES', 'PT', 'AUTODETECT']
+
+/**
+ * Largest page of logs the API returns
+ * 
+ * @private
+ */
+const MAX_LOGS_LIMIT = 1000
 
 /**
  * Class for SMS service
@@ -28,16 +55,24 @@ class SMS {
      */
     constructor(defaultFrom = 'INFO', baseUrl = 'https://api.infobip.com', version = 1, contentType = 'json') {
         if (version < 1 || version > 2) {
-            throw new Error('Invalid version number.')
+            throw new InfobipValidationError('Invalid version number.')
         }
         if (!(contentType === 'json' || contentType === 'xml')) {
-            throw new Error('Invalid content type.')
+            throw new InfobipValidationError('Invalid content type.')
         }
         this.baseUrl = baseUrl;
         this.version = version;
         this.defaultFrom = defaultFrom;
         this.contentType = contentType;
         this.axios = null;
+        this.segmentBudget = {
+            maxSegments: 0,
+            onExceed: 'reject'
+        };
+        this.numberFormat = {
+            defaultCountry: '',
+            strict: false
+        };
     }
 
     /**
@@ -49,15 +84,55 @@ class SMS {
         this.axios = auth.axios(this.contentType)
     }
 
+    /**
+     * Set how destination numbers are normalized before sending. Numbers are always converted to international format without "+" (eg. "+41 79 302 67 27" becomes "41793026727").
+     * 
+     * @param {string} defaultCountry ISO 3166-1 alpha-2 code of the country used for national format numbers (eg. "PH" turns "0917 123 4567" into "639171234567").
+     * @param {boolean} strict If true, invalid numbers throw an Error before the request is sent.
+     * 
+     * @example
+     * sms.setNumberFormat('PH', true)
+     */
+    setNumberFormat(defaultCountry = '', strict = false) {
+        this.numberFormat = {
+            defaultCountry: defaultCountry,
+            strict: strict
+        };
+    }
+
+    /**
+     * Limit the number of segments a message may use. Applies to single() and advanced().
+     * 
+     * @param {number} maxSegments Maximum number of SMS segments per message. Set to 0 to disable.
+     * @param {string} onExceed What to do when a message is over budget. Values: "reject" (throw an Error) or "warn" (emit a process warning and send anyway).
+     * 
+     * @throws {Error}
+     * 
+     * @example
+     * // Never send a message longer than 2 segments
+     * sms.setSegmentBudget(2)
+     */
+    setSegmentBudget(maxSegments, onExceed = 'reject') {
+        if (!['reject', 'warn'].includes(onExceed)) {
+            throw new InfobipValidationError('Invalid onExceed value.')
+        }
+        this.segmentBudget = {
+            maxSegments: maxSegments,
+            onExceed: onExceed
+        };
+    }
+
     /**
      * Send single SMS. 
      * 
      * The maximum length of one message is 160 characters for the GSM7 standard or 70 characters for Unicode encoded messages.
+     * Longer messages are split into segments of 153 (GSM7) or 67 (Unicode) characters. Use infobip.encoding.analyze() to check a text beforehand.
      * 
      * @param {string|Array} to Destination addresses must be in international format (example: 41793026727)
      * @param {string} text Text of the message that will be sent.
      * @param {string} from Represents sender ID and it can be alphanumeric or numeric. Alphanumeric sender ID length should be between 3 and 11 characters (example: CompanyName). Numeric sender ID length should be between 3 and 14 characters.
      * @param {number} version The API version to use. If set to "", will use the instance version.
+     * @param {Object} options Optional. maxSegments and onExceed override the instance segment budget for this call. flash (boolean), transliteration (eg. "TURKISH") and languageCode (eg. "TR") send the message through the advanced endpoint. retry (boolean) allows retrying the send on failure, see Auth.setRetryPolicy().
      * 
      * @returns {Object} Axios response.data
      * 
@@ -67,11 +142,20 @@ class SMS {
      * 
      * // Multi numbers
      * console.log(await sms.single(['41793026727', '41793026728'], 'Test sms.'))
+     * 
+     * // Reject if the text needs more than 1 segment
+     * console.log(await sms.single('41793026727', 'Test sms.', '', 2, { maxSegments: 1 }))
+     * 
+     * // Flash message
+     * console.log(await sms.single('41793026727', 'Shown right away.', '', 2, { flash: true }))
+     * 
+     * // Turkish national language shift table
+     * console.log(await sms.single('41793026727', 'Artık ücretsiz!', '', 2, { transliteration: 'TURKISH', languageCode: 'TR' }))
      */
-    async single(to, text, from = '', version = 2) {
+    async single(to, text, from = '', version = 2, options = {}) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
@@ -79,12 +163,199 @@ class SMS {
             if (!from) {
                 from = this.defaultFrom;
             }
+            if (options.flash !== undefined || options.transliteration || options.languageCode) {
+                // advanced() normalizes the destinations
+                return await this.advanced([{
+                    from: from,
+                    destinations: Array.isArray(to) ? to : [to],
+                    text: text,
+                    flash: options.flash,
+                    transliteration: options.transliteration,
+                    languageCode: options.languageCode
+                }], '', version, options)
+            }
+            this._checkSegmentBudget(text, options)
+            to = normalizeTo(to, this.numberFormat)
             let response = await this.axios.post(
                 `${this.baseUrl}/sms/${version}/text/single`,
                 {
                     from: from,
                     to: to,
                     text: text
+                },
+                {
+                    retry: options.retry
+                }
+            );
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+
+    /**
+     * Send multiple messages in one request. Each message can have its own destinations, sender, text and delivery options.
+     *
+     * @param {Array} messages List of messages. Each message accepts: destinations (Array of numbers or objects with "to" and "messageId"), from, text, notifyUrl, notifyContentType, callbackData, validityPeriod (in minutes), sendAt (Date or ISO string), flash (boolean), transliteration and languageCode.
+     * @param {string} bulkId The ID which uniquely identifies the request. If omitted, Infobip will generate one.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * @param {Object} options Optional. maxSegments and onExceed override the instance segment budget for this call. retry (boolean) allows retrying the send on failure. Sends where every destination has a messageId are retried without it, since the IDs make them safe to repeat.
+     *
+     * @returns {Object} Axios response.data
+     *
+     * @example
+     * console.log(await sms.advanced([
+     *  {
+     *      "destinations": ["41793026727", { "to": "41793026728", "messageId": "MESSAGE-ID-2" }],
+     *      "text": "Good morning!",
+     *      "notifyUrl": "https://www.example.com/sms/advanced",
+     *      "callbackData": "campaign-a"
+     *  },
+     *  {
+     *      "from": "CompanyB",
+     *      "destinations": ["41793026729"],
+     *      "text": "Good evening!",
+     *      "validityPeriod": 720,
+     *      "sendAt": new Date("2030-06-15T16:00:00Z")
+     *  }
+     * ], 'BULK-ID-123'))
+     */
+    async advanced(messages, bulkId = '', version = 2, options = {}) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!Array.isArray(messages) || messages.length <= 0) {
+                throw new InfobipValidationError('Please provide messages.')
+            }
+
+            let payload = {
+                messages: messages.map((message) => {
+                    if (message && message.binary) {
+                        throw new InfobipValidationError('Binary messages must be sent with binary().')
+                    }
+                    let built = this._advancedMessage(message)
+                    this._checkSegmentBudget(built.text, options)
+                    return built
+                })
+            }
+            if (bulkId) {
+                payload.bulkId = bulkId
+            }
+
+            let response = await this.axios.post(
+                `${this.baseUrl}/sms/${version}/text/advanced`,
+                payload,
+                {
+                    retry: (options.retry !== undefined) ? options.retry : hasMessageIds(payload)
+                }
+            );
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Build a message for the advanced endpoint
+     *
+     * @private
+     * @param {Object} message
+     * @returns {Object}
+     * @throws {Error}
+     */
+    _advancedMessage(message) {
+        if (!message || !message.destinations || message.destinations.length <= 0) {
+            throw new InfobipValidationError('Please provide destinations for each message.')
+        }
+        validateMessage(message)
+        let destinations = message.destinations
+        if (!Array.isArray(destinations)) {
+            destinations = [destinations]
+        }
+
+        let built = {
+            from: message.from || this.defaultFrom,
+            destinations: destinations.map((destination) => {
+                if (typeof destination !== 'object') {
+                    return { to: normalizeTo(destination, this.numberFormat) }
+                }
+                return Object.assign({}, destination, {
+                    to: normalizeTo(destination.to, this.numberFormat)
+                })
+            }),
+        }
+        if (message.binary) {
+            built.binary = binaryPayload(message.binary)
+        } else {
+            built.text = message.text
+        }
+        let optional = ['flash', 'transliteration', 'notifyUrl', 'notifyContentType', 'callbackData', 'validityPeriod']
+        optional.forEach((key) => {
+            if (message[key] !== undefined && message[key] !== '') {
+                built[key] = message[key]
+            }
+        })
+        if (message.languageCode) {
+            built.language = {
+                languageCode: message.languageCode
+            }
+        }
+        if (message.sendAt) {
+            built.sendAt = (message.sendAt instanceof Date) ? formatDate(message.sendAt) : message.sendAt
+        }
+        return built
+    }
+
+    /**
+     * Send a binary SMS
+     * 
+     * @param {string|Array} to Destination addresses must be in international format (example: 41793026727)
+     * @param {string|Object} binary Hex encoded payload (example: "0f c2 4a bf 34 13 ba"), or an object with hex, dataCoding (0-255) and esmClass (0-255).
+     * @param {string} from Represents sender ID and it can be alphanumeric or numeric.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * @param {Object} options Optional. flash (boolean), bulkId, retry (boolean) and the message options accepted by advanced() such as notifyUrl, callbackData, validityPeriod and sendAt.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.binary('41793026727', { hex: '0f c2 4a bf 34 13 ba', dataCoding: 0, esmClass: 0 }))
+     */
+    async binary(to, binary, from = '', version = 2, options = {}) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!binary) {
+                throw new InfobipValidationError('Please provide a binary payload.')
+            }
+            let message = Object.assign({}, options, {
+                from: from,
+                destinations: Array.isArray(to) ? to : [to],
+                binary: binary
+            })
+            delete message.bulkId
+            delete message.retry
+
+            let payload = {
+                messages: [this._advancedMessage(message)]
+            }
+            if (options.bulkId) {
+                payload.bulkId = options.bulkId
+            }
+
+            let response = await this.axios.post(
+                `${this.baseUrl}/sms/${version}/binary/advanced`,
+                payload,
+                {
+                    retry: (options.retry !== undefined) ? options.retry : hasMessageIds(payload)
                 }
             );
             return response.data;
@@ -93,6 +364,40 @@ class SMS {
         }
     }
 
+    /**
+     * Reject or warn if the text uses more segments than allowed
+     *
+     * @private
+     * @param {string} text
+     * @param {Object} options
+     * @throws {Error}
+     */
+    _checkSegmentBudget(text, options) {
+        let maxSegments = (options.maxSegments !== undefined) ? options.maxSegments : this.segmentBudget.maxSegments
+        let onExceed = options.onExceed || this.segmentBudget.onExceed
+        if (!maxSegments) {
+            return
+        }
+        let analysis = encoding.analyze(text)
+        if (analysis.segments <= maxSegments) {
+            return
+        }
+        let message = `Message uses ${analysis.segments} ${analysis.encoding} segments, the budget is ${maxSegments}.`
+        if (analysis.unicodeCharacters.length > 0) {
+            message += ` Unicode forced by: ${analysis.unicodeCharacters.join(' ')}`
+        }
+        if (onExceed === 'warn') {
+            process.emitWarning(message, {
+                code: 'INFOBIP_SEGMENT_BUDGET'
+            })
+            return
+        }
+        let error = new InfobipValidationError(message, {
+            errors: [{ path: 'text', message: message }]
+        })
+        error.analysis = analysis
+        throw error
+    }
 
     /**
      * Getting a report via message ID
@@ -105,7 +410,7 @@ class SMS {
     async getReportByMessageId(messageId, version = 2) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
@@ -117,6 +422,466 @@ class SMS {
         }
     }
 
+    /**
+     * Get delivery reports. Each report is returned only once, subsequent calls return only the new reports.
+     * 
+     * @param {Object} filters Optional filters: bulkId, messageId and limit (max 1000).
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.getReports({ bulkId: 'BULK-ID-123', limit: 100 }))
+     */
+    async getReports(filters = {}, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            let query = buildQuery({
+                bulkId: filters.bulkId,
+                messageId: filters.messageId,
+                limit: filters.limit
+            })
+            let response = await this.axios.get(`${this.baseUrl}/sms/${version}/reports${query}`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Get sent SMS logs. Logs are available for the last 48 hours.
+     * 
+     * @param {Object} filters Optional filters: from (sender), to (destination), bulkId, messageId, status (general status eg. "DELIVERED"), sentSince (Date), sentUntil (Date) and limit (max 1000).
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.getLogs({ status: 'DELIVERED', sentSince: new Date('2030-01-01T00:00:00Z'), limit: 10 }))
+     */
+    async getLogs(filters = {}, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            let query = buildQuery({
+                from: filters.from,
+                to: filters.to,
+                bulkId: filters.bulkId,
+                messageId: filters.messageId,
+                generalStatus: filters.status,
+                sentSince: filters.sentSince,
+                sentUntil: filters.sentUntil,
+                limit: filters.limit
+            })
+            let response = await this.axios.get(`${this.baseUrl}/sms/${version}/logs${query}`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Iterate over all pending delivery reports, fetching pages of "limit" reports until none are left.
+     * 
+     * @param {Object} filters Same as getReports().
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {AsyncIterator} Yields one report at a time
+     * 
+     * @example
+     * for await (const report of sms.iterateReports({ bulkId: 'BULK-ID-123' })) {
+     *     console.log(report.messageId, report.status.name)
+     * }
+     */
+    async *iterateReports(filters = {}, version = 1) {
+        let limit = filters.limit || 1000
+        while (true) {
+            let data = await this.getReports(Object.assign({}, filters, { limit: limit }), version)
+            let results = (data && data.results) || []
+            for (let result of results) {
+                yield result
+            }
+            if (results.length < limit) {
+                return
+            }
+        }
+    }
+
+    /**
+     * Iterate over all logs matching the filters. Pages backwards in time using sentUntil until all logs are read.
+     * Each log is yielded once, also when many share a timestamp: pages are then made larger, up to 1000 logs per timestamp.
+     * Only the IDs of the logs at the timestamp where the last page ended are kept, so memory does not grow with the number of logs.
+     * 
+     * @param {Object} filters Same as getLogs(). The "limit" is used as the page size.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {AsyncIterator} Yields one log at a time
+     * 
+     * @example
+     * for await (const log of sms.iterateLogs({ sentSince: new Date('2030-01-01T00:00:00Z'), sentUntil: new Date('2030-01-02T00:00:00Z') })) {
+     *     console.log(log.messageId, log.status.groupName)
+     * }
+     */
+    async *iterateLogs(filters = {}, version = 1) {
+        let limit = filters.limit || MAX_LOGS_LIMIT
+        let pageSize = limit
+        let sentUntil = filters.sentUntil
+        // IDs of the logs yielded at the timestamp of sentUntil. Only those can come back on the next page.
+        let boundary = new Set()
+        while (true) {
+            let data = await this.getLogs(Object.assign({}, filters, { limit: pageSize, sentUntil: sentUntil }), version)
+            let results = (data && data.results) || []
+            let fresh = results.filter((result) => {
+                return !boundary.has(result.messageId)
+            })
+            for (let result of fresh) {
+                yield result
+            }
+            if (results.length < pageSize) {
+                return
+            }
+            let oldest = results.reduce((min, result) => {
+                let sentAt = new Date(result.sentAt)
+                return (sentAt < min) ? sentAt : min
+            }, new Date(results[0].sentAt))
+            if (fresh.length > 0) {
+                // Continue from the oldest log of this page. Logs sharing that timestamp are skipped through "boundary".
+                if (sentUntil === undefined || new Date(sentUntil).getTime() !== oldest.getTime()) {
+                    boundary = new Set()
+                }
+                results.forEach((result) => {
+                    if (new Date(result.sentAt).getTime() === oldest.getTime()) {
+                        boundary.add(result.messageId)
+                    }
+                })
+                sentUntil = oldest
+                pageSize = limit
+            } else if (pageSize < MAX_LOGS_LIMIT) {
+                // A full page of logs already seen all share the timestamp of sentUntil. Fetch more of them at once.
+                pageSize = Math.min(pageSize * 2, MAX_LOGS_LIMIT)
+            } else {
+                // More logs share this timestamp than the API returns, move past it
+                sentUntil = new Date(oldest.getTime() - 1)
+                boundary = new Set()
+                pageSize = limit
+            }
+        }
+    }
+
+    /**
+     * Get the scheduled send time of a bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.getScheduled('BULK-ID-123'))
+     */
+    async getScheduled(bulkId, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!bulkId) {
+                throw new InfobipValidationError('Please provide a bulkId.')
+            }
+            let response = await this.axios.get(`${this.baseUrl}/sms/${version}/bulks${buildQuery({ bulkId: bulkId })}`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Change the send time of a scheduled bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {Date|string} sendAt The new date and time of sending.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.reschedule('BULK-ID-123', new Date('2030-06-15T16:00:00Z')))
+     */
+    async reschedule(bulkId, sendAt, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!bulkId) {
+                throw new InfobipValidationError('Please provide a bulkId.')
+            }
+            if (!sendAt) {
+                throw new InfobipValidationError('Please provide sendAt.')
+            }
+            let response = await this.axios.put(
+                `${this.baseUrl}/sms/${version}/bulks${buildQuery({ bulkId: bulkId })}`,
+                {
+                    sendAt: (sendAt instanceof Date) ? formatDate(sendAt) : sendAt
+                }
+            );
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Get the status of a scheduled bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.getScheduledStatus('BULK-ID-123'))
+     */
+    async getScheduledStatus(bulkId, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!bulkId) {
+                throw new InfobipValidationError('Please provide a bulkId.')
+            }
+            let response = await this.axios.get(`${this.baseUrl}/sms/${version}/bulks/status${buildQuery({ bulkId: bulkId })}`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Update the status of a scheduled bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {string} status The new status. Values: "PAUSED", "PROCESSING" (resume) or "CANCELED".
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.updateScheduledStatus('BULK-ID-123', 'PAUSED'))
+     */
+    async updateScheduledStatus(bulkId, status, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!bulkId) {
+                throw new InfobipValidationError('Please provide a bulkId.')
+            }
+            if (!['PAUSED', 'PROCESSING', 'CANCELED'].includes(status)) {
+                throw new InfobipValidationError('Invalid status.')
+            }
+            let response = await this.axios.put(
+                `${this.baseUrl}/sms/${version}/bulks/status${buildQuery({ bulkId: bulkId })}`,
+                {
+                    status: status
+                }
+            );
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Cancel a scheduled bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.cancelScheduled('BULK-ID-123'))
+     */
+    async cancelScheduled(bulkId, version = 1) {
+        return this.updateScheduledStatus(bulkId, 'CANCELED', version)
+    }
+
+    /**
+     * Pause a scheduled bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.pauseScheduled('BULK-ID-123'))
+     */
+    async pauseScheduled(bulkId, version = 1) {
+        return this.updateScheduledStatus(bulkId, 'PAUSED', version)
+    }
+
+    /**
+     * Resume a paused bulk
+     * 
+     * @param {string} bulkId The ID that uniquely identifies the scheduled request.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.resumeScheduled('BULK-ID-123'))
+     */
+    async resumeScheduled(bulkId, version = 1) {
+        return this.updateScheduledStatus(bulkId, 'PROCESSING', version)
+    }
+
+    /**
+     * Get received (inbound) messages. Each message is returned only once, subsequent calls return only the new messages.
+     * 
+     * @param {number} limit Maximum number of messages to return. Max 1000.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Axios response.data
+     * 
+     * @example
+     * console.log(await sms.getInbox(100))
+     */
+    async getInbox(limit = '', version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            let response = await this.axios.get(`${this.baseUrl}/sms/${version}/inbox/reports${buildQuery({ limit: limit })}`);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Iterate over all received messages, fetching pages of "limit" messages until none are pending.
+     * 
+     * @param {number} limit Page size. Max 1000.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {AsyncIterator} Yields one message at a time
+     * 
+     * @example
+     * for await (const message of sms.iterateInbox()) {
+     *     console.log(message.from, message.cleanText)
+     * }
+     */
+    async *iterateInbox(limit = 1000, version = 1) {
+        while (true) {
+            let data = await this.getInbox(limit, version)
+            let results = (data && data.results) || []
+            for (let result of results) {
+                yield result
+            }
+            if (results.length <= 0 || !data.pendingMessageCount) {
+                return
+            }
+        }
+    }
+}
+
+/**
+ * Reject invalid combinations of message options before sending
+ * 
+ * @private
+ * @param {Object} message
+ * @throws {Error}
+ */
+function validateMessage(message) {
+    if (message.flash !== undefined && typeof message.flash !== 'boolean') {
+        throw new InfobipValidationError('Option flash must be a boolean.')
+    }
+    if (message.transliteration && !TRANSLITERATIONS.includes(message.transliteration)) {
+        throw new InfobipValidationError(`Invalid transliteration. Values: ${TRANSLITERATIONS.join(', ')}.`)
+    }
+    if (message.languageCode && !LANGUAGE_CODES.includes(message.languageCode)) {
+        throw new InfobipValidationError(`Invalid languageCode. Values: ${LANGUAGE_CODES.join(', ')}.`)
+    }
+    if (message.binary) {
+        if (message.text) {
+            throw new InfobipValidationError('A message cannot have both text and binary.')
+        }
+        if (message.transliteration || message.languageCode) {
+            throw new InfobipValidationError('Transliteration and languageCode are only available for text messages.')
+        }
+    } else if (message.dataCoding !== undefined || message.esmClass !== undefined) {
+        throw new InfobipValidationError('dataCoding and esmClass are only available for binary messages.')
+    }
+}
+
+/**
+ * Check if every destination has a client supplied messageId
+ * 
+ * @private
+ * @param {Object} payload
+ * @returns {boolean}
+ */
+function hasMessageIds(payload) {
+    return payload.messages.every((message) => {
+        return message.destinations.every((destination) => {
+            return !!destination.messageId
+        })
+    })
+}
+
+/**
+ * Build and validate the binary part of a message
+ * 
+ * @private
+ * @param {string|Object} binary
+ * @returns {Object}
+ * @throws {Error}
+ */
+function binaryPayload(binary) {
+    if (typeof binary === 'string') {
+        binary = { hex: binary }
+    }
+    if (!binary.hex || !/^[0-9a-fA-F]{2}( ?[0-9a-fA-F]{2})*$/.test(binary.hex.trim())) {
+        throw new InfobipValidationError('Binary hex must be pairs of hexadecimal digits (example: "0f c2 4a").')
+    }
+    let built = {
+        hex: binary.hex.trim()
+    }
+    let bytes = ['dataCoding', 'esmClass']
+    bytes.forEach((key) => {
+        if (binary[key] === undefined) {
+            return
+        }
+        if (!Number.isInteger(binary[key]) || binary[key] < 0 || binary[key] > 255) {
+            throw new InfobipValidationError(`Binary ${key} must be an integer from 0 to 255.`)
+        }
+        built[key] = binary[key]
+    })
+    return built
 }
 
-module.exports = SMS
\ No newline at end of file
+module.exports = SMS
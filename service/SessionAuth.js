@@ -0,0 +1,102 @@
+//// Core modules
+
+//// External modules
+const axios = require('axios');
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const trimError = require('./../helpers').trimError;
+const TokenAuth = require('./TokenAuth');
+
+/**
+ * IBSSO token authorization that manages its own session. Logs in with username and password on first use,
+ * logs in again when the session expires or the API answers 401, and replays the failed request.
+ *
+ * @example
+ * let auth = new infobip.SessionAuth('username', 'password')
+ *
+ * let sms = new infobip.SMS()
+ * sms.authorize(auth)
+ * await sms.single('41793026727', 'Test sms.')
+ *
+ * // End the session when done
+ * await auth.logout()
+ */
+class SessionAuth extends TokenAuth {
+    /**
+     * Instantiate SessionAuth class
+     *
+     * @param {string} username
+     * @param {string} password
+     * @param {string} baseUrl Infobip personal base URL
+     * @param {number} sessionTimeout Idle time in milliseconds after which Infobip expires the session. Defaults to 60 minutes.
+     * @throws {InfobipValidationError}
+     */
+    constructor(username, password, baseUrl = 'https://api.infobip.com', sessionTimeout = 3600000) {
+        if (!username || !password) {
+            throw new InfobipValidationError('Please provide a username and password.')
+        }
+        super('IBSSO')
+        this.username = username
+        this.password = password
+        this.baseUrl = baseUrl
+        this.sessionTimeout = sessionTimeout
+    }
+
+    /**
+     * Keep the session alive while it is in use
+     */
+    touch() {
+        this.expiresAt = Date.now() + this.sessionTimeout
+    }
+
+    /**
+     * Create a new session
+     *
+     * @returns {Promise<string>} The session token
+     * @throws {InfobipError}
+     */
+    async login() {
+        try {
+            let response = await axios.post(`${this.baseUrl}/auth/1/session`, {
+                username: this.username,
+                password: this.password
+            }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                }
+            });
+            this.tokenKeyOrUsername = response.data.token
+            this.touch()
+            return this.tokenKeyOrUsername
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Destroy the current session. The next request logs in again.
+     *
+     * @throws {InfobipError}
+     */
+    async logout() {
+        if (!this.tokenKeyOrUsername) {
+            return
+        }
+        let token = this.tokenKeyOrUsername
+        this.tokenKeyOrUsername = ''
+        this.expiresAt = 0
+        try {
+            await axios.delete(`${this.baseUrl}/auth/1/session`, {
+                headers: {
+                    'Authorization': `IBSSO ${token}`
+                }
+            });
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+}
+
+module.exports = SessionAuth
@@ -3,6 +3,8 @@
 //// External modules
 
 //// Modules
+const InfobipAuthError = require('./../errors').InfobipAuthError;
+const InfobipValidationError = require('./../errors').InfobipValidationError;
 const trimError = require('./../helpers').trimError;
 
 /**
@@ -24,10 +26,10 @@ class Settings {
      */
     constructor(accountKey = '_', baseUrl = 'https://api.infobip.com', version = 1, contentType = 'json') {
         if (version < 1 || version > 2) {
-            throw new Error('Invalid version number.')
+            throw new InfobipValidationError('Invalid version number.')
         }
         if (!(contentType === 'json' || contentType === 'xml')) {
-            throw new Error('Invalid content type.')
+            throw new InfobipValidationError('Invalid content type.')
         }
         this.baseUrl = baseUrl;
         this.version = version;
@@ -61,7 +63,7 @@ class Settings {
     async getApiKeys(enabled = '', version = 1) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
@@ -95,13 +97,13 @@ class Settings {
     async getApiKey(key, version = 1) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
             }
             if (!key) {
-                throw new Error('Please provide a key.')
+                throw new InfobipValidationError('Please provide a key.')
             }
 
             let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys/${key}`
@@ -128,20 +130,24 @@ class Settings {
      * console.log(await settings.getApiKeyByPublicKey('abc'))
      */
     async getApiKeyByPublicKey(key, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!key) {
-            throw new Error('Please provide a key.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!key) {
+                throw new InfobipValidationError('Please provide a key.')
+            }
 
-        let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys?publicApiKey=${key}`
+            let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys?publicApiKey=${key}`
 
-        let response = await this.axios.get(endPoint);
-        return response.data;
+            let response = await this.axios.get(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -158,20 +164,24 @@ class Settings {
      * console.log(await settings.getApiKeyByName('live-server'))
      */
     async getApiKeyByName(name, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!name) {
-            throw new Error('Please provide a name.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!name) {
+                throw new InfobipValidationError('Please provide a name.')
+            }
 
-        let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys?name=${name}`
+            let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys?name=${name}`
 
-        let response = await this.axios.get(endPoint);
-        return response.data;
+            let response = await this.axios.get(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -194,20 +204,24 @@ class Settings {
      * }))
      */
     async newApiKey(params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
 
-        let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys`
+            let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys`
 
-        let response = await this.axios.post(endPoint, params);
-        return response.data;
+            let response = await this.axios.post(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -228,23 +242,27 @@ class Settings {
      * }))
      */
     async updateApiKey(key, params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!key) {
-            throw new Error('Please provide a key.')
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!key) {
+                throw new InfobipValidationError('Please provide a key.')
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
 
-        let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys/${key}`
+            let endPoint = `${this.baseUrl}/settings/${version}/accounts/${this.accountKey}/api-keys/${key}`
 
-        let response = await this.axios.put(endPoint, params);
-        return response.data;
+            let response = await this.axios.put(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 }
 
@@ -0,0 +1,95 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipError = require('./../errors').InfobipError;
+const Auth = require('./Auth');
+
+/**
+ * Base class for authorizations that fetch their own expiring token. Subclasses implement login().
+ *
+ * The token is fetched on first use and cached until it expires. Concurrent requests wait for the same fetch.
+ * If the API answers 401 anyway, a new token is fetched and the request is replayed once.
+ */
+class TokenAuth extends Auth {
+    /**
+     * Instantiate TokenAuth class
+     *
+     * @param {string} authType Prefix of the Authorization header. Values: "IBSSO" or "Bearer"
+     */
+    constructor(authType) {
+        super(authType, '')
+        this.expiresAt = 0
+        this.pending = null
+    }
+
+    /**
+     * Create an axios instance that adds the current token to every request
+     *
+     * @param {string} contentType The type of data the API returns. Values: "json" or "xml"
+     * @param {Object} options Optional axios settings: timeout, httpAgent and httpsAgent.
+     */
+    axios(contentType, options = {}) {
+        let instance = super.axios(contentType, options)
+        instance.interceptors.request.use(async (config) => {
+            config.headers.Authorization = `${this.authType} ${await this.token()}`
+            return config
+        })
+        instance.interceptors.response.use(undefined, async (error) => {
+            let config = error.config
+            if (!config || !error.response || error.response.status !== 401 || config.tokenRenewed) {
+                throw error
+            }
+            // Token was revoked or expired early. Fetch a new one, unless another request already did.
+            if (config.headers.Authorization === `${this.authType} ${this.tokenKeyOrUsername}`) {
+                this.expiresAt = 0
+            }
+            config.tokenRenewed = true
+            return instance.request(config)
+        })
+        return instance
+    }
+
+    /**
+     * Get a valid token, fetching a new one if needed
+     *
+     * @returns {Promise<string>}
+     * @throws {InfobipError}
+     */
+    async token() {
+        if (this.tokenKeyOrUsername && Date.now() < this.expiresAt) {
+            this.touch()
+            return this.tokenKeyOrUsername
+        }
+        // Concurrent requests share one fetch
+        if (!this.pending) {
+            this.pending = this.login().then((token) => {
+                this.pending = null
+                return token
+            }, (err) => {
+                this.pending = null
+                throw err
+            })
+        }
+        return this.pending
+    }
+
+    /**
+     * Called each time the cached token is used
+     */
+    touch() {
+    }
+
+    /**
+     * Fetch a new token. Implementations set tokenKeyOrUsername and expiresAt.
+     *
+     * @returns {Promise<string>} The token
+     * @throws {InfobipError}
+     */
+    async login() {
+        throw new InfobipError('Not implemented.')
+    }
+}
+
+module.exports = TokenAuth
@@ -1,9 +1,19 @@
 //// Core modules
+const fs = require('fs');
+const util = require('util');
 
 //// External modules
 
 //// Modules
-const trimError = require('./../helpers').trimError;
+const schema = require('./../schema');
+const yaml = require('./../yaml');
+const InfobipAuthError = require('./../errors').InfobipAuthError;
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const helpers = require('./../helpers');
+const trimError = helpers.trimError;
+const normalizeTo = helpers.normalizeTo;
+const buildQuery = helpers.buildQuery;
+const pick = helpers.pick;
 
 /**
  * Class for 2-Factor Authentication
@@ -23,15 +33,19 @@ class TwoFA {
      */
     constructor(baseUrl = 'https://api.infobip.com', version = 2, contentType = 'json') {
         if (version < 1 || version > 2) {
-            throw new Error('Invalid version number.')
+            throw new InfobipValidationError('Invalid version number.')
         }
         if (!(contentType === 'json' || contentType === 'xml')) {
-            throw new Error('Invalid content type.')
+            throw new InfobipValidationError('Invalid content type.')
         }
         this.baseUrl = baseUrl;
         this.version = version;
         this.contentType = contentType;
         this.axios = null;
+        this.numberFormat = {
+            defaultCountry: '',
+            strict: false
+        };
     }
 
     /**
@@ -43,6 +57,22 @@ class TwoFA {
         this.axios = auth.axios(this.contentType)
     }
 
+    /**
+     * Set how the "to" number of sendPin() is normalized before sending. Numbers are always converted to international format without "+" (eg. "+41 79 302 67 27" becomes "41793026727").
+     * 
+     * @param {string} defaultCountry ISO 3166-1 alpha-2 code of the country used for national format numbers (eg. "PH" turns "0917 123 4567" into "639171234567").
+     * @param {boolean} strict If true, invalid numbers throw an Error before the request is sent.
+     * 
+     * @example
+     * twoFA.setNumberFormat('PH', true)
+     */
+    setNumberFormat(defaultCountry = '', strict = false) {
+        this.numberFormat = {
+            defaultCountry: defaultCountry,
+            strict: strict
+        };
+    }
+
     /**
      * List all 2FA applications
      * 
@@ -57,7 +87,7 @@ class TwoFA {
     async getApps(version = 1) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
@@ -87,13 +117,13 @@ class TwoFA {
     async getApp(applicationId, version = 1) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
             }
             if (!applicationId) {
-                throw new Error('Please provide an applicationId.')
+                throw new InfobipValidationError('Please provide an applicationId.')
             }
 
             let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}`
@@ -107,7 +137,7 @@ class TwoFA {
 
 
     /**
-     * Create an application
+     * Create an application. The properties are checked before sending, see schema.appErrors().
      * 
      * @param {Object} params The app properties.
      * @param {number} version The API version to use. If set to "", will use the instance version.
@@ -131,24 +161,29 @@ class TwoFA {
      * }))
      */
     async newApp(params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            checkErrors('application', schema.appErrors(params))
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/applications`
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications`
 
-        let response = await this.axios.post(endPoint, params);
-        return response.data;
+            let response = await this.axios.post(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
-     * Update an app
+     * Update an app. The properties that are set are checked before sending, see schema.appErrors().
      * 
      * @param {string} applicationId Unique ID of the app.
      * @param {Object} params The app properties to update.
@@ -165,23 +200,51 @@ class TwoFA {
      * }))
      */
     async updateApp(applicationId, params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!applicationId) {
-            throw new Error('Please provide an applicationId.')
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!applicationId) {
+                throw new InfobipValidationError('Please provide an applicationId.')
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            checkErrors('application', schema.appErrors(params, true))
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}`
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}`
+            let response = await this.axios.put(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
 
-        let response = await this.axios.put(endPoint, params);
-        return response.data;
+    /**
+     * Disable an app, so it can no longer send PINs. The API cannot delete 2FA applications, this is the closest thing.
+     * Enable it again with updateApp(applicationId, { enabled: true }).
+     * 
+     * @param {string} applicationId Unique ID of the app.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} The updated app
+     * @throws {Error}
+     * 
+     * @example
+     * console.log(await twoFA.disableApp('0933F3BC087D2A617AC6DCB2EF5B8A61'))
+     */
+    async disableApp(applicationId, version = 1) {
+        // The update replaces the app, so send its current name and configuration along
+        let app = await this.getApp(applicationId, version)
+        return this.updateApp(applicationId, {
+            name: app.name,
+            configuration: app.configuration,
+            enabled: false
+        }, version)
     }
 
     /**
@@ -199,13 +262,13 @@ class TwoFA {
     async getMessageTemplates(applicationId, version = 1) {
         try {
             if (!this.axios) {
-                throw new Error('Unauthorized API call.')
+                throw new InfobipAuthError('Unauthorized API call.')
             }
             if (!version) {
                 version = this.version
             }
             if (!applicationId) {
-                throw new Error('Please provide an applicationId.')
+                throw new InfobipValidationError('Please provide an applicationId.')
             }
             
             let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages`
@@ -218,7 +281,44 @@ class TwoFA {
     }
 
     /**
-     * Create a message template
+     * Get a message template by its messageId
+     * 
+     * @param {string} applicationId Unique ID of the app.
+     * @param {string} messageId Unique ID of the template.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object}
+     * @throws {Error}
+     * 
+     * @example
+     * console.log(await twoFA.getMessageTemplate('E39FA9F9983246FEEE938A70FE0C94BD', 'B7F6CDDC480C7902D2F5DE4EB1C37E39'))
+     */
+    async getMessageTemplate(applicationId, messageId, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!applicationId) {
+                throw new InfobipValidationError('Please provide an applicationId.')
+            }
+            if (!messageId) {
+                throw new InfobipValidationError('Please provide a messageId.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages/${messageId}`
+
+            let response = await this.axios.get(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Create a message template. The properties are checked before sending, see schema.templateErrors().
      * 
      * @param {string} applicationId Unique ID of the app.
      * @param {Object} params The template properties.
@@ -241,27 +341,32 @@ class TwoFA {
      * }))
      */
     async newMessageTemplate(applicationId, params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!applicationId) {
-            throw new Error('Please provide an applicationId.')
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!applicationId) {
+                throw new InfobipValidationError('Please provide an applicationId.')
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            checkErrors('message template', schema.templateErrors(params))
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages`
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages`
 
-        let response = await this.axios.post(endPoint, params);
-        return response.data;
+            let response = await this.axios.post(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
-     * Update a message template
+     * Update a message template. The properties that are set are checked before sending, see schema.templateErrors().
      * 
      * @param {string} applicationId Unique ID of the app.
      * @param {Object} params The template properties.
@@ -284,26 +389,31 @@ class TwoFA {
      * }))
      */
     async updateMessageTemplate(applicationId, messageId, params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!applicationId) {
-            throw new Error('Please provide an applicationId.')
-        }
-        if (!messageId) {
-            throw new Error('Please provide a messageId.')
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!applicationId) {
+                throw new InfobipValidationError('Please provide an applicationId.')
+            }
+            if (!messageId) {
+                throw new InfobipValidationError('Please provide a messageId.')
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            checkErrors('message template', schema.templateErrors(params, true))
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages/${messageId}`
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/messages/${messageId}`
 
-        let response = await this.axios.put(endPoint, params);
-        return response.data;
+            let response = await this.axios.put(endPoint, params);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -311,6 +421,9 @@ class TwoFA {
      * 
      * @param {Object} params The pin properties.
      * @param {Object} version The API version to use. If set to "", uses the instance version.
+     * @param {Object} options Optional. retry (boolean) allows retrying the send on failure, see Auth.setRetryPolicy().
+     * fallback ("voice") calls the number with the same PIN if the SMS could not be sent. The response then has callStatus and fallback set to "voice",
+     * or fallbackError (an InfobipError) if the call failed.
      * 
      * @returns {Object}
      * @throws {Error}
@@ -323,22 +436,55 @@ class TwoFA {
      *  "from": "InfoSMS",
      *  "to": "41793026727"
      * }))
+     * 
+     * // Landlines can't receive SMS, call them instead
+     * console.log(await twoFA.sendPin({ ... }, 1, { fallback: 'voice' }))
      */
-    async sendPin(params, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
-        }
-        if (!version) {
-            version = this.version
-        }
-        if (!params) {
-            throw new Error('Please provide params.')
-        }
+    async sendPin(params, version = 1, options = {}) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            if (options.fallback && options.fallback !== 'voice') {
+                throw new InfobipValidationError('Invalid fallback. Values: "voice"')
+            }
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/pin`
+            if (params.to) {
+                params = Object.assign({}, params, {
+                    to: normalizeTo(params.to, this.numberFormat)
+                })
+            }
 
-        let response = await this.axios.post(endPoint, params);
-        return response.data;
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin`
+
+            let response = await this.axios.post(endPoint, params, {
+                retry: options.retry
+            });
+            if (options.fallback === 'voice' && response.data.smsStatus === 'MESSAGE_NOT_SENT') {
+                let call
+                try {
+                    call = await this.resendPinVoice(response.data.pinId, version)
+                } catch (err) {
+                    // Keep the pinId, the PIN was created even if the call failed
+                    return Object.assign({}, response.data, {
+                        fallbackError: err
+                    })
+                }
+                return Object.assign({}, response.data, {
+                    callStatus: call.callStatus,
+                    fallback: 'voice'
+                })
+            }
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -355,20 +501,229 @@ class TwoFA {
      * console.log(await twoFA.resendPin('C69BCA07517DFB8F850EC9751B36B54B'))
      */
     async resendPin(pinId, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!pinId) {
+                throw new InfobipValidationError('Please provide a pinId.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/resend`
+
+            let response = await this.axios.post(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Send a PIN code over a voice call. The message template is read out, see repeatDTMF and speechRate in newMessageTemplate().
+     * 
+     * @param {Object} params The pin properties: applicationId, messageId, to, and optionally from and placeholders.
+     * @param {Object} version The API version to use. If set to "", uses the instance version.
+     * @param {Object} options Optional. retry (boolean) allows retrying the send on failure, see Auth.setRetryPolicy().
+     * 
+     * @returns {Object} Object with pinId, to and callStatus
+     * @throws {Error}
+     * 
+     * @example
+     * 
+     * console.log(await twoFA.sendPinVoice({
+     *  "applicationId": "E39FA9F9983246FEEE938A70FE0C94BD",
+     *  "messageId": "B7F6CDDC480C7902D2F5DE4EB1C37E39",
+     *  "to": "41793026727"
+     * }))
+     */
+    async sendPinVoice(params, version = 1, options = {}) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+
+            if (params.to) {
+                params = Object.assign({}, params, {
+                    to: normalizeTo(params.to, this.numberFormat)
+                })
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/voice`
+
+            let response = await this.axios.post(endPoint, params, {
+                retry: options.retry
+            });
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Resend a PIN code over a voice call. Works for PINs first sent over SMS too.
+     * 
+     * @param {string} pinId Unique ID of the pin.
+     * @param {Object} version The API version to use. If set to "", uses the instance version.
+     * 
+     * @returns {Object} Object with pinId, to and callStatus
+     * @throws {Error}
+     * 
+     * @example
+     * 
+     * console.log(await twoFA.resendPinVoice('C69BCA07517DFB8F850EC9751B36B54B'))
+     */
+    async resendPinVoice(pinId, version = 1) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!pinId) {
+                throw new InfobipValidationError('Please provide a pinId.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/resend/voice`
+
+            let response = await this.axios.post(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
         }
-        if (!version) {
-            version = this.version
+    }
+
+    /**
+     * Send a PIN code by email. Only available in version 2 of the API.
+     * 
+     * @param {Object} params The pin properties: applicationId, messageId (an email message template), to (email address), and optionally from and placeholders.
+     * @param {Object} version The API version to use. If set to "", uses the instance version.
+     * @param {Object} options Optional. retry (boolean) allows retrying the send on failure, see Auth.setRetryPolicy().
+     * 
+     * @returns {Object} Object with pinId, to and emailStatus
+     * @throws {Error}
+     * 
+     * @example
+     * 
+     * console.log(await twoFA.sendPinEmail({
+     *  "applicationId": "E39FA9F9983246FEEE938A70FE0C94BD",
+     *  "messageId": "9C815F8AF3FAB6F3D36E1D9AF8F9D86F",
+     *  "from": "security@example.com",
+     *  "to": "jane@example.com"
+     * }))
+     */
+    async sendPinEmail(params, version = 2, options = {}) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!params) {
+                throw new InfobipValidationError('Please provide params.')
+            }
+            if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(params.to || '')) {
+                throw new InfobipValidationError('Please provide a valid email address.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/email`
+
+            let response = await this.axios.post(endPoint, params, {
+                retry: options.retry
+            });
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
         }
-        if (!pinId) {
-            throw new Error('Please provide a pinId.')
+    }
+
+    /**
+     * Resend a PIN code by email. Only available in version 2 of the API.
+     * 
+     * @param {string} pinId Unique ID of the pin.
+     * @param {Object} version The API version to use. If set to "", uses the instance version.
+     * 
+     * @returns {Object} Object with pinId, to and emailStatus
+     * @throws {Error}
+     * 
+     * @example
+     * 
+     * console.log(await twoFA.resendPinEmail('C69BCA07517DFB8F850EC9751B36B54B'))
+     */
+    async resendPinEmail(pinId, version = 2) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!pinId) {
+                throw new InfobipValidationError('Please provide a pinId.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/resend/email`
+
+            let response = await this.axios.post(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
         }
+    }
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/resend`
+    /**
+     * Get the verification status of a phone number: one entry per PIN sent to it by the app, with msisdn, verified,
+     * verifiedAt and sentAt (times in milliseconds, 0 if not yet). Useful to answer "I never got my code".
+     * 
+     * @param {string} applicationId Unique ID of the app.
+     * @param {string} msisdn Phone number in international format.
+     * @param {Object} filters Optional filters: verified (boolean) and sent (boolean).
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object} Object with a verifications array
+     * @throws {Error}
+     * 
+     * @example
+     * let status = await twoFA.getVerificationStatus('E39FA9F9983246FEEE938A70FE0C94BD', '41793026727')
+     * console.log(status.verifications.length, status.verifications.some((verification) => verification.verified))
+     */
+    async getVerificationStatus(applicationId, msisdn, filters = {}, version = 2) {
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!applicationId) {
+                throw new InfobipValidationError('Please provide an applicationId.')
+            }
+            if (!msisdn) {
+                throw new InfobipValidationError('Please provide a phone number.')
+            }
+
+            let query = buildQuery({
+                msisdn: normalizeTo(msisdn, this.numberFormat),
+                verified: filters.verified,
+                sent: filters.sent
+            })
+            let endPoint = `${this.baseUrl}/2fa/${version}/applications/${applicationId}/verifications${query}`
 
-        let response = await this.axios.post(endPoint);
-        return response.data;
+            let response = await this.axios.get(endPoint);
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
     }
 
     /**
@@ -386,26 +741,263 @@ class TwoFA {
      * console.log(await twoFA.verifyPin('C69BCA07517DFB8F850EC9751B36B54B', '123456'))
      */
     async verifyPin(pinId, pin, version = 1) {
-        if (!this.axios) {
-            throw new Error('Unauthorized API call.')
+        try {
+            if (!this.axios) {
+                throw new InfobipAuthError('Unauthorized API call.')
+            }
+            if (!version) {
+                version = this.version
+            }
+            if (!pinId) {
+                throw new InfobipValidationError('Please provide a pinId.')
+            }
+            if (!pin) {
+                throw new InfobipValidationError('Please provide a pin.')
+            }
+
+            let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/verify`
+
+            let response = await this.axios.post(endPoint, {
+                pin: pin
+            });
+            return response.data;
+        } catch (err) {
+            throw trimError(err)
+        }
+    }
+
+    /**
+     * Make the 2FA applications and message templates match a config. Applications are found by name, templates by messageId,
+     * or else by language (one template per language, "en" if not set). Missing ones are created, drifted ones updated.
+     * Fields not in the config, and applications and templates not in the config, are left alone.
+     * 
+     * Returns the plan: { dryRun, actions }. Each action has type ("application" or "template"), action ("create", "update" or "unchanged"),
+     * name (of the application), applicationId, messageId and language (templates only), and changes ({ "configuration.pinAttempts": { from, to } }).
+     * Templates to create are checked for every required field first. Those missing some have errors ([{ path, message }]) in the plan,
+     * and sync() throws before changing anything unless it is a dry run.
+     * 
+     * @param {Object|string} config { applications: [{ name, enabled, configuration, templates: [{ language, messageText, ... }] }] }, or the path of a JSON or YAML file with it.
+     * @param {Object} options Optional. dryRun (boolean) returns the plan without changing anything.
+     * @param {number} version The API version to use. If set to "", will use the instance version.
+     * 
+     * @returns {Object}
+     * @throws {InfobipValidationError} If the config is invalid, with every problem in errors
+     * 
+     * @example
+     * let plan = await twoFA.sync('2fa.yml', { dryRun: true })
+     * plan.actions.filter((action) => action.action !== 'unchanged').forEach((action) => {
+     *     console.log(action.action, action.type, action.name, action.changes)
+     * })
+     */
+    async sync(config, options = {}, version = 1) {
+        if (typeof config === 'string') {
+            config = await TwoFA.loadConfig(config)
         }
-        if (!version) {
-            version = this.version
+        checkSyncConfig(config)
+        let dryRun = !!options.dryRun
+        let apps = await this.getApps(version)
+        let actions = []
+        let steps = []
+        let errors = []
+
+        // Plan everything first, so an invalid template stops the sync before anything is changed
+        for (let [i, desired] of config.applications.entries()) {
+            let app = apps.find((existing) => existing.name === desired.name)
+            let fields = pick(desired, ['enabled', 'configuration'])
+            let action = {
+                type: 'application',
+                action: 'unchanged',
+                name: desired.name,
+                applicationId: app ? app.applicationId : null,
+                changes: diff(app || {}, fields)
+            }
+            if (!app) {
+                action.action = 'create'
+                steps.push(async () => {
+                    let created = await this.newApp(Object.assign({ name: desired.name }, fields), version)
+                    action.applicationId = created.applicationId
+                })
+            } else if (Object.keys(action.changes).length > 0) {
+                action.action = 'update'
+                // The update replaces the app, so unchanged fields are sent along
+                steps.push(() => this.updateApp(app.applicationId, {
+                    name: app.name,
+                    enabled: (fields.enabled !== undefined) ? fields.enabled : app.enabled,
+                    configuration: Object.assign({}, app.configuration, fields.configuration)
+                }, version))
+            }
+            actions.push(action)
+
+            let templates = app ? await this.getMessageTemplates(app.applicationId, version) : []
+            for (let [j, desiredTemplate] of (desired.templates || []).entries()) {
+                let language = desiredTemplate.language || 'en'
+                let template = templates.find((existing) => {
+                    return desiredTemplate.messageId ? existing.messageId === desiredTemplate.messageId : (existing.language || 'en') === language
+                })
+                if (desiredTemplate.messageId && !template) {
+                    throw new InfobipValidationError(`Message template ${desiredTemplate.messageId} not found in application "${desired.name}".`)
+                }
+                let templateFields = Object.assign({}, desiredTemplate)
+                delete templateFields.messageId
+                let templateAction = {
+                    type: 'template',
+                    action: 'unchanged',
+                    name: desired.name,
+                    applicationId: action.applicationId,
+                    messageId: template ? template.messageId : null,
+                    language: template ? (template.language || language) : language,
+                    changes: diff(template || {}, templateFields)
+                }
+                if (!template) {
+                    templateAction.action = 'create'
+                    // New templates need every required field, not just the ones that differ
+                    let problems = schema.templateErrors(templateFields)
+                    if (problems.length > 0) {
+                        templateAction.errors = problems
+                        errors.push(...problems.map((problem) => {
+                            return { path: `applications[${i}].templates[${j}].${problem.path}`, message: problem.message }
+                        }))
+                    }
+                    steps.push(async () => {
+                        let created = await this.newMessageTemplate(action.applicationId, templateFields, version)
+                        templateAction.applicationId = action.applicationId
+                        templateAction.messageId = created.messageId
+                    })
+                } else if (Object.keys(templateAction.changes).length > 0) {
+                    templateAction.action = 'update'
+                    steps.push(() => {
+                        let current = Object.assign({}, template)
+                        delete current.messageId
+                        delete current.applicationId
+                        return this.updateMessageTemplate(action.applicationId, template.messageId, Object.assign(current, templateFields), version)
+                    })
+                }
+                actions.push(templateAction)
+            }
         }
-        if (!pinId) {
-            throw new Error('Please provide a pinId.')
+        if (!dryRun) {
+            checkErrors('2FA config', errors)
+            for (let step of steps) {
+                await step()
+            }
         }
-        if (!pin) {
-            throw new Error('Please provide a pin.')
+        return {
+            dryRun: dryRun,
+            actions: actions
+        }
+    }
+
+    /**
+     * Read a sync() config from a JSON file, or a YAML file if it ends with ".yml" or ".yaml"
+     * 
+     * @param {string} file Path of the file.
+     * 
+     * @returns {Promise<Object>}
+     * @throws {InfobipValidationError} If the file cannot be read or is not valid JSON or YAML
+     * 
+     * @example
+     * let config = await infobip.TwoFA.loadConfig('config/2fa.yml')
+     * config.applications[0].configuration.pinAttempts = 3
+     * await twoFA.sync(config)
+     */
+    static async loadConfig(file) {
+        try {
+            let text = await fs.promises.readFile(file, 'utf8')
+            return /\.ya?ml$/i.test(file) ? yaml.parse(text) : JSON.parse(text)
+        } catch (err) {
+            throw new InfobipValidationError(`${file}: ${err.message}`, { cause: err })
         }
+    }
+}
 
-        let endPoint = `${this.baseUrl}/2fa/${version}/pin/${pinId}/verify`
+/**
+ * Check the shape of a sync() config
+ * 
+ * @private
+ * @param {Object} config 
+ * @throws {InfobipValidationError} With every problem in errors
+ */
+function checkSyncConfig(config) {
+    let errors = []
+    let isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+    if (!isObject(config) || !Array.isArray(config.applications)) {
+        errors.push({ path: 'applications', message: 'must be a list' })
+    } else {
+        let names = []
+        config.applications.forEach((app, i) => {
+            let path = `applications[${i}]`
+            if (!isObject(app)) {
+                errors.push({ path: path, message: 'must be an object' })
+                return
+            }
+            errors.push(...schema.appErrors(pick(app, ['name', 'enabled', 'configuration']), false, path))
+            if (typeof app.name === 'string' && names.includes(app.name)) {
+                errors.push({ path: `${path}.name`, message: `duplicates application "${app.name}"` })
+            }
+            names.push(app.name)
+            if (app.templates === undefined) {
+                return
+            }
+            if (!Array.isArray(app.templates)) {
+                errors.push({ path: `${path}.templates`, message: 'must be a list' })
+                return
+            }
+            let keys = []
+            app.templates.forEach((template, j) => {
+                if (!isObject(template)) {
+                    errors.push({ path: `${path}.templates[${j}]`, message: 'must be an object' })
+                    return
+                }
+                let key = template.messageId || `language ${template.language || 'en'}`
+                if (keys.includes(key)) {
+                    errors.push({ path: `${path}.templates[${j}]`, message: `duplicates the template of ${key}` })
+                }
+                keys.push(key)
+                errors.push(...schema.templateErrors(template, true, `${path}.templates[${j}]`))
+            })
+        })
+    }
+    checkErrors('2FA config', errors)
+}
 
-        let response = await this.axios.post(endPoint, {
-            pin: pin
-        });
-        return response.data;
+/**
+ * Throw if there are validation errors
+ * 
+ * @private
+ * @param {string} what What was checked, eg. "message template".
+ * @param {Array} errors Problems found, as { path, message }.
+ * @throws {InfobipValidationError} With every problem in errors
+ */
+function checkErrors(what, errors) {
+    if (errors.length > 0) {
+        throw new InfobipValidationError(`Invalid ${what}. ${errors.map((error) => `${error.path} ${error.message}`).join('. ')}.`, {
+            errors: errors
+        })
     }
 }
 
+/**
+ * Compare the fields of a config with the current values. Nested objects, like configuration, are compared field by field.
+ * Numbers and booleans match their string form, eg. 5 and "5".
+ * 
+ * @private
+ * @param {Object} current 
+ * @param {Object} desired 
+ * @param {string} prefix Path of the nested object.
+ * @returns {Object} Changed fields by path, eg. { "configuration.pinAttempts": { from: 10, to: 5 } }
+ */
+function diff(current, desired, prefix = '') {
+    let changes = {}
+    Object.keys(desired).forEach((key) => {
+        let from = (current || {})[key]
+        let to = desired[key]
+        if (to !== null && typeof to === 'object' && !Array.isArray(to)) {
+            Object.assign(changes, diff(from, to, `${prefix}${key}.`))
+        } else if (!util.isDeepStrictEqual(from, to) && !(from !== undefined && from !== null && typeof to !== 'object' && String(from) === String(to))) {
+            changes[`${prefix}${key}`] = { from: from, to: to }
+        }
+    })
+    return changes
+}
+
 module.exports = TwoFA
@@ -0,0 +1,319 @@
+//// Core modules
+const crypto = require('crypto');
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const MemoryStore = require('./../store').MemoryStore;
+
+
+/**
+ * Default limits of a verification session
+ *
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+    ttl: 600000,
+    resendCooldown: 30000,
+    maxResends: 3,
+    maxAttempts: 5,
+    from: '',
+    fallback: ''
+}
+
+/**
+ * How long ended sessions are kept, so late calls get their status rather than "not_found"
+ *
+ * @private
+ */
+const RETENTION = 86400000
+
+/**
+ * Phone number verification on top of TwoFA. Keeps a session per verification, mapping your session ID to the Infobip pinId,
+ * and enforces expiry, resend cooldowns and limits, and attempt limits locally before calling the API.
+ *
+ * Every call returns an object with sessionId, status, to, channel ("sms", or "voice" after a fallback), expiresAt, resendAt (times in milliseconds),
+ * resendsRemaining and attemptsRemaining.
+ * Statuses:
+ * - "sent": the PIN was sent
+ * - "not_sent": Infobip could not send the PIN, eg. to an invalid number. No session is kept.
+ * - "verified": the PIN was right. The session is removed, so verifying it again returns "not_found".
+ * - "wrong_pin": the PIN was wrong, try again
+ * - "expired": the session is older than ttl, or the PIN expired at Infobip
+ * - "exhausted": no verification attempts left
+ * - "cooldown": resend was called too soon. retryAfter has the milliseconds to wait.
+ * - "resend_limit": no resends left
+ * - "not_found": unknown or verified session
+ *
+ * @example
+ * let verifier = new infobip.Verifier(twoFA, 'APPLICATION-ID', 'MESSAGE-ID', {
+ *     store: new infobip.store.JsonFileStore('verifications.json'),
+ *     maxAttempts: 3
+ * })
+ *
+ * let started = await verifier.start('41793026727')
+ * // Later, with the PIN typed by the user
+ * let result = await verifier.verify(started.sessionId, '1234')
+ * if (result.status === 'verified') {
+ *     // ...
+ * }
+ */
+class Verifier {
+    /**
+     * Instantiate Verifier class
+     *
+     * @param {TwoFA} twoFA Authorized instance of the TwoFA service.
+     * @param {string} applicationId 2FA application used to send PINs.
+     * @param {string} messageId Message template used to send PINs.
+     * @param {Object} options Optional. store (where sessions are kept, defaults to a new store.MemoryStore), ttl (session lifetime in milliseconds,
+     * defaults to 10 minutes), resendCooldown (milliseconds between sends, defaults to 30 seconds), maxResends (defaults to 3),
+     * maxAttempts (verification attempts, defaults to 5), from (sender ID) and fallback ("voice" calls numbers the SMS could not be sent to,
+     * and resends their PIN by voice too).
+     * @throws {InfobipValidationError}
+     */
+    constructor(twoFA, applicationId, messageId, options = {}) {
+        if (!twoFA) {
+            throw new InfobipValidationError('Please provide a TwoFA instance.')
+        }
+        if (!applicationId || !messageId) {
+            throw new InfobipValidationError('Please provide an applicationId and messageId.')
+        }
+        let store = options.store || new MemoryStore()
+        if (!['get', 'set', 'delete'].every((method) => typeof store[method] === 'function')) {
+            throw new InfobipValidationError('Store must have get, set and delete methods.')
+        }
+        this.twoFA = twoFA
+        this.applicationId = applicationId
+        this.messageId = messageId
+        this.store = store
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+        delete this.options.store
+        this.queues = new Map()
+    }
+
+    /**
+     * Send a PIN and start a session
+     *
+     * @param {string} to Phone number in international format.
+     * @param {Object} placeholders Values of the placeholders in the message template, other than the PIN.
+     *
+     * @returns {Promise<Object>} Result with status "sent" or "not_sent"
+     * @throws {InfobipError}
+     */
+    async start(to, placeholders = {}) {
+        if (!to) {
+            throw new InfobipValidationError('Please provide a phone number.')
+        }
+        let params = {
+            applicationId: this.applicationId,
+            messageId: this.messageId,
+            to: to
+        }
+        if (this.options.from) {
+            params.from = this.options.from
+        }
+        if (Object.keys(placeholders).length > 0) {
+            params.placeholders = placeholders
+        }
+        let response = await this.twoFA.sendPin(params, 1, { fallback: this.options.fallback })
+
+        let now = Date.now()
+        let session = {
+            sessionId: crypto.randomBytes(16).toString('hex'),
+            pinId: response.pinId,
+            to: response.to || to,
+            channel: response.fallback || 'sms',
+            state: 'pending',
+            createdAt: now,
+            expiresAt: now + this.options.ttl,
+            lastSentAt: now,
+            resends: 0,
+            attempts: 0
+        }
+        if (response.smsStatus === 'MESSAGE_NOT_SENT' && !response.fallback) {
+            return this._result(session, 'not_sent')
+        }
+        await this._save(session)
+        return this._result(session, 'sent')
+    }
+
+    /**
+     * Send the PIN of a session again. Calls on the same session run one after the other.
+     *
+     * @param {string} sessionId
+     *
+     * @returns {Promise<Object>} Result with status "sent", "cooldown", "resend_limit", "expired", "exhausted" or "not_found"
+     * @throws {InfobipError}
+     */
+    resend(sessionId) {
+        return this._serialize(sessionId, () => this._resend(sessionId))
+    }
+
+    /**
+     * Check the PIN typed by the user. Calls on the same session run one after the other, so parallel calls cannot pass maxAttempts.
+     *
+     * @param {string} sessionId
+     * @param {string} pin
+     *
+     * @returns {Promise<Object>} Result with status "verified", "wrong_pin", "expired", "exhausted" or "not_found"
+     * @throws {InfobipError}
+     */
+    async verify(sessionId, pin) {
+        if (!pin) {
+            throw new InfobipValidationError('Please provide a pin.')
+        }
+        return this._serialize(sessionId, () => this._verify(sessionId, pin))
+    }
+
+    /**
+     * Send the PIN of a session again. See resend().
+     *
+     * @private
+     * @param {string} sessionId
+     * @returns {Promise<Object>}
+     */
+    async _resend(sessionId) {
+        let session = await this._load(sessionId)
+        if (!session) {
+            return this._result({ sessionId: sessionId }, 'not_found')
+        }
+        if (session.state !== 'pending') {
+            return this._result(session, session.state)
+        }
+        let now = Date.now()
+        if (session.resends >= this.options.maxResends) {
+            return this._result(session, 'resend_limit')
+        }
+        if (now < session.lastSentAt + this.options.resendCooldown) {
+            return Object.assign(this._result(session, 'cooldown'), {
+                retryAfter: session.lastSentAt + this.options.resendCooldown - now
+            })
+        }
+
+        if (session.channel === 'voice') {
+            await this.twoFA.resendPinVoice(session.pinId)
+        } else {
+            await this.twoFA.resendPin(session.pinId)
+        }
+        session.resends += 1
+        session.lastSentAt = Date.now()
+        await this._save(session)
+        return this._result(session, 'sent')
+    }
+
+    /**
+     * Check the PIN typed by the user. See verify().
+     *
+     * @private
+     * @param {string} sessionId
+     * @param {string} pin
+     * @returns {Promise<Object>}
+     */
+    async _verify(sessionId, pin) {
+        let session = await this._load(sessionId)
+        if (!session) {
+            return this._result({ sessionId: sessionId }, 'not_found')
+        }
+        if (session.state !== 'pending') {
+            return this._result(session, session.state)
+        }
+        if (session.attempts >= this.options.maxAttempts) {
+            session.state = 'exhausted'
+            await this._save(session)
+            return this._result(session, session.state)
+        }
+
+        let response = await this.twoFA.verifyPin(session.pinId, String(pin))
+        session.attempts += 1
+        if (response.verified) {
+            await this.store.delete(session.sessionId)
+            return this._result(session, 'verified')
+        }
+        let status = 'wrong_pin'
+        if (response.pinError === 'TTL_EXPIRED') {
+            session.state = status = 'expired'
+        } else if (response.pinError === 'NO_MORE_PIN_ATTEMPTS' || response.attemptsRemaining === 0 ||
+            session.attempts >= this.options.maxAttempts) {
+            session.state = status = 'exhausted'
+        }
+        await this._save(session)
+        return this._result(session, status)
+    }
+
+    /**
+     * Run fn after the calls queued before on the same session, whether they failed or not
+     *
+     * @private
+     * @param {string} sessionId
+     * @param {Function} fn Async function.
+     * @returns {Promise<*>} The result of fn
+     */
+    _serialize(sessionId, fn) {
+        let previous = this.queues.get(sessionId) || Promise.resolve()
+        let result = previous.then(fn)
+        let queued = result.catch(() => {})
+        this.queues.set(sessionId, queued)
+        queued.then(() => {
+            if (this.queues.get(sessionId) === queued) {
+                this.queues.delete(sessionId)
+            }
+        })
+        return result
+    }
+
+    /**
+     * Read a session, marking it expired if it is past its lifetime
+     *
+     * @private
+     * @param {string} sessionId
+     * @returns {Promise<Object|null>}
+     */
+    async _load(sessionId) {
+        if (!sessionId) {
+            throw new InfobipValidationError('Please provide a sessionId.')
+        }
+        let session = await this.store.get(sessionId)
+        if (session && session.state === 'pending' && Date.now() >= session.expiresAt) {
+            session.state = 'expired'
+            await this._save(session)
+        }
+        return session
+    }
+
+    /**
+     * Write a session. It is kept for a day after it expires.
+     *
+     * @private
+     * @param {Object} session
+     */
+    async _save(session) {
+        await this.store.set(session.sessionId, session, session.expiresAt + RETENTION)
+    }
+
+    /**
+     * Describe a session to the caller
+     *
+     * @private
+     * @param {Object} session
+     * @param {string} status
+     * @returns {Object}
+     */
+    _result(session, status) {
+        if (!session.pinId) {
+            return { sessionId: session.sessionId, status: status }
+        }
+        return {
+            sessionId: session.sessionId,
+            status: status,
+            to: session.to,
+            channel: session.channel,
+            expiresAt: session.expiresAt,
+            resendAt: session.lastSentAt + this.options.resendCooldown,
+            resendsRemaining: Math.max(0, this.options.maxResends - session.resends),
+            attemptsRemaining: (status === 'verified') ? 0 : Math.max(0, this.options.maxAttempts - session.attempts)
+        }
+    }
+}
+
+module.exports = Verifier
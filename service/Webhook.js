@@ -0,0 +1,67 @@
+//// Core modules
+const EventEmitter = require('events');
+
+//// External modules
+
+//// Modules
+const InfobipError = require('./../errors').InfobipError;
+const InfobipValidationError = require('./../errors').InfobipValidationError;
+const readBody = require('./../helpers').readBody;
+
+/**
+ * Base class for receivers of payloads pushed by Infobip. Subclasses implement process(payload) and emit events from it.
+ */
+class Webhook extends EventEmitter {
+    /**
+     * Create a request handler usable with Node http servers and Express.
+     * Responds 400 to bodies that are not valid payloads, and 500 if a listener throws or its promise rejects, so Infobip delivers the payload again.
+     *
+     * @returns {Function} Handler with signature (req, res)
+     */
+    handler() {
+        return async (req, res) => {
+            let payload = null
+            try {
+                payload = await readBody(req)
+            } catch (err) {
+                res.statusCode = 400
+                res.end()
+                return
+            }
+            try {
+                await this.process(payload)
+                res.statusCode = 200
+            } catch (err) {
+                res.statusCode = (err instanceof InfobipValidationError) ? 400 : 500
+            }
+            res.end()
+        }
+    }
+
+    /**
+     * Process a parsed payload
+     *
+     * @param {Object} payload
+     * @returns {Array}
+     * @throws {Error}
+     */
+    async process(payload) {
+        throw new InfobipError('Not implemented.')
+    }
+
+    /**
+     * Call the listeners of an event like emit(), and wait for those that are async
+     *
+     * @private
+     * @param {string} event
+     * @param {*} value Passed to the listeners.
+     * @returns {Promise} Rejects if a listener throws or rejects
+     */
+    async _emitAndWait(event, value) {
+        // rawListeners() so once() listeners remove themselves
+        let results = this.rawListeners(event).map((listener) => listener.call(this, value))
+        await Promise.all(results)
+    }
+}
+
+module.exports = Webhook
@@ -0,0 +1,189 @@
+//// Core modules
+const fs = require('fs');
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Keeps values in memory. Values are copied in and out, so changing a returned value does not change the stored one.
+ *
+ * Stores used by Verifier have async get(id), set(id, value, expiresAt) and delete(id) methods. Write your own with the same
+ * methods to keep sessions in Redis or a database.
+ *
+ * @example
+ * let store = new infobip.store.MemoryStore()
+ * await store.set('id', { a: 1 }, Date.now() + 60000)
+ * console.log(await store.get('id')) // { a: 1 }
+ */
+class MemoryStore {
+    /**
+     * Instantiate MemoryStore class
+     */
+    constructor() {
+        this.entries = new Map()
+    }
+
+    /**
+     * Get a value
+     *
+     * @param {string} id
+     * @returns {Promise<Object|null>} The value, or null if not found or expired
+     */
+    async get(id) {
+        let entry = this.entries.get(id)
+        if (!entry || isExpired(entry)) {
+            return null
+        }
+        return JSON.parse(entry.value)
+    }
+
+    /**
+     * Store a value
+     *
+     * @param {string} id
+     * @param {Object} value Anything JSON serializable.
+     * @param {number} expiresAt Time in milliseconds after which the value can be forgotten. 0 keeps it until deleted.
+     */
+    async set(id, value, expiresAt = 0) {
+        this.entries.forEach((entry, key) => {
+            if (isExpired(entry)) {
+                this.entries.delete(key)
+            }
+        })
+        this.entries.set(id, { value: JSON.stringify(value), expiresAt: expiresAt })
+    }
+
+    /**
+     * Delete a value
+     *
+     * @param {string} id
+     */
+    async delete(id) {
+        this.entries.delete(id)
+    }
+}
+
+/**
+ * Keeps values in a JSON file, so they survive restarts. The file is read on every call and replaced on every change,
+ * which is fine for a few thousand entries. Use a database for more.
+ *
+ * @example
+ * let store = new infobip.store.JsonFileStore('/var/lib/myapp/verifications.json')
+ */
+class JsonFileStore {
+    /**
+     * Instantiate JsonFileStore class
+     *
+     * @param {string} file Path of the file. Created on first write.
+     */
+    constructor(file) {
+        this.file = file
+        this.queue = Promise.resolve()
+    }
+
+    /**
+     * Get a value
+     *
+     * @param {string} id
+     * @returns {Promise<Object|null>} The value, or null if not found or expired
+     * @throws {Error} If the file cannot be read or is not valid JSON
+     */
+    async get(id) {
+        return this._run((entries) => {
+            let entry = entries[id]
+            return (entry && !isExpired(entry)) ? entry.value : null
+        })
+    }
+
+    /**
+     * Store a value
+     *
+     * @param {string} id
+     * @param {Object} value Anything JSON serializable.
+     * @param {number} expiresAt Time in milliseconds after which the value can be forgotten. 0 keeps it until deleted.
+     * @throws {Error} If the file cannot be read or written
+     */
+    async set(id, value, expiresAt = 0) {
+        return this._run((entries) => {
+            entries[id] = { value: value, expiresAt: expiresAt }
+            return null
+        }, true)
+    }
+
+    /**
+     * Delete a value
+     *
+     * @param {string} id
+     * @throws {Error} If the file cannot be read or written
+     */
+    async delete(id) {
+        return this._run((entries) => {
+            delete entries[id]
+            return null
+        }, true)
+    }
+
+    /**
+     * Run one operation at a time on the contents of the file
+     *
+     * @private
+     * @param {Function} operation Receives the entries, returns the result.
+     * @param {boolean} write Save the entries after the operation.
+     * @returns {Promise}
+     */
+    _run(operation, write = false) {
+        let run = this.queue.then(async () => {
+            let entries = await this._read()
+            let result = operation(entries)
+            if (write) {
+                Object.keys(entries).forEach((key) => {
+                    if (isExpired(entries[key])) {
+                        delete entries[key]
+                    }
+                })
+                // Write a copy and rename it, so a crash never leaves half a file
+                let temp = `${this.file}.${process.pid}.tmp`
+                await fs.promises.writeFile(temp, JSON.stringify(entries))
+                await fs.promises.rename(temp, this.file)
+            }
+            return result
+        })
+        this.queue = run.catch(() => {})
+        return run
+    }
+
+    /**
+     * Read the entries from the file
+     *
+     * @private
+     * @returns {Promise<Object>}
+     */
+    async _read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return {}
+            }
+            throw err
+        }
+    }
+}
+
+/**
+ * Check if an entry can be forgotten
+ *
+ * @private
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isExpired(entry) {
+    return entry.expiresAt > 0 && entry.expiresAt <= Date.now()
+}
+
+module.exports = {
+    JsonFileStore: JsonFileStore,
+    MemoryStore: MemoryStore
+}
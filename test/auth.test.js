@@ -0,0 +1,202 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let baseUrl
+
+before(async () => {
+    server = infobip.mock.createServer()
+    baseUrl = await server.listen()
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    await server.close()
+})
+
+/**
+ * Run a function with an authorized Settings service
+ */
+let withSettings = async (auth, fn) => {
+    let client = infobip.createClient({ baseUrl: baseUrl, auth: auth, retry: { baseDelay: 1, jitter: false } }, {})
+    try {
+        await fn(client.settings)
+    } finally {
+        client.close()
+    }
+}
+
+let logins = () => {
+    return server.requests.filter((req) => req.method === 'POST' && req.path.startsWith('/auth/')).length
+}
+
+test('Basic authorization', async () => {
+    await withSettings(new infobip.Auth('Basic', server.options.username, server.options.password), async (settings) => {
+        assert.strictEqual((await settings.getApiKeys()).apiKeys.length, 1)
+    })
+    await withSettings(new infobip.Auth('Basic', server.options.username, 'wrong'), async (settings) => {
+        let err = await settings.getApiKeys().catch((e) => e)
+        assert.ok(err instanceof infobip.errors.InfobipAuthError)
+        assert.strictEqual(err.status, 401)
+    })
+})
+
+test('calls without authorize() are rejected before sending', async () => {
+    await assert.rejects(new infobip.Settings().getApiKeys(), infobip.errors.InfobipAuthError)
+})
+
+test('SessionAuth logs in once and again after the session expires', async () => {
+    let auth = new infobip.SessionAuth(server.options.username, server.options.password, baseUrl)
+    await withSettings(auth, async (settings) => {
+        await Promise.all([settings.getApiKeys(), settings.getApiKeys(), settings.getApiKeys()])
+        assert.strictEqual(logins(), 1)
+
+        server.advance(server.options.sessionTimeout)
+        await settings.getApiKeys()
+        assert.strictEqual(logins(), 2)
+
+        let token = auth.tokenKeyOrUsername
+        await auth.logout()
+        assert.strictEqual(server.state.sessions[token], undefined)
+        await settings.getApiKeys()
+        assert.strictEqual(logins(), 3)
+    })
+})
+
+test('SessionAuth with wrong credentials throws InfobipAuthError', async () => {
+    let auth = new infobip.SessionAuth(server.options.username, 'wrong', baseUrl)
+    await withSettings(auth, async (settings) => {
+        await assert.rejects(settings.getApiKeys(), infobip.errors.InfobipAuthError)
+    })
+})
+
+test('OAuth shares one token and fetches a new one when it expires', async () => {
+    let auth = new infobip.OAuth(server.options.clientId, server.options.clientSecret, baseUrl, 0)
+    await withSettings(auth, async (settings) => {
+        await Promise.all([settings.getApiKeys(), settings.getApiKeys()])
+        assert.strictEqual(logins(), 1)
+        assert.strictEqual(server.requests[1].headers.authorization, `Bearer ${auth.tokenKeyOrUsername}`)
+
+        // Expired on the server only, the 401 triggers a new token and a replay
+        server.advance(server.options.tokenLifetime * 1000)
+        await settings.getApiKeys()
+        assert.strictEqual(logins(), 2)
+    })
+})
+
+test('OAuth keeps tokens with a missing or tiny expires_in', async () => {
+    let lifetime = server.options.tokenLifetime
+    try {
+        server.options.tokenLifetime = 5
+        let auth = new infobip.OAuth(server.options.clientId, server.options.clientSecret, baseUrl)
+        await withSettings(auth, async (settings) => {
+            await settings.getApiKeys()
+            await settings.getApiKeys()
+            assert.strictEqual(logins(), 1)
+            assert.ok(auth.expiresAt - Date.now() > 29000)
+        })
+
+        server.options.tokenLifetime = undefined
+        await auth.login()
+        assert.ok(auth.expiresAt - Date.now() > 3500000)
+    } finally {
+        server.options.tokenLifetime = lifetime
+    }
+})
+
+test('reads are retried on 5xx', async () => {
+    server.fail('GET', /api-keys$/, { status: 503, times: 2 })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        await settings.getApiKeys()
+        assert.strictEqual(server.requests.length, 3)
+    })
+})
+
+test('reads are retried on network errors', async () => {
+    server.fail('GET', /api-keys$/, { network: true })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        await settings.getApiKeys()
+        assert.strictEqual(server.requests.length, 2)
+    })
+})
+
+test('retries give up after maxAttempts', async () => {
+    server.fail('GET', /api-keys$/, { status: 503, times: 5 })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        let err = await settings.getApiKeys().catch((e) => e)
+        assert.ok(err instanceof infobip.errors.InfobipApiError)
+        assert.strictEqual(err.retryable, true)
+        assert.strictEqual(server.requests.length, 3)
+    })
+})
+
+test('Retry-After in seconds is waited for', async () => {
+    server.fail('GET', /api-keys$/, { status: 429, headers: { 'Retry-After': '1' } })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        let startedAt = Date.now()
+        await settings.getApiKeys()
+        assert.ok(Date.now() - startedAt >= 950)
+        assert.strictEqual(server.requests.length, 2)
+    })
+})
+
+test('Retry-After as an HTTP date is waited for', async () => {
+    // Dates have whole seconds, so this is 1 to 2 seconds away
+    server.fail('GET', /api-keys$/, { status: 503, headers: { 'Retry-After': new Date(Date.now() + 2000).toUTCString() } })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        let startedAt = Date.now()
+        await settings.getApiKeys()
+        assert.ok(Date.now() - startedAt >= 950)
+        assert.strictEqual(server.requests.length, 2)
+    })
+})
+
+test('retries give up when Retry-After is longer than maxDelay', async () => {
+    server.fail('GET', /api-keys$/, { status: 429, headers: { 'Retry-After': '11' } })
+    await withSettings(new infobip.Auth('App', server.options.apiKey), async (settings) => {
+        let startedAt = Date.now()
+        let err = await settings.getApiKeys().catch((e) => e)
+        assert.ok(err instanceof infobip.errors.InfobipApiError)
+        assert.strictEqual(err.status, 429)
+        assert.ok(Date.now() - startedAt < 1000)
+        assert.strictEqual(server.requests.length, 1)
+    })
+})
+
+test('advanced() sends are retried when every destination has a messageId', async () => {
+    let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, retry: { baseDelay: 1, jitter: false } }, {})
+    try {
+        server.fail('POST', '/sms/2/text/advanced', { status: 503 })
+        let data = await client.sms.advanced([{ destinations: [{ to: '41793026727', messageId: 'MY-ID-1' }], text: 'Hello' }])
+        assert.strictEqual(data.messages[0].messageId, 'MY-ID-1')
+        assert.strictEqual(server.requests.length, 2)
+        assert.strictEqual(server.state.messages.length, 1)
+
+        // One destination without a messageId could be sent twice
+        server.fail('POST', '/sms/2/text/advanced', { status: 503 })
+        let destinations = [{ to: '41793026727', messageId: 'MY-ID-2' }, { to: '41793026728' }]
+        await assert.rejects(client.sms.advanced([{ destinations: destinations, text: 'Hello' }]), (err) => err.status === 503)
+        assert.strictEqual(server.requests.length, 3)
+    } finally {
+        client.close()
+    }
+})
+
+test('sends are not retried unless asked', async () => {
+    let auth = new infobip.Auth('App', server.options.apiKey)
+    auth.setRetryPolicy(infobip.retry.policy({ baseDelay: 1 }))
+    let sms = new infobip.SMS('InfoSMS', baseUrl)
+    sms.authorize(auth)
+
+    server.fail('POST', '/sms/2/text/single', { status: 503 })
+    await assert.rejects(sms.single('41793026727', 'Hello'), (err) => err.status === 503)
+    assert.strictEqual(server.requests.length, 1)
+
+    server.fail('POST', '/sms/2/text/single', { status: 503 })
+    await sms.single('41793026727', 'Hello', '', 2, { retry: true })
+    assert.strictEqual(server.requests.length, 3)
+})
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+const NUMBERS = ['41793026701', '41793026702', '41793026703', '41793026704', '41793026705']
+
+let server
+let client
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+test('BulkSender sends in chunks and splits accepted from rejected numbers', async () => {
+    server.setOutcome(NUMBERS[4], 'REJECTED')
+    let bulk = new infobip.BulkSender(client.sms, 2, 2)
+    let result = await bulk.send(NUMBERS, 'Our store opens at 9AM tomorrow.')
+
+    assert.strictEqual(server.requests.filter((request) => request.path === '/sms/2/text/single').length, 3)
+    assert.strictEqual(result.bulkIds.length, 2)
+    assert.deepStrictEqual(result.accepted.map((item) => item.to).sort(), NUMBERS.slice(0, 4))
+    assert.strictEqual(result.rejected.length, 1)
+    assert.strictEqual(result.rejected[0].to, NUMBERS[4])
+    assert.strictEqual(result.rejected[0].reason, 'Invalid destination address')
+    assert.strictEqual(server.state.messages.length, 5)
+})
+
+test('BulkSender rejects the numbers of failed chunks and sends the others', async () => {
+    server.fail('POST', '/sms/2/text/single', { status: 503 })
+    let bulk = new infobip.BulkSender(client.sms, 2, 1)
+    let result = await bulk.send(NUMBERS, 'Our store opens at 9AM tomorrow.')
+
+    assert.deepStrictEqual(result.rejected.map((item) => item.to), NUMBERS.slice(0, 2))
+    assert.strictEqual(result.rejected[0].reason, 'Injected failure.')
+    assert.ok(result.rejected[0].error instanceof infobip.errors.InfobipApiError)
+    assert.strictEqual(result.rejected[0].error.status, 503)
+    assert.deepStrictEqual(result.accepted.map((item) => item.to), NUMBERS.slice(2))
+})
+
+// Send with a client that records when each request starts, in milliseconds since the send
+async function timedSend(chunkSize, concurrency, messagesPerSecond, numbers) {
+    let times = []
+    let timed = infobip.createClient({
+        baseUrl: server.baseUrl,
+        apiKey: server.options.apiKey,
+        hooks: { onRequest: () => times.push(Date.now()) }
+    }, {})
+    try {
+        let startedAt = Date.now()
+        let bulk = new infobip.BulkSender(timed.sms, chunkSize, concurrency, messagesPerSecond)
+        let result = await bulk.send(numbers, 'Our store opens at 9AM tomorrow.')
+        assert.strictEqual(result.accepted.length, numbers.length)
+        return times.map((time) => time - startedAt)
+    } finally {
+        timed.close()
+    }
+}
+
+test('BulkSender spaces chunks to keep under messagesPerSecond', async () => {
+    let numbers = []
+    for (let i = 10; i < 30; i++) {
+        numbers.push(`417930267${i}`)
+    }
+    // 10 per second: the first 2 chunks of 5 go at once, then one every half second
+    let times = await timedSend(5, 4, 10, numbers)
+    assert.strictEqual(times.length, 4)
+    assert.ok(times[1] < 400, `second chunk sent after ${times[1]}ms`)
+    assert.ok(times[2] >= 450 && times[2] < 1400, `third chunk sent after ${times[2]}ms`)
+    assert.ok(times[3] >= 950 && times[3] < 1900, `fourth chunk sent after ${times[3]}ms`)
+})
+
+test('BulkSender sends chunks bigger than messagesPerSecond and waits them off', async () => {
+    // 2 per second: the first chunk of 3 goes at once and leaves the bucket 1 in debt, the next waits 1.5s for 2 tokens
+    let times = await timedSend(3, 2, 2, NUMBERS)
+    assert.strictEqual(times.length, 2)
+    assert.ok(times[0] < 400, `first chunk sent after ${times[0]}ms`)
+    assert.ok(times[1] >= 1450 && times[1] < 2500, `second chunk sent after ${times[1]}ms`)
+})
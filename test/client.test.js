@@ -0,0 +1,110 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let baseUrl
+
+before(async () => {
+    server = infobip.mock.createServer()
+    baseUrl = await server.listen()
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    await server.close()
+})
+
+test('status() works without authorization', async () => {
+    assert.deepStrictEqual(await infobip.status('json', baseUrl), { status: 'OK' })
+})
+
+test('createClient() reads the environment', async () => {
+    let client = infobip.createClient({}, {
+        INFOBIP_BASE_URL: baseUrl,
+        INFOBIP_API_KEY: server.options.apiKey,
+        INFOBIP_SENDER: 'EnvSender'
+    })
+    try {
+        assert.deepStrictEqual(await client.status(), { status: 'OK' })
+        await client.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages[0].from, 'EnvSender')
+        assert.strictEqual(server.requests[1].headers.authorization, `App ${server.options.apiKey}`)
+    } finally {
+        client.close()
+    }
+})
+
+test('credentials passed in config win over the environment', async () => {
+    let env = {
+        INFOBIP_BASE_URL: baseUrl,
+        INFOBIP_API_KEY: 'env-key',
+        INFOBIP_TOKEN: 'env-token',
+        INFOBIP_CLIENT_ID: 'env-client',
+        INFOBIP_CLIENT_SECRET: 'env-secret'
+    }
+    let withKey = infobip.createClient({ apiKey: server.options.apiKey }, env)
+    let withBasic = infobip.createClient({ username: server.options.username, password: server.options.password }, env)
+    let fromEnv = infobip.createClient({}, env)
+    try {
+        assert.strictEqual(withKey.auth.constructor, infobip.Auth)
+        assert.strictEqual(withKey.auth.authType, 'App')
+        await withKey.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.requests[0].headers.authorization, `App ${server.options.apiKey}`)
+
+        assert.strictEqual(withBasic.auth.authType, 'Basic')
+        await withBasic.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 2)
+
+        // Without credentials in config, the environment picks OAuth
+        assert.ok(fromEnv.auth instanceof infobip.OAuth)
+    } finally {
+        withKey.close()
+        withBasic.close()
+        fromEnv.close()
+    }
+})
+
+test('createClient() without credentials throws', () => {
+    assert.throws(() => infobip.createClient({ baseUrl: baseUrl }, {}), infobip.errors.InfobipValidationError)
+})
+
+test('createClient() normalizes numbers with the default country', async () => {
+    let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, defaultCountry: 'PH' }, {})
+    try {
+        await client.sms.single('09171234567', 'Hello')
+        assert.strictEqual(server.state.messages[0].to, '639171234567')
+    } finally {
+        client.close()
+    }
+})
+
+test('flash messages are normalized once', async () => {
+    let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, defaultCountry: 'DE' }, {})
+    try {
+        await client.sms.single('01511234567', 'Hi', '', 2, { flash: true })
+        await client.sms.advanced([{ destinations: ['491511234568'], text: 'Hi' }])
+        assert.deepStrictEqual(server.state.messages.map((message) => message.to), ['491511234567', '491511234568'])
+    } finally {
+        client.close()
+    }
+})
+
+test('XML mode sends and parses XML', async () => {
+    let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, contentType: 'xml' }, {})
+    try {
+        let data = await client.sms.single(['41793026727', '41793026728'], 'Hello')
+        assert.ok(server.requests[0].headers['content-type'].includes('xml'))
+        assert.strictEqual(data.messages.length, 2)
+        assert.strictEqual(data.messages[0].status.groupId, 1)
+
+        let err = await client.settings.getApiKey('UNKNOWN').catch((e) => e)
+        assert.ok(err instanceof infobip.errors.InfobipApiError)
+        assert.strictEqual(err.messageId, 'NOT_FOUND')
+    } finally {
+        client.close()
+    }
+})
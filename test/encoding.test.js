@@ -0,0 +1,26 @@
+const assert = require('assert');
+const encoding = require('../encoding');
+const { test } = require('./harness');
+
+test('GSM-7 text fits 160 characters in one segment', () => {
+    let analysis = encoding.analyze('x'.repeat(160))
+    assert.strictEqual(analysis.encoding, 'GSM-7')
+    assert.strictEqual(analysis.segments, 1)
+    assert.strictEqual(analysis.remaining, 0)
+    assert.strictEqual(encoding.analyze('x'.repeat(161)).segments, 2)
+})
+
+test('extension characters count twice', () => {
+    let analysis = encoding.analyze('€'.repeat(80))
+    assert.strictEqual(analysis.units, 160)
+    assert.strictEqual(analysis.segments, 1)
+    assert.strictEqual(encoding.analyze('€'.repeat(81)).segments, 2)
+})
+
+test('one unicode character switches to UCS-2', () => {
+    let analysis = encoding.analyze('Hello 😀')
+    assert.strictEqual(analysis.encoding, 'UCS-2')
+    assert.deepStrictEqual(analysis.unicodeCharacters, ['😀'])
+    assert.strictEqual(encoding.analyze('ж'.repeat(71)).segments, 2)
+    assert.strictEqual(encoding.isGsm7('ж'), false)
+})
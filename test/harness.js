@@ -0,0 +1,169 @@
+//// Core modules
+const path = require('path');
+
+//// External modules
+
+//// Modules
+
+
+/**
+ * Registered test files, each with its tests and hooks
+ *
+ * @private
+ */
+const files = []
+
+/**
+ * Default time limit of a test in milliseconds
+ *
+ * @private
+ */
+const TIMEOUT = 5000
+
+/**
+ * Load a test file and register its tests
+ *
+ * @param {string} file Absolute path of the file.
+ */
+function load(file) {
+    files.push({
+        name: path.basename(file, '.test.js'),
+        tests: [],
+        before: [],
+        after: [],
+        beforeEach: []
+    })
+    require(file)
+}
+
+/**
+ * The file being loaded
+ *
+ * @private
+ * @returns {Object}
+ */
+function current() {
+    if (files.length <= 0) {
+        throw new Error('Tests must be registered while loading a test file.')
+    }
+    return files[files.length - 1]
+}
+
+/**
+ * Register a test
+ *
+ * @param {string} name
+ * @param {Function} fn Sync or async function. The test fails if it throws or rejects.
+ * @param {number} timeout Milliseconds
+ */
+function test(name, fn, timeout = TIMEOUT) {
+    current().tests.push({ name: name, fn: fn, timeout: timeout })
+}
+
+/**
+ * Run a function once before the tests of the file
+ *
+ * @param {Function} fn
+ */
+function before(fn) {
+    current().before.push(fn)
+}
+
+/**
+ * Run a function before each test of the file
+ *
+ * @param {Function} fn
+ */
+function beforeEach(fn) {
+    current().beforeEach.push(fn)
+}
+
+/**
+ * Run a function once after the tests of the file, even if they failed
+ *
+ * @param {Function} fn
+ */
+function after(fn) {
+    current().after.push(fn)
+}
+
+/**
+ * Run a function with a time limit
+ *
+ * @private
+ * @param {Function} fn
+ * @param {number} timeout
+ * @returns {Promise}
+ */
+function withTimeout(fn, timeout) {
+    let timer
+    return Promise.race([
+        Promise.resolve().then(fn),
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`Timed out after ${timeout}ms.`))
+            }, timeout)
+        })
+    ]).finally(() => {
+        clearTimeout(timer)
+    })
+}
+
+/**
+ * Run all registered tests one after another and print the results in TAP format
+ *
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function run() {
+    let count = 0
+    let failed = 0
+    let report = (ok, name, err) => {
+        count += 1
+        console.log(`${ok ? 'ok' : 'not ok'} ${count} - ${name}`)
+        if (err) {
+            failed += 1
+            console.log(String(err && err.stack || err).split('\n').map((line) => `    ${line}`).join('\n'))
+        }
+    }
+
+    for (let file of files) {
+        try {
+            for (let fn of file.before) {
+                await withTimeout(fn, TIMEOUT)
+            }
+            for (let t of file.tests) {
+                try {
+                    for (let fn of file.beforeEach) {
+                        await withTimeout(fn, TIMEOUT)
+                    }
+                    await withTimeout(t.fn, t.timeout)
+                    report(true, `${file.name}: ${t.name}`)
+                } catch (err) {
+                    report(false, `${file.name}: ${t.name}`, err)
+                }
+            }
+        } catch (err) {
+            report(false, `${file.name}: before`, err)
+        }
+        for (let fn of file.after) {
+            try {
+                await withTimeout(fn, TIMEOUT)
+            } catch (err) {
+                report(false, `${file.name}: after`, err)
+            }
+        }
+    }
+    console.log(`1..${count}`)
+    console.log(`# pass ${count - failed}`)
+    console.log(`# fail ${failed}`)
+    return failed
+}
+
+module.exports = {
+    after: after,
+    before: before,
+    beforeEach: beforeEach,
+    load: load,
+    run: run,
+    test: test
+}
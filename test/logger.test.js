@@ -0,0 +1,139 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let baseUrl
+
+before(async () => {
+    server = infobip.mock.createServer()
+    baseUrl = await server.listen()
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    await server.close()
+})
+
+/**
+ * Run a function with a client that logs to a list
+ */
+let withLogger = async (config, options, fn) => {
+    let entries = []
+    let client = infobip.createClient(Object.assign({
+        baseUrl: baseUrl,
+        apiKey: server.options.apiKey,
+        retry: { baseDelay: 1 },
+        logger: Object.assign({ write: (entry) => entries.push(entry) }, options)
+    }, config), {})
+    try {
+        await fn(client, entries)
+    } finally {
+        client.close()
+    }
+}
+
+test('onRequest hooks can add headers', async () => {
+    let client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+    try {
+        client.use({
+            onRequest: (request) => {
+                request.headers['X-Correlation-Id'] = 'abc-123'
+            }
+        })
+        await client.twoFA.getApps()
+        assert.strictEqual(server.requests[0].headers['x-correlation-id'], 'abc-123')
+    } finally {
+        client.close()
+    }
+})
+
+test('hooks run on every attempt', async () => {
+    let attempts = []
+    let auth = new infobip.Auth('App', server.options.apiKey)
+    auth.setRetryPolicy({ baseDelay: 1 })
+    auth.onRequest((request) => attempts.push(`request ${request.attempt}`))
+    auth.onError((err, request) => attempts.push(`error ${request.attempt} ${err.status}`))
+    auth.onResponse((response, request) => attempts.push(`response ${request.attempt} ${request.status}`))
+    let twoFA = new infobip.TwoFA(baseUrl)
+    twoFA.authorize(auth)
+
+    server.fail('GET', '/2fa/1/applications', { status: 503 })
+    await twoFA.getApps()
+    assert.deepStrictEqual(attempts, ['request 1', 'error 1 503', 'request 2', 'response 2 200'])
+})
+
+test('invalid hooks are rejected', () => {
+    let auth = new infobip.Auth('App', 'key')
+    assert.throws(() => auth.use({ onRequest: 'nope' }), infobip.errors.InfobipValidationError)
+})
+
+test('logger records method, endpoint, status, duration and messageIds', async () => {
+    await withLogger({}, {}, async (client, entries) => {
+        let data = await client.sms.single(['41793026727', '41793026728'], 'Hello')
+        assert.strictEqual(entries.length, 1)
+        let entry = entries[0]
+        assert.strictEqual(entry.event, 'response')
+        assert.strictEqual(entry.method, 'POST')
+        assert.strictEqual(entry.endpoint, '/sms/2/text/single')
+        assert.strictEqual(entry.status, 200)
+        assert.ok(entry.duration >= 0)
+        assert.deepStrictEqual(entry.messageIds, [data.bulkId].concat(data.messages.map((m) => m.messageId)))
+    })
+})
+
+test('logger records errors', async () => {
+    await withLogger({}, {}, async (client, entries) => {
+        await client.settings.getApiKey('UNKNOWN').catch(() => {})
+        assert.strictEqual(entries[0].event, 'error')
+        assert.strictEqual(entries[0].status, 404)
+        assert.strictEqual(entries[0].error.name, 'InfobipApiError')
+        assert.strictEqual(entries[0].error.messageId, 'NOT_FOUND')
+    })
+})
+
+test('logger redacts the Authorization header', async () => {
+    let config = { apiKey: undefined, username: server.options.username, password: server.options.password }
+    await withLogger(config, { includeHeaders: true, requests: true }, async (client, entries) => {
+        await client.twoFA.getApps()
+        assert.strictEqual(entries[0].headers.Authorization, 'Basic [REDACTED]')
+        assert.ok(!JSON.stringify(entries).includes(server.options.password))
+        assert.ok(!JSON.stringify(entries).includes(Buffer.from(`${server.options.username}:${server.options.password}`).toString('base64')))
+    })
+})
+
+test('logger redacts API keys from Settings responses', async () => {
+    await withLogger({}, { includeBody: true }, async (client, entries) => {
+        let created = await client.settings.newApiKey({ name: 'second' })
+        await client.settings.getApiKeyByPublicKey(created.publicApiKey)
+        let logged = JSON.stringify(entries)
+        assert.ok(!logged.includes(created.publicApiKey))
+        assert.ok(!logged.includes(server.options.apiKey))
+        assert.strictEqual(entries[0].response.publicApiKey, '[REDACTED]')
+    })
+})
+
+test('logger redacts PINs sent to verifyPin()', async () => {
+    for (let contentType of ['json', 'xml']) {
+        server.reset()
+        await withLogger({ contentType: contentType }, { includeBody: true, requests: true }, async (client, entries) => {
+            let app = await client.twoFA.newApp({ name: 'Login' })
+            let template = await client.twoFA.newMessageTemplate(app.applicationId, { pinType: 'NUMERIC', pinLength: 8, messageText: 'Code {{pin}}' })
+            let sent = await client.twoFA.sendPin({ applicationId: app.applicationId, messageId: template.messageId, to: '41793026727' })
+            let pin = server.lastPin('41793026727')
+            assert.strictEqual((await client.twoFA.verifyPin(sent.pinId, pin)).verified, true)
+            assert.ok(!JSON.stringify(entries).includes(pin), contentType)
+        })
+    }
+})
+
+test('redact() handles objects, query strings and XML', () => {
+    assert.deepStrictEqual(infobip.logger.redact({ pin: '1234', to: '41793026727', nested: [{ password: 'x' }] }), {
+        pin: '[REDACTED]', to: '41793026727', nested: [{ password: '[REDACTED]' }]
+    })
+    assert.strictEqual(infobip.logger.redact('/api-keys?publicApiKey=abc&name=a'), '/api-keys?publicApiKey=[REDACTED]&name=a')
+    assert.strictEqual(infobip.logger.redact('<request><pin>1234</pin></request>'), '<request><pin>[REDACTED]</pin></request>')
+})
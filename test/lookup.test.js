@@ -0,0 +1,48 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let client
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+test('lookup() tells reachable, switched off and unknown numbers apart', async () => {
+    server.setOutcome('41793026702', 'UNDELIVERABLE')
+    server.setOutcome('41793026703', 'REJECTED')
+    let results = await client.numberLookup.lookup(['41793026701', '41793026702', '41793026703'])
+
+    assert.deepStrictEqual(results.map((result) => [result.to, result.valid, result.reachable]), [
+        ['41793026701', true, true],
+        ['41793026702', true, false],
+        ['41793026703', false, false]
+    ])
+    assert.strictEqual(results[0].network.name, 'Mock Mobile')
+    assert.strictEqual(results[0].ported, false)
+    assert.strictEqual(results[2].network.name, 'Mock Mobile')
+
+    let accepted = await client.numberLookup.lookupAsync('41793026701', 'https://www.example.com/lookups')
+    assert.ok(accepted.bulkId)
+    assert.strictEqual(accepted.results[0].status.groupName, 'PENDING')
+})
+
+test('lookup() throws API errors', async () => {
+    server.fail('POST', '/number/1/query', { status: 503 })
+    await assert.rejects(client.numberLookup.lookup('41793026701'), (err) => {
+        return err instanceof infobip.errors.InfobipApiError && err.status === 503 && err.text === 'Injected failure.'
+    })
+    await assert.rejects(client.numberLookup.lookupAsync('41793026701', ''), infobip.errors.InfobipValidationError)
+})
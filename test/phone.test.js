@@ -0,0 +1,40 @@
+const assert = require('assert');
+const infobip = require('../index');
+const phone = require('../phone');
+const { test } = require('./harness');
+
+test('international numbers are normalized to digits', () => {
+    assert.strictEqual(phone.normalize('+41 79 302 67 27'), '41793026727')
+    assert.strictEqual(phone.normalize('0041793026727'), '41793026727')
+})
+
+test('national numbers use the default country', () => {
+    assert.strictEqual(phone.normalize('0917 123 4567', 'PH'), '639171234567')
+    let parsed = phone.parse('09171234567', 'PH')
+    assert.strictEqual(parsed.valid, true)
+    assert.strictEqual(parsed.countryCode, '63')
+    assert.strictEqual(parsed.nationalNumber, '9171234567')
+})
+
+test('national numbers starting with the country code stay national', () => {
+    assert.strictEqual(phone.normalize('393 123 4567', 'IT'), '393931234567')
+    assert.strictEqual(phone.normalize('+39 393 123 4567', 'IT'), '393931234567')
+    assert.strictEqual(phone.normalize('00393931234567', 'IT'), '393931234567')
+    // Too long to be national, so read as international
+    assert.strictEqual(phone.normalize('639171234567', 'PH'), '639171234567')
+})
+
+test('normalized numbers stay the same when normalized again', () => {
+    assert.strictEqual(phone.normalize('491511234567', 'DE'), '491511234567')
+    assert.strictEqual(phone.normalize('39021234567', 'IT'), '39021234567')
+    let cases = [['01511234567', 'DE'], ['02 1234567', 'IT'], ['393 123 4567', 'IT'], ['0917 123 4567', 'PH'], ['(415) 555-0123', 'US']]
+    cases.forEach(([number, country]) => {
+        let normalized = phone.normalize(number, country)
+        assert.strictEqual(phone.normalize(normalized, country), normalized)
+    })
+})
+
+test('strict mode throws on invalid numbers', () => {
+    assert.strictEqual(phone.parse('123').valid, false)
+    assert.throws(() => phone.normalize('123', '', true), infobip.errors.InfobipValidationError)
+})
@@ -0,0 +1,24 @@
+//// Core modules
+const fs = require('fs');
+const path = require('path');
+
+//// External modules
+
+//// Modules
+const harness = require('./harness');
+
+// Usage: node test/run.js [name...]
+// Runs test/*.test.js, or only the files whose name contains one of the arguments.
+let filters = process.argv.slice(2)
+fs.readdirSync(__dirname).filter((file) => {
+    return file.endsWith('.test.js') && (filters.length <= 0 || filters.some((filter) => file.includes(filter)))
+}).sort().forEach((file) => {
+    harness.load(path.join(__dirname, file))
+})
+
+harness.run().then((failed) => {
+    process.exitCode = failed > 0 ? 1 : 0
+}).catch((err) => {
+    console.log(err)
+    process.exitCode = 1
+})
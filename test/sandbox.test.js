@@ -0,0 +1,247 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+const ALLOWED = '41793026700'
+
+let server
+let baseUrl
+let client
+
+before(async () => {
+    server = infobip.mock.createServer()
+    baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, sandbox: [ALLOWED] }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+    client.sandbox.clear()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+let sent = (path) => server.requests.filter((request) => request.path === path)
+
+test('sends are recorded in the outbox instead of sent', async () => {
+    let response = await client.sms.single('41793026727', 'Hello')
+    assert.strictEqual(sent('/sms/2/text/single').length, 0)
+    assert.strictEqual(response.messages.length, 1)
+    assert.strictEqual(response.messages[0].to, '41793026727')
+    assert.strictEqual(response.messages[0].status.groupName, 'PENDING')
+    assert.ok(/^[0-9A-F]{32}$/.test(response.messages[0].messageId))
+    assert.strictEqual(response.bulkId, undefined)
+
+    let entry = client.sandbox.outbox[0]
+    assert.strictEqual(entry.channel, 'sms')
+    assert.strictEqual(entry.text, 'Hello')
+    assert.strictEqual(entry.from, 'INFO')
+    assert.strictEqual(entry.messageId, response.messages[0].messageId)
+    assert.strictEqual(entry.smsCount, 1)
+    assert.ok(entry.sentAt instanceof Date)
+})
+
+test('allowlisted numbers receive messages for real', async () => {
+    let response = await client.sms.single(['41793026727', ALLOWED, '41793026728'], 'Hello')
+    let requests = sent('/sms/2/text/single')
+    assert.strictEqual(requests.length, 1)
+    assert.deepStrictEqual(requests[0].body.to, [ALLOWED])
+    assert.strictEqual(server.state.messages.length, 1)
+
+    assert.deepStrictEqual(response.messages.map((message) => message.to), ['41793026727', ALLOWED, '41793026728'])
+    assert.strictEqual(response.messages[1].messageId, server.state.messages[0].messageId)
+    assert.deepStrictEqual(client.sandbox.find('+41 79 302 67 27').map((entry) => entry.bulkId), [response.bulkId])
+    assert.strictEqual(client.sandbox.outbox.length, 2)
+})
+
+test('advanced() and binary() keep bulkIds, messageIds and options', async () => {
+    let response = await client.sms.advanced([{
+        destinations: [{ to: '41793026727', messageId: 'MSG-1' }, ALLOWED],
+        text: 'Good morning!',
+        callbackData: 'campaign-a'
+    }, {
+        destinations: ['41793026728'],
+        text: 'Good evening!'
+    }], 'BULK-1')
+    let requests = sent('/sms/2/text/advanced')
+    assert.strictEqual(requests.length, 1)
+    assert.strictEqual(requests[0].body.messages.length, 1)
+    assert.deepStrictEqual(requests[0].body.messages[0].destinations, [{ to: ALLOWED }])
+    assert.strictEqual(response.bulkId, 'BULK-1')
+    assert.strictEqual(response.messages[0].messageId, 'MSG-1')
+    assert.deepStrictEqual(client.sandbox.outbox.map((entry) => [entry.to, entry.bulkId, entry.callbackData]), [
+        ['41793026727', 'BULK-1', 'campaign-a'],
+        ['41793026728', 'BULK-1', undefined]
+    ])
+
+    client.sandbox.clear()
+    response = await client.sms.binary(['41793026727', '41793026728'], '0f c2 4a')
+    assert.strictEqual(sent('/sms/2/binary/advanced').length, 0)
+    assert.ok(response.bulkId)
+    assert.strictEqual(client.sandbox.outbox[0].channel, 'binary')
+    assert.deepStrictEqual(client.sandbox.outbox[0].binary, { hex: '0f c2 4a' })
+})
+
+test('PINs sent in the sandbox can be resent and verified', async () => {
+    let pin = await client.twoFA.sendPin({ applicationId: 'APP', messageId: 'TEMPLATE', to: '41793026727' })
+    assert.strictEqual(pin.smsStatus, 'MESSAGE_SENT')
+    assert.strictEqual(client.sandbox.outbox[0].templateId, 'TEMPLATE')
+
+    await client.twoFA.resendPin(pin.pinId)
+    assert.strictEqual(client.sandbox.find('41793026727').length, 2)
+    let code = client.sandbox.lastPin('41793026727')
+    assert.ok(/^\d{4}$/.test(code))
+
+    let wrong = await client.twoFA.verifyPin(pin.pinId, code === '0000' ? '1111' : '0000')
+    assert.strictEqual(wrong.pinError, 'WRONG_PIN')
+    assert.strictEqual(wrong.attemptsRemaining, 9)
+    let right = await client.twoFA.verifyPin(pin.pinId, code)
+    assert.strictEqual(right.verified, true)
+    assert.strictEqual(server.requests.length, 0)
+})
+
+test('voice and email PINs are recorded with their channel', async () => {
+    let params = { applicationId: 'APP', messageId: 'TEMPLATE', to: '41793026727' }
+    let call = await client.twoFA.sendPinVoice(params)
+    assert.strictEqual(call.callStatus, 'PENDING_ACCEPTED')
+    let email = await client.twoFA.sendPinEmail(Object.assign({}, params, { to: 'Ann@Example.com' }))
+    assert.strictEqual(email.emailStatus.name, 'PENDING_ACCEPTED')
+    await client.twoFA.resendPinVoice(email.pinId)
+    assert.deepStrictEqual(client.sandbox.outbox.map((entry) => [entry.via, entry.to]), [
+        ['voice', '41793026727'],
+        ['email', 'ann@example.com'],
+        ['voice', 'ann@example.com']
+    ])
+    let result = await client.twoFA.verifyPin(email.pinId, client.sandbox.lastPin('ann@example.com'))
+    assert.strictEqual(result.verified, true)
+    assert.strictEqual(server.requests.length, 0)
+
+    assert.strictEqual(new infobip.sandbox.Sandbox(['ann@example.com']).isAllowed('ANN@example.com'), true)
+})
+
+test('PINs to allowlisted numbers are sent for real', async () => {
+    let app = await client.twoFA.newApp({ name: 'Login' })
+    let template = await client.twoFA.newMessageTemplate(app.applicationId, { pinType: 'NUMERIC', pinLength: 4, messageText: 'Code {{pin}}' })
+    let pin = await client.twoFA.sendPin({ applicationId: app.applicationId, messageId: template.messageId, to: ALLOWED })
+    let result = await client.twoFA.verifyPin(pin.pinId, server.lastPin(ALLOWED))
+    assert.strictEqual(result.verified, true)
+    assert.strictEqual(client.sandbox.outbox.length, 0)
+})
+
+test('retried sends are recorded once', async () => {
+    server.fail('POST', '/sms/2/text/single', { status: 503 })
+    client.auth.setRetryPolicy({ baseDelay: 1, jitter: false })
+    try {
+        let response = await client.sms.single(['41793026727', ALLOWED], 'Hello', '', 2, { retry: true })
+        assert.strictEqual(sent('/sms/2/text/single').length, 2)
+        assert.strictEqual(response.messages.length, 2)
+        assert.strictEqual(client.sandbox.outbox.length, 1)
+        assert.strictEqual(client.sandbox.outbox[0].bulkId, response.bulkId)
+    } finally {
+        client.auth.setRetryPolicy({})
+    }
+})
+
+test('hooks see sandbox responses', async () => {
+    let entries = []
+    let auth = new infobip.Auth('App', server.options.apiKey)
+    auth.use(infobip.logger.createLogger({ write: (entry) => entries.push(entry) }))
+    auth.setSandbox(new infobip.sandbox.Sandbox())
+    let sms = new infobip.SMS('InfoSMS', baseUrl)
+    sms.authorize(auth)
+
+    let response = await sms.single('41793026727', 'Hello')
+    assert.strictEqual(entries.length, 1)
+    assert.strictEqual(entries[0].status, 200)
+    assert.deepStrictEqual(entries[0].messageIds, [response.messages[0].messageId])
+
+    auth.setSandbox(false)
+    await sms.single('41793026727', 'Hello')
+    assert.strictEqual(server.state.messages.length, 1)
+    assert.throws(() => auth.setSandbox(true), infobip.errors.InfobipValidationError)
+})
+
+test('sandbox can be switched on by environment variables', async () => {
+    let env = {
+        INFOBIP_BASE_URL: baseUrl,
+        INFOBIP_API_KEY: server.options.apiKey,
+        INFOBIP_SANDBOX: 'true',
+        INFOBIP_SANDBOX_ALLOWLIST: `${ALLOWED}, 41793026701`
+    }
+    let sandboxed = infobip.createClient({}, env)
+    let real = infobip.createClient({}, Object.assign({}, env, { INFOBIP_SANDBOX: '' }))
+    try {
+        assert.deepStrictEqual(sandboxed.sandbox.allowlist, [ALLOWED, '41793026701'])
+        await sandboxed.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 0)
+
+        assert.strictEqual(real.sandbox, null)
+        await real.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 1)
+    } finally {
+        sandboxed.close()
+        real.close()
+    }
+})
+
+test('INFOBIP_SANDBOX wins over sandbox: false', async () => {
+    let sandboxed = infobip.createClient({ sandbox: false }, {
+        INFOBIP_BASE_URL: baseUrl,
+        INFOBIP_API_KEY: server.options.apiKey,
+        INFOBIP_SANDBOX: '1'
+    })
+    try {
+        await sandboxed.sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 0)
+        assert.strictEqual(sandboxed.sandbox.outbox.length, 1)
+    } finally {
+        sandboxed.close()
+    }
+})
+
+test('services authorized with their own Auth read INFOBIP_SANDBOX', async () => {
+    let previous = process.env.INFOBIP_SANDBOX
+    process.env.INFOBIP_SANDBOX = 'true'
+    let auth = new infobip.Auth('App', server.options.apiKey)
+    let sms = new infobip.SMS('InfoSMS', baseUrl)
+    try {
+        sms.authorize(auth)
+        auth.setSandbox(false)
+        await sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 0)
+        assert.strictEqual(auth.envSandbox.outbox.length, 1)
+    } finally {
+        if (previous === undefined) {
+            delete process.env.INFOBIP_SANDBOX
+        } else {
+            process.env.INFOBIP_SANDBOX = previous
+        }
+    }
+    // Read once, when the first axios instance is built
+    let real = new infobip.Auth('App', server.options.apiKey)
+    sms.authorize(real)
+    await sms.single('41793026727', 'Hello')
+    assert.strictEqual(server.state.messages.length, 1)
+})
+
+test('the client keeps its settings off an auth passed in config', async () => {
+    let auth = new infobip.Auth('App', server.options.apiKey)
+    let sandboxed = infobip.createClient({ baseUrl: baseUrl, auth: auth, sandbox: true, retry: false, logger: { write: () => {} } }, {})
+    try {
+        await sandboxed.sms.single('41793026727', 'Hello')
+        assert.strictEqual(sandboxed.sandbox.outbox.length, 1)
+        assert.strictEqual(auth.sandbox, null)
+        assert.notStrictEqual(auth.retryPolicy, false)
+        assert.strictEqual(auth.hooks.onRequest.length, 0)
+
+        let sms = new infobip.SMS('InfoSMS', baseUrl)
+        sms.authorize(auth)
+        await sms.single('41793026727', 'Hello')
+        assert.strictEqual(server.state.messages.length, 1)
+    } finally {
+        sandboxed.close()
+    }
+})
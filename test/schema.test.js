@@ -0,0 +1,62 @@
+const assert = require('assert');
+const schema = require('../schema');
+const { test } = require('./harness');
+
+test('parseDuration() and parseRate() return structured values', () => {
+    assert.deepStrictEqual(schema.parseDuration('15m'), { amount: 15, unit: 'm', ms: 900000 })
+    assert.deepStrictEqual(schema.parseDuration('h'), { amount: 1, unit: 'h', ms: 3600000 })
+    assert.deepStrictEqual(schema.parseDuration('250ms'), { amount: 250, unit: 'ms', ms: 250 })
+    assert.strictEqual(schema.parseDuration('15 min'), null)
+    assert.strictEqual(schema.parseDuration('0s'), null)
+    assert.strictEqual(schema.parseDuration(15), null)
+
+    assert.deepStrictEqual(schema.parseRate('1/3s'), { attempts: 1, per: { amount: 3, unit: 's', ms: 3000 } })
+    assert.deepStrictEqual(schema.parseRate('10000/d').per.ms, 86400000)
+    assert.strictEqual(schema.parseRate('1/3sec'), null)
+    assert.strictEqual(schema.parseRate('0/1d'), null)
+    assert.strictEqual(schema.parseRate('3'), null)
+})
+
+test('appErrors() checks every field with its path', () => {
+    assert.deepStrictEqual(schema.appErrors({
+        name: 'Login',
+        enabled: true,
+        configuration: {
+            pinAttempts: 10,
+            allowMultiplePinVerifications: true,
+            pinTimeToLive: '15m',
+            verifyPinLimit: '1/3s',
+            sendPinPerApplicationLimit: '10000/1d',
+            sendPinPerPhoneNumberLimit: '3/1d'
+        }
+    }), [])
+    assert.deepStrictEqual(schema.appErrors({ configuration: { allowMultiplePinVerifications: 'yes', sendPinPerPhoneNumberLimit: '3 per day' } }, false, 'app'), [
+        { path: 'app.name', message: 'is required' },
+        { path: 'app.configuration.allowMultiplePinVerifications', message: 'must be true or false' },
+        { path: 'app.configuration.sendPinPerPhoneNumberLimit', message: 'must be a rate like "1/3s" (attempts/duration), got "3 per day"' }
+    ])
+    assert.deepStrictEqual(schema.appErrors({ enabled: false }, true), [])
+    assert.deepStrictEqual(schema.appErrors({ name: ' ', configuration: [] }, true), [
+        { path: 'name', message: 'must be a non-empty string' },
+        { path: 'configuration', message: 'must be an object' }
+    ])
+})
+
+test('templateErrors() checks pinType, pinLength and the placeholder', () => {
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'NUMERIC', pinLength: 4, messageText: 'Code {{pin}}' }), [])
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'ALPHA', pinLength: 3, pinPlaceholder: '<pin>', messageText: '<pin> is your code' }), [])
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'HEX', pinLength: 2, messageText: 'Code {{pin}}' }), [])
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'HEX', pinLength: 0, messageText: 'Code {{pin}}' }), [
+        { path: 'pinLength', message: 'must be a whole number from 1 to 16' }
+    ])
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'ALPHANUMERIC', pinLength: 17, messageText: 'Code {{pin}}' }), [
+        { path: 'pinLength', message: 'must be a whole number from 1 to 16' }
+    ])
+    assert.deepStrictEqual(schema.templateErrors({ pinType: 'WORDS', pinPlaceholder: '<pin>', messageText: 'Code {{pin}}', speechRate: 3 }), [
+        { path: 'pinType', message: 'must be one of NUMERIC, ALPHA, HEX, ALPHANUMERIC' },
+        { path: 'messageText', message: 'must contain the pinPlaceholder "<pin>"' },
+        { path: 'speechRate', message: 'must be a number from 0.5 to 2' }
+    ])
+    assert.deepStrictEqual(schema.templateErrors({}).map((error) => error.path), ['pinType', 'messageText'])
+    assert.deepStrictEqual(schema.templateErrors({ messageText: 'No placeholder known' }, true), [])
+})
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let baseUrl
+let client
+
+before(async () => {
+    server = infobip.mock.createServer()
+    baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+test('getApiKeys() lists the keys of the account', async () => {
+    let data = await client.settings.getApiKeys()
+    assert.strictEqual(data.apiKeys.length, 1)
+    assert.strictEqual(data.apiKeys[0].publicApiKey, server.options.apiKey)
+})
+
+test('API keys can be created, read and updated', async () => {
+    let created = await client.settings.newApiKey({ name: 'live-server', permissions: ['ALL'], allowedIPs: [] })
+    assert.ok(created.key)
+    assert.ok(created.publicApiKey)
+
+    await client.settings.updateApiKey(created.key, { name: 'live-server-2', allowedIPs: ['127.0.0.1'] })
+    let updated = await client.settings.getApiKey(created.key)
+    assert.strictEqual(updated.name, 'live-server-2')
+    assert.deepStrictEqual(updated.allowedIPs, ['127.0.0.1'])
+
+    assert.strictEqual((await client.settings.getApiKeyByName('live-server-2')).apiKeys[0].key, created.key)
+    assert.strictEqual((await client.settings.getApiKeyByPublicKey(created.publicApiKey)).apiKeys[0].key, created.key)
+})
+
+test('a new API key authorizes requests until it is disabled', async () => {
+    let created = await client.settings.newApiKey({ name: 'second' })
+    let other = infobip.createClient({ baseUrl: baseUrl, apiKey: created.publicApiKey }, {})
+    try {
+        assert.strictEqual((await other.twoFA.getApps()).length, 0)
+        await client.settings.updateApiKey(created.key, { enabled: false })
+        await assert.rejects(other.twoFA.getApps(), infobip.errors.InfobipAuthError)
+        assert.strictEqual((await client.settings.getApiKeys(true)).apiKeys.length, 1)
+    } finally {
+        other.close()
+    }
+})
+
+test('unknown keys are not found', async () => {
+    await assert.rejects(client.settings.getApiKey('UNKNOWN'), (err) => err.status === 404)
+})
@@ -0,0 +1,229 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let client
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey, defaultFrom: 'CompanyA' }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+test('single() sends to one number', async () => {
+    let data = await client.sms.single('41793026727', 'Hello')
+    assert.strictEqual(data.bulkId, undefined)
+    assert.strictEqual(data.messages.length, 1)
+    assert.strictEqual(data.messages[0].to, '41793026727')
+    assert.strictEqual(data.messages[0].status.groupName, 'PENDING')
+    assert.strictEqual(server.state.messages[0].from, 'CompanyA')
+})
+
+test('single() to many numbers returns a bulkId', async () => {
+    let data = await client.sms.single(['41793026727', '41793026728'], 'Hello')
+    assert.ok(data.bulkId)
+    assert.deepStrictEqual(data.messages.map((m) => m.to), ['41793026727', '41793026728'])
+})
+
+test('single() counts segments', async () => {
+    let data = await client.sms.single('41793026727', 'x'.repeat(161))
+    assert.strictEqual(data.messages[0].smsCount, 2)
+})
+
+test('single() rejects over the segment budget before sending', async () => {
+    await assert.rejects(client.sms.single('41793026727', 'x'.repeat(161), '', 2, { maxSegments: 1 }), infobip.errors.InfobipValidationError)
+    assert.strictEqual(server.requests.length, 0)
+})
+
+test('advanced() keeps messageIds and options', async () => {
+    let data = await client.sms.advanced([{
+        destinations: [{ to: '41793026727', messageId: 'MY-ID-1' }],
+        text: 'Hello',
+        callbackData: 'campaign-a',
+        flash: true
+    }], 'MY-BULK')
+    assert.strictEqual(data.bulkId, 'MY-BULK')
+    assert.strictEqual(data.messages[0].messageId, 'MY-ID-1')
+    let body = server.requests[0].body
+    assert.strictEqual(body.messages[0].flash, true)
+    assert.strictEqual(body.messages[0].callbackData, 'campaign-a')
+})
+
+test('invalid destinations are rejected', async () => {
+    let data = await client.sms.single('123', 'Hello')
+    assert.strictEqual(data.messages[0].status.groupName, 'REJECTED')
+})
+
+test('binary() posts to the binary endpoint', async () => {
+    await client.sms.binary('41793026727', { hex: '0f c2 4a', dataCoding: 0, esmClass: 0 })
+    assert.strictEqual(server.requests[0].path, '/sms/2/binary/advanced')
+    assert.strictEqual(server.requests[0].body.messages[0].binary.hex, '0f c2 4a')
+})
+
+test('invalid message options are rejected before sending', async () => {
+    let to = '41793026727'
+    let cases = [
+        [() => client.sms.single(to, 'Hello', '', 2, { flash: 'yes' }), /flash must be a boolean/],
+        [() => client.sms.single(to, 'Hello', '', 2, { transliteration: 'KLINGON' }), /Invalid transliteration/],
+        [() => client.sms.single(to, 'Hello', '', 2, { languageCode: 'XX' }), /Invalid languageCode/],
+        [() => client.sms.binary(to, '0f c2', '', 2, { text: 'Hello' }), /both text and binary/],
+        [() => client.sms.binary(to, '0f c2', '', 2, { transliteration: 'TURKISH' }), /only available for text messages/],
+        [() => client.sms.advanced([{ destinations: [{ to: to }], text: 'Hello', dataCoding: 0 }]), /only available for binary messages/],
+        [() => client.sms.advanced([{ destinations: [{ to: to }], text: 'Hello', esmClass: 0 }]), /only available for binary messages/],
+        [() => client.sms.binary(to, '0f c'), /pairs of hexadecimal digits/],
+        [() => client.sms.binary(to, { hex: 'zz' }), /pairs of hexadecimal digits/],
+        [() => client.sms.binary(to, { hex: '0f', dataCoding: 256 }), /dataCoding must be an integer from 0 to 255/]
+    ]
+    for (let [send, message] of cases) {
+        await assert.rejects(send(), (err) => {
+            assert.ok(err instanceof infobip.errors.InfobipValidationError, `${message}: ${err}`)
+            assert.ok(message.test(err.message), `${message}: ${err.message}`)
+            return true
+        })
+    }
+    assert.strictEqual(server.requests.length, 0)
+})
+
+test('delivery reports are returned once', async () => {
+    let sent = await client.sms.single('41793026727', 'Hello')
+    let messageId = sent.messages[0].messageId
+    let first = await client.sms.getReports({ messageId: messageId })
+    assert.strictEqual(first.results.length, 1)
+    assert.strictEqual(first.results[0].status.groupName, 'DELIVERED')
+    let second = await client.sms.getReports({ messageId: messageId })
+    assert.strictEqual(second.results.length, 0)
+})
+
+test('setOutcome() makes messages undeliverable', async () => {
+    server.setOutcome('41793026727', 'UNDELIVERABLE')
+    await client.sms.single('41793026727', 'Hello')
+    let reports = await client.sms.getReports()
+    assert.strictEqual(reports.results[0].status.groupName, 'UNDELIVERABLE')
+})
+
+test('getLogs() filters by status', async () => {
+    server.setOutcome('41793026728', 'UNDELIVERABLE')
+    await client.sms.single(['41793026727', '41793026728'], 'Hello')
+    let logs = await client.sms.getLogs({ status: 'DELIVERED' })
+    assert.deepStrictEqual(logs.results.map((log) => log.to), ['41793026727'])
+    assert.strictEqual(logs.results[0].text, 'Hello')
+})
+
+test('iterateLogs() pages through all logs', async () => {
+    let to = []
+    for (let i = 0; i < 25; i++) {
+        to.push(`4179302${String(i).padStart(4, '0')}`)
+        await client.sms.single(to[i], 'Hello')
+        server.advance(1000)
+    }
+    let seen = []
+    for await (const log of client.sms.iterateLogs({ limit: 10 })) {
+        seen.push(log.to)
+    }
+    assert.deepStrictEqual(seen.sort(), to)
+})
+
+test('iterateLogs() yields logs sharing a timestamp once', async () => {
+    let to = []
+    for (let i = 0; i < 25; i++) {
+        to.push(`4179302${String(i).padStart(4, '0')}`)
+    }
+    await client.sms.single(to.slice(0, 20), 'Hello')
+    server.advance(1000)
+    await client.sms.single(to.slice(20), 'Hello')
+    let sentAt = server.state.messages[0].sentAt
+    server.state.messages.slice(0, 20).forEach((message) => {
+        message.sentAt = sentAt
+    })
+
+    let seen = []
+    for await (const log of client.sms.iterateLogs({ limit: 10 })) {
+        seen.push(log.messageId)
+    }
+    assert.strictEqual(new Set(seen).size, seen.length)
+    assert.strictEqual(seen.length, 25)
+})
+
+test('iterateLogs() pages through several groups of logs sharing a timestamp', async () => {
+    let to = []
+    for (let group = 0; group < 3; group++) {
+        let numbers = []
+        for (let i = 0; i < 12; i++) {
+            numbers.push(`417930${group}${String(i).padStart(4, '0')}`)
+        }
+        await client.sms.single(numbers, 'Hello')
+        to = to.concat(numbers)
+        server.advance(1000)
+    }
+    for (let group = 0; group < 3; group++) {
+        let messages = server.state.messages.slice(group * 12, group * 12 + 12)
+        messages.forEach((message) => {
+            message.sentAt = messages[0].sentAt
+        })
+    }
+
+    let seen = []
+    for await (const log of client.sms.iterateLogs({ limit: 5 })) {
+        seen.push(log.to)
+    }
+    assert.strictEqual(seen.length, 36)
+    assert.deepStrictEqual(seen.sort(), to.sort())
+})
+
+test('scheduled bulks can be rescheduled, paused and canceled', async () => {
+    let sendAt = new Date(Date.now() + 3600000)
+    let data = await client.sms.advanced([{ destinations: ['41793026727'], text: 'Later', sendAt: sendAt }], 'SCHEDULED-1')
+
+    let scheduled = await client.sms.getScheduled(data.bulkId)
+    assert.strictEqual(Date.parse(scheduled.sendAt), sendAt.getTime())
+
+    let later = new Date(sendAt.getTime() + 3600000)
+    await client.sms.reschedule(data.bulkId, later)
+    assert.strictEqual(Date.parse((await client.sms.getScheduled(data.bulkId)).sendAt), later.getTime())
+
+    await client.sms.pauseScheduled(data.bulkId)
+    assert.strictEqual((await client.sms.getScheduledStatus(data.bulkId)).status, 'PAUSED')
+    await client.sms.cancelScheduled(data.bulkId)
+    assert.strictEqual((await client.sms.getScheduledStatus(data.bulkId)).status, 'CANCELED')
+
+    let logs = await client.sms.getLogs({ bulkId: data.bulkId })
+    assert.strictEqual(logs.results[0].status.groupName, 'REJECTED')
+})
+
+test('scheduled bulks are sent when due', async () => {
+    let data = await client.sms.advanced([{ destinations: ['41793026727'], text: 'Later', sendAt: new Date(Date.now() + 60000) }])
+    assert.strictEqual((await client.sms.getReports()).results.length, 0)
+    server.advance(60000)
+    assert.strictEqual((await client.sms.getScheduledStatus(data.bulkId)).status, 'FINISHED')
+    assert.strictEqual((await client.sms.getReports()).results.length, 1)
+})
+
+test('iterateInbox() reads all received messages', async () => {
+    for (let i = 0; i < 5; i++) {
+        server.receive({ from: '41793026727', to: '41793026700', text: `KEY message ${i}`, keyword: 'KEY' })
+    }
+    let received = []
+    for await (const message of client.sms.iterateInbox(2)) {
+        received.push(message.cleanText)
+    }
+    assert.deepStrictEqual(received, ['message 0', 'message 1', 'message 2', 'message 3', 'message 4'])
+})
+
+test('API errors are thrown as InfobipApiError', async () => {
+    server.fail('POST', '/sms/2/text/single', { status: 400, body: { requestError: { serviceException: { messageId: 'BAD_REQUEST', text: 'Bad.' } } } })
+    let err = await client.sms.single('41793026727', 'Hello').catch((e) => e)
+    assert.ok(err instanceof infobip.errors.InfobipApiError)
+    assert.strictEqual(err.status, 400)
+    assert.strictEqual(err.messageId, 'BAD_REQUEST')
+    assert.strictEqual(err.text, 'Bad.')
+})
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let client
+let file = path.join(os.tmpdir(), `infobip-sync-${process.pid}.yml`)
+
+const CONFIG = [
+    'applications:',
+    '  - name: Login',
+    '    configuration:',
+    '      pinAttempts: 5',
+    '      pinTimeToLive: 10m',
+    '    templates:',
+    '      - language: en',
+    '        pinType: NUMERIC',
+    '        pinLength: 6',
+    '        messageText: "Your code is {{pin}}"',
+    '      - language: de',
+    '        pinType: NUMERIC',
+    '        messageText: "Dein Code ist {{pin}}"'
+].join('\n')
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+})
+
+beforeEach(() => {
+    server.reset()
+    fs.writeFileSync(file, CONFIG)
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+    fs.unlinkSync(file)
+})
+
+let writes = () => server.requests.filter((request) => request.method !== 'GET')
+let summary = (plan) => plan.actions.map((action) => `${action.action} ${action.type} ${action.language || action.name}`)
+
+test('sync() creates what is missing, and nothing the second time', async () => {
+    let plan = await client.twoFA.sync(file)
+    assert.strictEqual(plan.dryRun, false)
+    assert.deepStrictEqual(summary(plan), ['create application Login', 'create template en', 'create template de'])
+    let app = server.state.applications[plan.actions[0].applicationId]
+    assert.strictEqual(app.configuration.pinAttempts, 5)
+    assert.strictEqual(server.state.templates[plan.actions[1].messageId].applicationId, app.applicationId)
+    assert.deepStrictEqual(plan.actions[0].changes['configuration.pinTimeToLive'], { from: undefined, to: '10m' })
+
+    server.requests = []
+    plan = await client.twoFA.sync(file)
+    assert.deepStrictEqual(summary(plan), ['unchanged application Login', 'unchanged template en', 'unchanged template de'])
+    assert.strictEqual(writes().length, 0)
+    assert.strictEqual(Object.keys(server.state.applications).length, 1)
+})
+
+test('sync() updates drifted fields and keeps the others', async () => {
+    let created = await client.twoFA.sync(file)
+    let applicationId = created.actions[0].applicationId
+    let messageId = created.actions[1].messageId
+    await client.twoFA.updateApp(applicationId, { configuration: { pinAttempts: 9, verifyPinLimit: '2/4s' } })
+    await client.twoFA.updateMessageTemplate(applicationId, messageId, { messageText: 'Code {{pin}}', senderId: 'Shop' })
+
+    server.requests = []
+    let plan = await client.twoFA.sync(file, { dryRun: true })
+    assert.strictEqual(plan.dryRun, true)
+    assert.deepStrictEqual(summary(plan), ['update application Login', 'update template en', 'unchanged template de'])
+    assert.deepStrictEqual(plan.actions[0].changes, { 'configuration.pinAttempts': { from: 9, to: 5 } })
+    assert.deepStrictEqual(plan.actions[1].changes, { messageText: { from: 'Code {{pin}}', to: 'Your code is {{pin}}' } })
+    assert.strictEqual(writes().length, 0)
+
+    await client.twoFA.sync(file)
+    let app = server.state.applications[applicationId]
+    assert.strictEqual(app.configuration.pinAttempts, 5)
+    assert.strictEqual(app.configuration.verifyPinLimit, '2/4s')
+    assert.strictEqual(server.state.templates[messageId].messageText, 'Your code is {{pin}}')
+    assert.strictEqual(server.state.templates[messageId].senderId, 'Shop')
+})
+
+test('dry runs of new applications create nothing', async () => {
+    let plan = await client.twoFA.sync(await infobip.TwoFA.loadConfig(file), { dryRun: true })
+    assert.deepStrictEqual(summary(plan), ['create application Login', 'create template en', 'create template de'])
+    assert.strictEqual(plan.actions[1].applicationId, null)
+    assert.strictEqual(plan.actions[1].messageId, null)
+    assert.strictEqual(Object.keys(server.state.applications).length, 0)
+})
+
+test('new templates missing required fields stop the sync before any change', async () => {
+    let config = await infobip.TwoFA.loadConfig(file)
+    delete config.applications[0].templates[1].pinType
+    server.requests = []
+    let plan = await client.twoFA.sync(config, { dryRun: true })
+    assert.deepStrictEqual(summary(plan), ['create application Login', 'create template en', 'create template de'])
+    assert.strictEqual(plan.actions[1].errors, undefined)
+    assert.deepStrictEqual(plan.actions[2].errors, [{ path: 'pinType', message: 'is required' }])
+
+    await assert.rejects(client.twoFA.sync(config), (err) => {
+        assert.ok(err instanceof infobip.errors.InfobipValidationError)
+        assert.deepStrictEqual(err.errors, [{ path: 'applications[0].templates[1].pinType', message: 'is required' }])
+        return true
+    })
+    assert.strictEqual(writes().length, 0)
+    assert.strictEqual(Object.keys(server.state.applications).length, 0)
+})
+
+test('invalid configs are rejected before any request', async () => {
+    let config = {
+        applications: [
+            { name: 'Login', configuration: 'none', templates: [{ language: 'en' }, { language: 'en' }] },
+            { name: 'Login' },
+            { templates: {} },
+            { name: 'Signup', configuration: { pinTimeToLive: '15 min' }, templates: [{ pinType: 'NUMERIC', pinLength: 0 }] }
+        ]
+    }
+    await assert.rejects(client.twoFA.sync(config), (err) => {
+        assert.ok(err instanceof infobip.errors.InfobipValidationError)
+        assert.deepStrictEqual(err.errors.map((error) => error.path), [
+            'applications[0].configuration',
+            'applications[0].templates[1]',
+            'applications[1].name',
+            'applications[2].name',
+            'applications[2].templates',
+            'applications[3].configuration.pinTimeToLive',
+            'applications[3].templates[0].pinLength'
+        ])
+        return true
+    })
+    await assert.rejects(client.twoFA.sync({}), infobip.errors.InfobipValidationError)
+    assert.strictEqual(server.requests.length, 0)
+
+    let json = file.replace(/\.yml$/, '.json')
+    fs.writeFileSync(json, '{ "applications": [')
+    try {
+        await assert.rejects(infobip.TwoFA.loadConfig(json), (err) => err instanceof infobip.errors.InfobipValidationError && err.message.startsWith(json))
+    } finally {
+        fs.unlinkSync(json)
+    }
+    await assert.rejects(infobip.TwoFA.loadConfig(json), (err) => {
+        return err instanceof infobip.errors.InfobipValidationError && err.message.startsWith(json) && err.cause.code === 'ENOENT'
+    })
+})
@@ -0,0 +1,262 @@
+const assert = require('assert');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let client
+let app
+let template
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+})
+
+beforeEach(async () => {
+    server.reset()
+    app = await client.twoFA.newApp({ name: 'Login', configuration: { pinAttempts: 3, pinTimeToLive: '10m' } })
+    template = await client.twoFA.newMessageTemplate(app.applicationId, {
+        pinType: 'NUMERIC',
+        pinLength: 6,
+        messageText: 'Hi {{name}}, your code is {{pin}}'
+    })
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+})
+
+let sendPin = () => {
+    return client.twoFA.sendPin({
+        applicationId: app.applicationId,
+        messageId: template.messageId,
+        to: '41793026727',
+        placeholders: { name: 'Ann' }
+    })
+}
+
+test('applications can be created, read and updated', async () => {
+    assert.strictEqual(app.configuration.pinAttempts, 3)
+    assert.strictEqual(app.configuration.allowMultiplePinVerifications, true)
+    assert.strictEqual(app.enabled, true)
+
+    await client.twoFA.updateApp(app.applicationId, { name: 'Signup' })
+    let updated = await client.twoFA.getApp(app.applicationId)
+    assert.strictEqual(updated.name, 'Signup')
+    assert.strictEqual(updated.configuration.pinAttempts, 3)
+    assert.strictEqual((await client.twoFA.getApps()).length, 1)
+})
+
+test('message templates can be listed and updated', async () => {
+    await client.twoFA.updateMessageTemplate(app.applicationId, template.messageId, { pinLength: 4 })
+    let templates = await client.twoFA.getMessageTemplates(app.applicationId)
+    assert.strictEqual(templates.length, 1)
+    assert.strictEqual(templates[0].pinLength, 4)
+    assert.strictEqual(templates[0].messageText, template.messageText)
+})
+
+test('single templates can be read', async () => {
+    let read = await client.twoFA.getMessageTemplate(app.applicationId, template.messageId)
+    assert.deepStrictEqual(read, template)
+    await assert.rejects(client.twoFA.getMessageTemplate(app.applicationId, 'UNKNOWN'), (err) => err.status === 404)
+    await assert.rejects(client.twoFA.getMessageTemplate(app.applicationId, ''), infobip.errors.InfobipValidationError)
+})
+
+test('disableApp() keeps the app but stops its PINs', async () => {
+    let disabled = await client.twoFA.disableApp(app.applicationId)
+    assert.strictEqual(disabled.enabled, false)
+    assert.strictEqual(disabled.name, 'Login')
+    assert.strictEqual(disabled.configuration.pinAttempts, 3)
+    await assert.rejects(sendPin(), (err) => err.status === 400)
+    await assert.rejects(client.twoFA.disableApp(''), infobip.errors.InfobipValidationError)
+})
+
+test('templates without the PIN placeholder are rejected before sending', async () => {
+    server.requests = []
+    let err = await client.twoFA.newMessageTemplate(app.applicationId, { pinType: 'NUMERIC', messageText: 'No pin' }).catch((e) => e)
+    assert.ok(err instanceof infobip.errors.InfobipValidationError)
+    assert.deepStrictEqual(err.errors, [{ path: 'messageText', message: 'must contain the pinPlaceholder "{{pin}}"' }])
+    assert.strictEqual(server.requests.length, 0)
+})
+
+test('apps and templates are validated with every problem listed', async () => {
+    let err = await client.twoFA.newApp({
+        name: 'Login',
+        configuration: { pinTimeToLive: '15 min', verifyPinLimit: '1/3sec', pinAttempts: 0 }
+    }).catch((e) => e)
+    assert.ok(err instanceof infobip.errors.InfobipValidationError)
+    assert.deepStrictEqual(err.errors.map((error) => error.path), [
+        'configuration.pinAttempts',
+        'configuration.pinTimeToLive',
+        'configuration.verifyPinLimit'
+    ])
+    assert.ok(err.message.includes('configuration.pinTimeToLive must be a duration like "15m"'))
+
+    err = await client.twoFA.updateMessageTemplate(app.applicationId, template.messageId, { pinType: 'NUMERIC', pinLength: 17 }).catch((e) => e)
+    assert.deepStrictEqual(err.errors, [{ path: 'pinLength', message: 'must be a whole number from 1 to 16' }])
+    await assert.rejects(client.twoFA.updateApp(app.applicationId, { enabled: 'no' }), infobip.errors.InfobipValidationError)
+    // Partial updates only check what is set
+    await client.twoFA.updateMessageTemplate(app.applicationId, template.messageId, { messageText: 'Code {{pin}}' })
+})
+
+test('the mock server checks apps and templates on its own', async () => {
+    // Bypass the client side validation
+    let err = await client.twoFA.axios.post(`${server.baseUrl}/2fa/2/applications`, {
+        name: 'Login',
+        configuration: { pinTimeToLive: '15 min' }
+    }).catch((e) => e)
+    assert.strictEqual(err.response.status, 400)
+    assert.ok(err.response.data.requestError.serviceException.text.includes('configuration.pinTimeToLive'))
+    err = await client.twoFA.axios.put(`${server.baseUrl}/2fa/2/applications/${app.applicationId}`, {
+        configuration: { verifyPinLimit: 'often' }
+    }).catch((e) => e)
+    assert.strictEqual(err.response.status, 400)
+    assert.strictEqual(server.state.applications[app.applicationId].configuration.verifyPinLimit, '1/3s')
+    err = await client.twoFA.axios.post(`${server.baseUrl}/2fa/2/applications/${app.applicationId}/messages`, {
+        pinType: 'NUMERIC',
+        pinLength: 17,
+        messageText: 'Your code is {{pin}}'
+    }).catch((e) => e)
+    assert.strictEqual(err.response.status, 400)
+    assert.strictEqual(err.response.data.requestError.serviceException.text, 'Invalid pinLength')
+})
+
+test('a sent PIN can be verified', async () => {
+    let sent = await sendPin()
+    assert.strictEqual(sent.smsStatus, 'MESSAGE_SENT')
+    let pin = server.lastPin('41793026727')
+    assert.ok(/^\d{6}$/.test(pin))
+    assert.strictEqual(server.state.messages[0].text, `Hi Ann, your code is ${pin}`)
+
+    let result = await client.twoFA.verifyPin(sent.pinId, pin)
+    assert.strictEqual(result.verified, true)
+    assert.strictEqual(result.msisdn, '41793026727')
+    assert.strictEqual(result.attemptsRemaining, 0)
+})
+
+test('wrong PINs use up the attempts', async () => {
+    let sent = await sendPin()
+    let pin = server.lastPin('41793026727')
+    let wrong = (pin === '000000') ? '111111' : '000000'
+
+    let first = await client.twoFA.verifyPin(sent.pinId, wrong)
+    assert.strictEqual(first.verified, false)
+    assert.strictEqual(first.pinError, 'WRONG_PIN')
+    assert.strictEqual(first.attemptsRemaining, 2)
+    await client.twoFA.verifyPin(sent.pinId, wrong)
+    await client.twoFA.verifyPin(sent.pinId, wrong)
+
+    let last = await client.twoFA.verifyPin(sent.pinId, pin)
+    assert.strictEqual(last.verified, false)
+    assert.strictEqual(last.pinError, 'NO_MORE_PIN_ATTEMPTS')
+})
+
+test('PINs expire', async () => {
+    let sent = await sendPin()
+    server.advance(10 * 60000)
+    let result = await client.twoFA.verifyPin(sent.pinId, server.lastPin('41793026727'))
+    assert.strictEqual(result.verified, false)
+    assert.strictEqual(result.pinError, 'TTL_EXPIRED')
+})
+
+test('resendPin() sends the same PIN again', async () => {
+    let sent = await sendPin()
+    let pin = server.lastPin('41793026727')
+    await client.twoFA.resendPin(sent.pinId)
+    assert.strictEqual(server.state.messages.length, 2)
+    assert.strictEqual(server.state.messages[1].text, server.state.messages[0].text)
+    assert.strictEqual((await client.twoFA.verifyPin(sent.pinId, pin)).verified, true)
+})
+
+test('PINs can be sent and resent by voice call', async () => {
+    let params = { applicationId: app.applicationId, messageId: template.messageId, to: '+41 79 302 67 27', placeholders: { name: 'Ann' } }
+    let sent = await client.twoFA.sendPinVoice(params)
+    assert.strictEqual(sent.to, '41793026727')
+    assert.strictEqual(sent.callStatus, 'PENDING_ACCEPTED')
+    assert.strictEqual(server.state.messages.length, 0)
+    assert.strictEqual(server.state.calls.length, 1)
+
+    await client.twoFA.resendPinVoice(sent.pinId)
+    assert.strictEqual(server.state.calls.length, 2)
+    assert.strictEqual(server.state.calls[1].text, server.state.calls[0].text)
+    assert.strictEqual((await client.twoFA.verifyPin(sent.pinId, server.lastPin('41793026727'))).verified, true)
+})
+
+test('PINs can be sent and resent by email', async () => {
+    let params = { applicationId: app.applicationId, messageId: template.messageId, to: 'ann@example.com', placeholders: { name: 'Ann' } }
+    let sent = await client.twoFA.sendPinEmail(params)
+    assert.strictEqual(sent.to, 'ann@example.com')
+    assert.strictEqual(sent.emailStatus.name, 'PENDING_ACCEPTED')
+    assert.ok(server.requests.some((request) => request.path === '/2fa/2/pin/email'))
+
+    await client.twoFA.resendPinEmail(sent.pinId)
+    assert.strictEqual(server.state.emails.length, 2)
+    assert.strictEqual((await client.twoFA.verifyPin(sent.pinId, server.lastPin('ann@example.com'))).verified, true)
+
+    await assert.rejects(client.twoFA.sendPinEmail(Object.assign({}, params, { to: '41793026727' })), infobip.errors.InfobipValidationError)
+    await assert.rejects(client.twoFA.resendPinEmail(''), infobip.errors.InfobipValidationError)
+})
+
+test('PINs the SMS could not deliver fall back to a voice call', async () => {
+    server.setOutcome('41793026727', 'REJECTED')
+    let params = { applicationId: app.applicationId, messageId: template.messageId, to: '41793026727', placeholders: { name: 'Ann' } }
+    let sent = await client.twoFA.sendPin(params, 1, { fallback: 'voice' })
+    assert.strictEqual(sent.smsStatus, 'MESSAGE_NOT_SENT')
+    assert.strictEqual(sent.callStatus, 'PENDING_ACCEPTED')
+    assert.strictEqual(sent.fallback, 'voice')
+    assert.strictEqual(server.state.calls.length, 1)
+    assert.strictEqual((await client.twoFA.verifyPin(sent.pinId, server.lastPin('41793026727'))).verified, true)
+
+    // Delivered SMS and sends without the option are left alone
+    assert.strictEqual((await client.twoFA.sendPin(params)).fallback, undefined)
+    server.setOutcome('41793026727', 'DELIVERED')
+    assert.strictEqual((await client.twoFA.sendPin(params, 1, { fallback: 'voice' })).fallback, undefined)
+    assert.strictEqual(server.state.calls.length, 1)
+    await assert.rejects(client.twoFA.sendPin(params, 1, { fallback: 'email' }), infobip.errors.InfobipValidationError)
+})
+
+test('PINs keep their pinId when the voice fallback fails', async () => {
+    server.setOutcome('41793026727', 'REJECTED')
+    server.fail('POST', /\/resend\/voice$/, { status: 503 })
+    let params = { applicationId: app.applicationId, messageId: template.messageId, to: '41793026727', placeholders: { name: 'Ann' } }
+    let sent = await client.twoFA.sendPin(params, 1, { fallback: 'voice' })
+    assert.strictEqual(sent.smsStatus, 'MESSAGE_NOT_SENT')
+    assert.strictEqual(sent.fallback, undefined)
+    assert.ok(sent.fallbackError instanceof infobip.errors.InfobipApiError)
+    assert.strictEqual(sent.fallbackError.status, 503)
+    assert.ok(server.state.pins[sent.pinId])
+    assert.strictEqual(server.state.calls.length, 0)
+})
+
+test('verification status lists the PINs sent to a number', async () => {
+    let first = await sendPin()
+    server.advance(1000)
+    await sendPin()
+    await client.twoFA.verifyPin(first.pinId, server.state.pins[first.pinId].pin)
+
+    let status = await client.twoFA.getVerificationStatus(app.applicationId, '+41 79 302 67 27')
+    assert.strictEqual(server.requests[server.requests.length - 1].path, `/2fa/2/applications/${app.applicationId}/verifications`)
+    assert.deepStrictEqual(status.verifications.map((verification) => verification.verified), [false, true])
+    assert.ok(status.verifications[1].verifiedAt >= status.verifications[1].sentAt)
+    assert.strictEqual(status.verifications[0].verifiedAt, 0)
+
+    let verified = await client.twoFA.getVerificationStatus(app.applicationId, '41793026727', { verified: true })
+    assert.strictEqual(verified.verifications.length, 1)
+
+    server.setOutcome('41793026728', 'REJECTED')
+    await client.twoFA.sendPin({ applicationId: app.applicationId, messageId: template.messageId, to: '41793026728' })
+    let unsent = await client.twoFA.getVerificationStatus(app.applicationId, '41793026728', { sent: false })
+    assert.deepStrictEqual(unsent.verifications.map((verification) => verification.sentAt), [0])
+    await assert.rejects(client.twoFA.getVerificationStatus(app.applicationId, ''), infobip.errors.InfobipValidationError)
+})
+
+test('disabled applications cannot send PINs', async () => {
+    await client.twoFA.updateApp(app.applicationId, { enabled: false })
+    await assert.rejects(sendPin(), (err) => err.status === 400)
+})
+
+test('unknown PINs are not found', async () => {
+    await assert.rejects(client.twoFA.verifyPin('UNKNOWN', '1234'), (err) => err instanceof infobip.errors.InfobipApiError && err.status === 404)
+})
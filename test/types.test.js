@@ -0,0 +1,264 @@
+//// Core modules
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+//// External modules
+const ts = require('typescript');
+
+//// Modules
+const infobip = require('../index');
+const { test } = require('./harness');
+
+const DTS = path.join(__dirname, '..', 'index.d.ts')
+
+/**
+ * Declaration kinds compared with the runtime
+ */
+const KINDS = {
+    [ts.SyntaxKind.ClassDeclaration]: 'class',
+    [ts.SyntaxKind.FunctionDeclaration]: 'function',
+    [ts.SyntaxKind.ModuleDeclaration]: 'namespace',
+    [ts.SyntaxKind.InterfaceDeclaration]: 'interface',
+    [ts.SyntaxKind.TypeAliasDeclaration]: 'type'
+}
+
+/**
+ * Offset of the bracket closing the one at start
+ */
+function closing(source, start) {
+    let pairs = { '{': '}', '(': ')' }
+    let open = source[start]
+    let depth = 0
+    for (let i = start; i < source.length; i++) {
+        if (source[i] === open) {
+            depth += 1
+        } else if (source[i] === pairs[open]) {
+            depth -= 1
+            if (depth === 0) {
+                return i
+            }
+        }
+    }
+    throw new Error(`Unbalanced "${open}" at ${start}`)
+}
+
+/**
+ * Check if a declaration has a modifier like export or static
+ */
+function hasModifier(node, kind) {
+    return (node.modifiers || []).some((modifier) => modifier.kind === kind)
+}
+
+/**
+ * Names of the parameters of a declared function, method or constructor
+ */
+function paramNames(node) {
+    return node.parameters.map((param) => param.name.getText())
+}
+
+/**
+ * Members of a class declaration: methods with their parameters, properties and which of them are static
+ */
+function parseMembers(node) {
+    let members = Object.create(null)
+    node.members.forEach((member) => {
+        let constructor = ts.isConstructorDeclaration(member)
+        if (!constructor && !member.name) {
+            return
+        }
+        let entry = {
+            name: constructor ? 'constructor' : member.name.getText(),
+            static: hasModifier(member, ts.SyntaxKind.StaticKeyword),
+            method: constructor || ts.isMethodDeclaration(member)
+        }
+        if (entry.method) {
+            entry.params = paramNames(member)
+        } else if (member.type && ts.isTypeQueryNode(member.type)) {
+            // static Name: typeof Class
+            entry.typeOf = member.type.exprName.getText()
+        }
+        members[(entry.static ? 'static ' : '') + entry.name] = entry
+    })
+    return members
+}
+
+/**
+ * Top level declarations of a module or namespace body
+ */
+function parseDeclarations(statements) {
+    let declarations = {}
+    statements.forEach((node) => {
+        let kind = KINDS[node.kind]
+        if (!kind) {
+            return
+        }
+        let name = node.name.getText()
+        let declaration = declarations[name] || { name: name, kinds: [] }
+        declaration.kinds.push(kind)
+        declaration.exported = declaration.exported || hasModifier(node, ts.SyntaxKind.ExportKeyword)
+        if (kind === 'class') {
+            let extended = (node.heritageClauses || []).find((clause) => clause.token === ts.SyntaxKind.ExtendsKeyword)
+            declaration.base = extended ? extended.types[0].expression.getText() : ''
+            declaration.members = parseMembers(node)
+        } else if (kind === 'namespace') {
+            declaration.children = parseDeclarations(node.body.statements)
+        } else if (kind === 'function') {
+            declaration.params = paramNames(node)
+        }
+        declarations[name] = declaration
+    })
+    return declarations
+}
+
+/**
+ * Names of the parameters of a JS function or method, read from its source
+ */
+function runtimeParams(fn, name) {
+    let source = fn.toString()
+    let start = source.indexOf('(')
+    if (name) {
+        let found = new RegExp(`(^|[\\s*])${name}\\s*\\(`, 'm').exec(source)
+        if (!found) {
+            return null
+        }
+        start = found.index + found[0].length - 1
+    }
+    let list = source.slice(start + 1, closing(source, start))
+    return list.split(',').map((param) => param.split('=')[0].trim()).filter((param) => param)
+}
+
+/**
+ * Public methods of a class and its bases, down to the built in classes
+ */
+function runtimeMethods(Class) {
+    let methods = {}
+    let proto = Class.prototype
+    while (proto && proto !== Object.prototype && proto !== EventEmitter.prototype && proto !== Error.prototype) {
+        Object.getOwnPropertyNames(proto).forEach((name) => {
+            if (name !== 'constructor' && !name.startsWith('_') && !methods[name]) {
+                methods[name] = proto[name]
+            }
+        })
+        proto = Object.getPrototypeOf(proto)
+    }
+    return methods
+}
+
+/**
+ * Declared methods of a class and its declared bases
+ */
+function declaredMethods(declaration, scope, Class) {
+    let methods = {}
+    // Overloads of the EventEmitter methods narrowing the events
+    let inherited = (name) => Class.prototype instanceof EventEmitter && name in EventEmitter.prototype
+    while (declaration) {
+        Object.values(declaration.members).forEach((member) => {
+            if (member.method && !member.static && member.name !== 'constructor' && !methods[member.name] && !inherited(member.name)) {
+                methods[member.name] = member
+            }
+        })
+        declaration = scope[declaration.base] || infobipDeclarations[declaration.base]
+    }
+    return methods
+}
+
+/**
+ * Names a runtime value should have for a declaration in a namespace
+ */
+function valueNames(declarations) {
+    return Object.values(declarations).filter((declaration) => {
+        return declaration.exported && declaration.kinds.some((kind) => kind === 'class' || kind === 'function' ||
+            (kind === 'namespace' && declaration.kinds.length === 1))
+    }).map((declaration) => declaration.name).sort()
+}
+
+/**
+ * Compare a declared class with the runtime one
+ */
+function checkClass(label, declaration, Class, scope) {
+    assert.strictEqual(typeof Class, 'function', `${label} is not a class`)
+
+    let methods = runtimeMethods(Class)
+    let declared = declaredMethods(declaration, scope, Class)
+    assert.deepStrictEqual(Object.keys(declared).sort(), Object.keys(methods).sort(), `Methods of ${label}`)
+    Object.keys(methods).forEach((name) => {
+        let params = runtimeParams(methods[name], name)
+        assert.deepStrictEqual(declared[name].params, params, `Parameters of ${label}.${name}()`)
+    })
+
+    let constructor = declaration.members.constructor
+    if (constructor) {
+        assert.deepStrictEqual(constructor.params, runtimeParams(Class, 'constructor'), `Parameters of new ${label}()`)
+    }
+
+    let statics = Object.values(declaration.members).filter((member) => member.static)
+    let runtimeStatics = Object.getOwnPropertyNames(Class).filter((name) => !['length', 'name', 'prototype'].includes(name))
+    assert.deepStrictEqual(statics.map((member) => member.name).sort(), runtimeStatics.sort(), `Statics of ${label}`)
+    statics.forEach((member) => {
+        if (member.method) {
+            assert.deepStrictEqual(member.params, runtimeParams(Class[member.name]), `Parameters of ${label}.${member.name}()`)
+            return
+        }
+        let nested = member.typeOf && (scope[member.typeOf] || infobipDeclarations[member.typeOf])
+        if (nested && nested.members) {
+            checkClass(`${label}.${member.name}`, nested, Class[member.name], scope)
+        }
+    })
+}
+
+/**
+ * Compare the declared members of a namespace with the keys of a runtime module
+ */
+function checkNamespace(label, declarations, runtime) {
+    assert.deepStrictEqual(valueNames(declarations), Object.keys(runtime).sort(), `Members of ${label}`)
+    Object.values(declarations).forEach((declaration) => {
+        if (!declaration.exported) {
+            return
+        }
+        let value = runtime[declaration.name]
+        let name = `${label}.${declaration.name}`
+        if (declaration.kinds.includes('class')) {
+            checkClass(name, declaration, value, declarations)
+        } else if (declaration.kinds.includes('function')) {
+            assert.strictEqual(typeof value, 'function', `${name} is not a function`)
+            assert.deepStrictEqual(declaration.params, runtimeParams(value), `Parameters of ${name}()`)
+        }
+        if (declaration.kinds.includes('namespace') && !declaration.kinds.includes('class')) {
+            checkNamespace(name, declaration.children, value)
+        }
+    })
+}
+
+const source = ts.createSourceFile(DTS, fs.readFileSync(DTS, 'utf8'), ts.ScriptTarget.Latest, true)
+const infobipDeclarations = parseDeclarations(source.statements)
+
+test('index.d.ts compiles with tsc', () => {
+    // No automatic @types, so the Node types come from the reference in index.d.ts
+    let program = ts.createProgram([DTS], {
+        noEmit: true,
+        strict: true,
+        target: ts.ScriptTarget.ES2018,
+        moduleResolution: ts.ModuleResolutionKind.NodeJs,
+        types: []
+    })
+    let diagnostics = ts.getPreEmitDiagnostics(program)
+    assert.strictEqual(ts.formatDiagnostics(diagnostics, {
+        getCanonicalFileName: (file) => file,
+        getCurrentDirectory: () => path.join(__dirname, '..'),
+        getNewLine: () => '\n'
+    }), '')
+})
+
+test('index.d.ts declares every export of index.js', () => {
+    assert.deepStrictEqual(valueNames(infobipDeclarations), Object.keys(infobip).sort())
+})
+
+test('index.d.ts matches the classes, functions and modules', () => {
+    checkNamespace('infobip', infobipDeclarations, infobip)
+})
+
+test('package.json points to index.d.ts', () => {
+    assert.strictEqual(require('../package.json').types, 'index.d.ts')
+})
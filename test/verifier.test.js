@@ -0,0 +1,194 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+const TO = '41793026727'
+
+let server
+let client
+let app
+let template
+let file
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+    file = path.join(os.tmpdir(), `infobip-verifier-${process.pid}.json`)
+})
+
+beforeEach(async () => {
+    server.reset()
+    app = await client.twoFA.newApp({ name: 'Login', configuration: { pinAttempts: 10, pinTimeToLive: '5m' } })
+    template = await client.twoFA.newMessageTemplate(app.applicationId, { pinType: 'NUMERIC', pinLength: 4, messageText: 'Hi {{name}}, code {{pin}}' })
+    server.requests = []
+    if (fs.existsSync(file)) {
+        fs.unlinkSync(file)
+    }
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+    if (fs.existsSync(file)) {
+        fs.unlinkSync(file)
+    }
+})
+
+let verifier = (options = {}) => new infobip.Verifier(client.twoFA, app.applicationId, template.messageId, options)
+let wrongPin = () => (server.lastPin(TO) === '0000') ? '1111' : '0000'
+let calls = (suffix) => server.requests.filter((request) => request.path.endsWith(suffix)).length
+
+test('start() sends a PIN that verify() accepts once', async () => {
+    let v = verifier()
+    let started = await v.start(TO, { name: 'Ann' })
+    assert.strictEqual(started.status, 'sent')
+    assert.strictEqual(started.to, TO)
+    assert.strictEqual(started.attemptsRemaining, 5)
+    assert.strictEqual(started.resendsRemaining, 3)
+    assert.ok(started.expiresAt > Date.now())
+    assert.strictEqual(server.state.messages[0].text, `Hi Ann, code ${server.lastPin(TO)}`)
+
+    let result = await v.verify(started.sessionId, server.lastPin(TO))
+    assert.strictEqual(result.status, 'verified')
+    assert.strictEqual((await v.verify(started.sessionId, server.lastPin(TO))).status, 'not_found')
+    assert.strictEqual((await v.resend(started.sessionId)).status, 'not_found')
+})
+
+test('wrong PINs count against the local attempt limit', async () => {
+    let v = verifier({ maxAttempts: 2 })
+    let started = await v.start(TO)
+
+    let result = await v.verify(started.sessionId, wrongPin())
+    assert.strictEqual(result.status, 'wrong_pin')
+    assert.strictEqual(result.attemptsRemaining, 1)
+    result = await v.verify(started.sessionId, wrongPin())
+    assert.strictEqual(result.status, 'exhausted')
+    assert.strictEqual(result.attemptsRemaining, 0)
+
+    // Even the right PIN is refused without calling the API
+    result = await v.verify(started.sessionId, server.lastPin(TO))
+    assert.strictEqual(result.status, 'exhausted')
+    assert.strictEqual(calls('/verify'), 2)
+})
+
+test('attempt limits of the application are reported as exhausted', async () => {
+    await client.twoFA.updateApp(app.applicationId, { configuration: { pinAttempts: 1 } })
+    let v = verifier()
+    let started = await v.start(TO)
+    let result = await v.verify(started.sessionId, wrongPin())
+    assert.strictEqual(result.status, 'exhausted')
+})
+
+test('resend() enforces the cooldown and the resend limit', async () => {
+    let v = verifier()
+    let started = await v.start(TO)
+    let result = await v.resend(started.sessionId)
+    assert.strictEqual(result.status, 'cooldown')
+    assert.ok(result.retryAfter > 29000 && result.retryAfter <= 30000)
+    assert.strictEqual(result.resendAt, started.resendAt)
+    assert.strictEqual(calls('/resend'), 0)
+
+    v = verifier({ resendCooldown: 0, maxResends: 1 })
+    started = await v.start(TO)
+    result = await v.resend(started.sessionId)
+    assert.strictEqual(result.status, 'sent')
+    assert.strictEqual(result.resendsRemaining, 0)
+    assert.strictEqual(calls('/resend'), 1)
+    assert.strictEqual((await v.resend(started.sessionId)).status, 'resend_limit')
+    assert.strictEqual(calls('/resend'), 1)
+})
+
+test('parallel calls on a session cannot pass the limits', async () => {
+    let v = verifier({ maxAttempts: 2 })
+    let started = await v.start(TO)
+    let results = await Promise.all([1, 2, 3, 4].map(() => v.verify(started.sessionId, wrongPin())))
+    assert.deepStrictEqual(results.map((result) => result.status), ['wrong_pin', 'exhausted', 'exhausted', 'exhausted'])
+    assert.strictEqual(calls('/verify'), 2)
+
+    v = verifier({ resendCooldown: 0, maxResends: 1 })
+    started = await v.start(TO)
+    results = await Promise.all([1, 2, 3].map(() => v.resend(started.sessionId)))
+    assert.deepStrictEqual(results.map((result) => result.status), ['sent', 'resend_limit', 'resend_limit'])
+    assert.strictEqual(calls('/resend'), 1)
+
+    v = verifier({ resendCooldown: 20, maxResends: 5 })
+    started = await v.start(TO)
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    results = await Promise.all([1, 2, 3].map(() => v.resend(started.sessionId)))
+    assert.deepStrictEqual(results.map((result) => result.status), ['sent', 'cooldown', 'cooldown'])
+    assert.strictEqual(calls('/resend'), 2)
+    assert.strictEqual(v.queues.size, 0)
+})
+
+test('sessions expire locally and at Infobip', async () => {
+    let v = verifier({ ttl: 20 })
+    let started = await v.start(TO)
+    await new Promise((resolve) => setTimeout(resolve, 40))
+    assert.strictEqual((await v.verify(started.sessionId, server.lastPin(TO))).status, 'expired')
+    assert.strictEqual((await v.resend(started.sessionId)).status, 'expired')
+    assert.strictEqual(calls('/verify'), 0)
+
+    v = verifier()
+    started = await v.start(TO)
+    server.advance(6 * 60000)
+    assert.strictEqual((await v.verify(started.sessionId, server.lastPin(TO))).status, 'expired')
+})
+
+test('PINs Infobip could not send start no session', async () => {
+    server.setOutcome(TO, 'REJECTED')
+    let v = verifier()
+    let started = await v.start(TO)
+    assert.strictEqual(started.status, 'not_sent')
+    assert.strictEqual(await v.store.get(started.sessionId), null)
+})
+
+test('sessions can fall back to voice calls', async () => {
+    server.setOutcome(TO, 'REJECTED')
+    let v = verifier({ fallback: 'voice', resendCooldown: 0 })
+    let started = await v.start(TO)
+    assert.strictEqual(started.status, 'sent')
+    assert.strictEqual(started.channel, 'voice')
+    await v.resend(started.sessionId)
+    assert.strictEqual(server.state.calls.length, 2)
+    assert.strictEqual(calls('/resend'), 0)
+    assert.strictEqual((await v.verify(started.sessionId, server.lastPin(TO))).status, 'verified')
+})
+
+test('JsonFileStore keeps sessions across instances', async () => {
+    let started = await verifier({ store: new infobip.store.JsonFileStore(file) }).start(TO)
+    assert.ok(JSON.parse(fs.readFileSync(file, 'utf8'))[started.sessionId])
+
+    let restarted = verifier({ store: new infobip.store.JsonFileStore(file) })
+    assert.strictEqual((await restarted.verify(started.sessionId, wrongPin())).status, 'wrong_pin')
+    let result = await restarted.verify(started.sessionId, server.lastPin(TO))
+    assert.strictEqual(result.status, 'verified')
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {})
+})
+
+test('stores forget expired values and run writes in order', async () => {
+    let stores = [new infobip.store.MemoryStore(), new infobip.store.JsonFileStore(file)]
+    for (let store of stores) {
+        await store.set('old', { a: 1 }, Date.now() - 1)
+        await Promise.all([1, 2, 3, 4, 5].map((i) => store.set(`key-${i}`, { i: i })))
+        assert.strictEqual(await store.get('old'), null)
+        assert.deepStrictEqual(await store.get('key-5'), { i: 5 })
+
+        let value = await store.get('key-1')
+        value.i = 100
+        assert.deepStrictEqual(await store.get('key-1'), { i: 1 })
+        await store.delete('key-1')
+        assert.strictEqual(await store.get('key-1'), null)
+    }
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['key-2', 'key-3', 'key-4', 'key-5'])
+})
+
+test('Verifier validates its arguments', async () => {
+    assert.throws(() => new infobip.Verifier(client.twoFA, '', 'MESSAGE-ID'), infobip.errors.InfobipValidationError)
+    assert.throws(() => verifier({ store: {} }), infobip.errors.InfobipValidationError)
+    await assert.rejects(verifier().verify('', '1234'), infobip.errors.InfobipValidationError)
+    await assert.rejects(verifier().start(''), infobip.errors.InfobipValidationError)
+})
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const http = require('http');
+const axios = require('axios');
+const infobip = require('../index');
+const { test, before, beforeEach, after } = require('./harness');
+
+let server
+let client
+let hooks
+let reports
+let inbound
+
+before(async () => {
+    server = infobip.mock.createServer()
+    let baseUrl = await server.listen()
+    client = infobip.createClient({ baseUrl: baseUrl, apiKey: server.options.apiKey }, {})
+    hooks = http.createServer((req, res) => {
+        return (req.url === '/inbound' ? inbound : reports).handler()(req, res)
+    })
+    await new Promise((resolve) => hooks.listen(0, '127.0.0.1', resolve))
+})
+
+beforeEach(() => {
+    server.reset()
+    reports = new infobip.DeliveryReports()
+    inbound = new infobip.InboundMessages()
+})
+
+after(async () => {
+    client.close()
+    await server.close()
+    await new Promise((resolve) => hooks.close(resolve))
+})
+
+let post = (path, body) => {
+    return axios.post(`http://127.0.0.1:${hooks.address().port}${path}`, body, {
+        headers: { 'Content-Type': 'application/json' },
+        validateStatus: () => true
+    })
+}
+
+let delivered = async () => {
+    let response = await client.sms.single('41793026727', 'Hello')
+    return server.deliver(response.messages[0].messageId)
+}
+
+test('reports and inbound messages fetched from the API are emitted', async () => {
+    server.setOutcome('41793026728', 'UNDELIVERABLE')
+    await client.sms.single(['41793026727', '41793026728'], 'Hello')
+    let outcomes = []
+    reports.on('report', (report) => {
+        outcomes.push([report.to, report.outcome])
+    })
+    await reports.process(await client.sms.getReports())
+    assert.deepStrictEqual(outcomes.sort(), [['41793026727', 'delivered'], ['41793026728', 'failed']])
+
+    server.receive({ from: '41793026727', to: '41793026700', text: 'JOIN now', keyword: 'JOIN' })
+    let received = []
+    inbound.on('message', (message) => {
+        received.push(message)
+    })
+    await inbound.process(await client.sms.getInbox())
+    assert.strictEqual(received.length, 1)
+    assert.strictEqual(received[0].keyword, 'JOIN')
+})
+
+test('reports whose listeners throw are answered 500 and emitted again on redelivery', async () => {
+    let raw = await delivered()
+    let calls = 0
+    reports.on('delivered', () => {
+        calls += 1
+        if (calls === 1) {
+            throw new Error('Database down')
+        }
+    })
+    let duplicates = 0
+    reports.on('duplicate', () => {
+        duplicates += 1
+    })
+
+    assert.strictEqual((await post('/reports', { results: [raw] })).status, 500)
+    assert.strictEqual(reports.getReport(raw.messageId), undefined)
+    assert.strictEqual((await post('/reports', { results: [raw] })).status, 200)
+    assert.strictEqual(calls, 2)
+    assert.strictEqual(duplicates, 0)
+    assert.strictEqual((await post('/reports', { results: [raw] })).status, 200)
+    assert.strictEqual(duplicates, 1)
+})
+
+test('inbound messages whose listeners throw are emitted again on redelivery', async () => {
+    let raw = server.receive({ from: '41793026727', to: '41793026700', text: 'STOP' })
+    let failing = true
+    let received = []
+    inbound.on('message', (message) => {
+        if (failing) {
+            failing = false
+            throw new Error('Queue full')
+        }
+        received.push(message.messageId)
+    })
+    assert.strictEqual((await post('/inbound', { results: [raw] })).status, 500)
+    assert.strictEqual((await post('/inbound', { results: [raw] })).status, 200)
+    assert.deepStrictEqual(received, [raw.messageId])
+})
+
+test('async listeners are waited for and their rejections answered 500', async () => {
+    let raw = await delivered()
+    let saved = []
+    let failing = true
+    reports.on('delivered', async (report) => {
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        if (failing) {
+            failing = false
+            throw new Error('Database down')
+        }
+        saved.push(report.messageId)
+    })
+    let duplicates = 0
+    reports.on('duplicate', () => {
+        duplicates += 1
+    })
+    assert.strictEqual((await post('/reports', { results: [raw] })).status, 500)
+    assert.strictEqual(reports.getReport(raw.messageId), undefined)
+    assert.strictEqual((await post('/reports', { results: [raw] })).status, 200)
+    assert.deepStrictEqual(saved, [raw.messageId])
+    assert.strictEqual(duplicates, 0)
+
+    let message = server.receive({ from: '41793026727', to: '41793026700', text: 'STOP' })
+    inbound.once('message', () => Promise.reject(new Error('Queue full')))
+    assert.strictEqual((await post('/inbound', { results: [message] })).status, 500)
+    assert.strictEqual((await inbound.process({ results: [message] })).length, 1)
+})
+
+test('bad payloads are answered 400', async () => {
+    assert.strictEqual((await post('/reports', '{ "results": ')).status, 400)
+    assert.strictEqual((await post('/reports', { messages: [] })).status, 400)
+    assert.strictEqual((await post('/inbound', { results: 'none' })).status, 400)
+})
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const infobip = require('../index');
+const xml = require('../xml');
+const { test } = require('./harness');
+
+test('serialize() wraps arrays', () => {
+    assert.strictEqual(
+        xml.serialize({ from: 'InfoSMS', to: ['1', '2'], text: 'a < b' }),
+        '<?xml version="1.0" encoding="UTF-8"?><request><from>InfoSMS</from><to><to>1</to><to>2</to></to><text>a &lt; b</text></request>'
+    )
+})
+
+test('parse() returns the shape of the JSON response', () => {
+    let data = xml.parse('<smsResponse><bulkId>B</bulkId><messages><message><to>41793026727</to><status><groupId>1</groupId></status></message></messages></smsResponse>')
+    assert.deepStrictEqual(data, { bulkId: 'B', messages: [{ to: '41793026727', status: { groupId: 1 } }] })
+    assert.deepStrictEqual(xml.parse('<response><results></results></response>'), { results: [] })
+})
+
+test('parse() keeps requestError as the root key', () => {
+    let data = xml.parse('<requestError><serviceException><messageId>UNAUTHORIZED</messageId><text>Invalid login details</text></serviceException></requestError>')
+    assert.strictEqual(data.requestError.serviceException.messageId, 'UNAUTHORIZED')
+})
+
+test('parse() rejects broken documents', () => {
+    assert.throws(() => xml.parse('<a><b></a>'), (err) => err instanceof infobip.errors.InfobipApiError && err.data === '<a><b></a>')
+    assert.throws(() => xml.parse('<a>'), infobip.errors.InfobipApiError)
+})
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const infobip = require('../index');
+const yaml = require('../yaml');
+const { test } = require('./harness');
+
+test('parse() reads nested mappings and sequences', () => {
+    let data = yaml.parse([
+        '# 2FA setup',
+        '---',
+        'applications:',
+        '  - name: Login   # comment',
+        '    enabled: true',
+        '    configuration:',
+        '      pinAttempts: 5',
+        '      pinTimeToLive: 10m',
+        '    templates:',
+        '    - language: en',
+        '      repeatDTMF: \'1#\'',
+        '      messageText: "Code: {{pin}} # kept"',
+        '  - name: "Quoted: name"',
+        '    tags: [a, "b, c", 3]',
+        '    empty: {}',
+        '    nothing:',
+        'list:',
+        '- - 1',
+        '  - 2.5',
+        '- ~'
+    ].join('\n'))
+    assert.deepStrictEqual(data, {
+        applications: [{
+            name: 'Login',
+            enabled: true,
+            configuration: { pinAttempts: 5, pinTimeToLive: '10m' },
+            templates: [{ language: 'en', repeatDTMF: '1#', messageText: 'Code: {{pin}} # kept' }]
+        }, {
+            name: 'Quoted: name',
+            tags: ['a', 'b, c', 3],
+            empty: {},
+            nothing: null
+        }],
+        list: [[1, 2.5], null]
+    })
+    assert.strictEqual(yaml.parse(''), null)
+    assert.strictEqual(yaml.parse('hello'), 'hello')
+})
+
+test('parse() reads literal and folded block scalars', () => {
+    let data = yaml.parse('literal: |\n  Your code\n  is {{pin}}\n\nfolded: >-\n  one\n  two\n\n  three\nnext: 1')
+    assert.deepStrictEqual(data, { literal: 'Your code\nis {{pin}}\n', folded: 'one two\nthree', next: 1 })
+})
+
+test('parse() reports the line of errors', () => {
+    let cases = [
+        ['a: 1\n  b: 2', /line 2. Unexpected indentation/],
+        ['a:\n\t- 1', /line 2. Tabs/],
+        ['a: 1\na: 2', /line 2. Duplicate key "a"/],
+        ['a: [1, 2', /line 1. Flow collections/],
+        ['a: *ref', /line 1. Anchors, aliases and tags/],
+        ['a: "x', /line 1. Invalid double quoted string/],
+        ['a: 1\n__proto__:\n  polluted: true', /line 2. Key "__proto__" is not allowed/],
+        ['a: { "constructor": 1 }', /line 1. Key "constructor" is not allowed/],
+        ['a: b: c', /line 1. Plain values cannot contain ": "/],
+        ['a: 1\n"a\\q": 1', /line 2. Invalid double quoted key/],
+        ['a: { "b\\q": 1 }', /line 1. Invalid double quoted key/]
+    ]
+    cases.forEach(([text, message]) => {
+        assert.throws(() => yaml.parse(text), (err) => err instanceof infobip.errors.InfobipValidationError && message.test(err.message))
+    })
+})
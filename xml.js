@@ -0,0 +1,268 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipApiError = require('./errors').InfobipApiError;
+
+
+/**
+ * Item element names of lists that do not follow the plural "s" rule
+ *
+ * @private
+ */
+const SINGULARS = {
+    to: 'to',
+    allowedIPs: 'allowedIP',
+    addresses: 'address'
+}
+
+/**
+ * Lists that may come back empty, and so cannot be recognized by their items
+ *
+ * @private
+ */
+const ARRAYS = ['messages', 'results', 'destinations', 'allowedIPs', 'permissions', 'applications', 'to']
+
+/**
+ * Fields that are numbers in the JSON responses
+ *
+ * @private
+ */
+const NUMBERS = ['groupId', 'id', 'smsCount', 'pricePerMessage', 'messageCount', 'pendingMessageCount', 'pinAttempts',
+    'pinLength', 'speechRate', 'validityPeriod', 'attemptsRemaining', 'dataCoding', 'esmClass']
+
+/**
+ * Root elements of responses that are kept as a key, like in JSON responses
+ *
+ * @private
+ */
+const KEEP_ROOT = ['requestError']
+
+/**
+ * Serialize a request body to Infobip's XML schema. Arrays are wrapped, eg. { to: ['1', '2'] } becomes <to><to>1</to><to>2</to></to>.
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.xml.serialize({ from: 'InfoSMS', to: ['41793026727'], text: 'Test SMS.' }))
+ * // <?xml version="1.0" encoding="UTF-8"?><request><from>InfoSMS</from><to><to>41793026727</to></to><text>Test SMS.</text></request>
+ *
+ * @param {Object} data Request body.
+ * @param {string} root Name of the root element.
+ *
+ * @returns {string}
+ */
+function serialize(data, root = 'request') {
+    return `<?xml version="1.0" encoding="UTF-8"?>${element(root, data)}`
+}
+
+/**
+ * Parse an XML response into the same shape as the JSON response
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.xml.parse('<smsResponse><messages><message><to>41793026727</to><status><groupId>1</groupId></status></message></messages></smsResponse>'))
+ * // { messages: [ { to: '41793026727', status: { groupId: 1 } } ] }
+ *
+ * @param {string} text XML document.
+ *
+ * @returns {Object|Array|string}
+ * @throws {InfobipApiError} If the document is malformed. data has the document.
+ */
+function parse(text) {
+    let root = parseDocument(text)
+    let value = convert(root)
+    if (KEEP_ROOT.includes(root.name)) {
+        let wrapped = {}
+        wrapped[root.name] = value
+        return wrapped
+    }
+    return value
+}
+
+/**
+ * Serialize one element
+ *
+ * @private
+ * @param {string} name
+ * @param {*} value
+ * @returns {string}
+ */
+function element(name, value) {
+    if (value === undefined || value === null) {
+        return ''
+    }
+    if (Array.isArray(value)) {
+        let item = singular(name)
+        return `<${name}>${value.map((v) => element(item, v)).join('')}</${name}>`
+    }
+    if (value instanceof Date) {
+        return `<${name}>${escape(value.toISOString())}</${name}>`
+    }
+    if (typeof value === 'object') {
+        let children = Object.keys(value).map((key) => element(key, value[key])).join('')
+        return `<${name}>${children}</${name}>`
+    }
+    return `<${name}>${escape(String(value))}</${name}>`
+}
+
+/**
+ * Convert a parsed node into a plain value
+ *
+ * @private
+ * @param {Object} node
+ * @returns {*}
+ */
+function convert(node) {
+    if (node.children.length <= 0) {
+        if (ARRAYS.includes(node.name) && node.text.trim() === '') {
+            return []
+        }
+        return scalar(node.name, node.text)
+    }
+
+    let names = node.children.map((child) => child.name)
+    let item = singular(node.name)
+    let isList = names.every((name) => name === names[0]) && (names[0] === item || (ARRAYS.includes(node.name) && names.length > 1))
+    if (isList) {
+        return node.children.map(convert)
+    }
+
+    let object = {}
+    let repeated = new Set()
+    node.children.forEach((child) => {
+        let value = convert(child)
+        if (object[child.name] === undefined) {
+            object[child.name] = value
+        } else if (repeated.has(child.name)) {
+            object[child.name].push(value)
+        } else {
+            // Repeated element without a wrapper
+            object[child.name] = [object[child.name], value]
+            repeated.add(child.name)
+        }
+    })
+    return object
+}
+
+/**
+ * Convert text to the type used in JSON responses
+ *
+ * @private
+ * @param {string} name
+ * @param {string} text
+ * @returns {*}
+ */
+function scalar(name, text) {
+    if (text === 'true') {
+        return true
+    }
+    if (text === 'false') {
+        return false
+    }
+    if (NUMBERS.includes(name) && text.trim() !== '' && !isNaN(Number(text))) {
+        return Number(text)
+    }
+    return text
+}
+
+/**
+ * Name of the items of a list
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function singular(name) {
+    if (SINGULARS[name]) {
+        return SINGULARS[name]
+    }
+    if (name.endsWith('ies')) {
+        return name.slice(0, -3) + 'y'
+    }
+    if (name.endsWith('s')) {
+        return name.slice(0, -1)
+    }
+    return name
+}
+
+/**
+ * Parse an XML document into a tree of { name, text, children }. Attributes are ignored.
+ *
+ * @private
+ * @param {string} text
+ * @returns {Object} Root node
+ * @throws {InfobipApiError}
+ */
+function parseDocument(text) {
+    let stack = [{ name: '', text: '', children: [] }]
+    let pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[^\s=>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+    let match
+    while ((match = pattern.exec(text)) !== null) {
+        let current = stack[stack.length - 1]
+        if (match[1] !== undefined) { // CDATA
+            current.text += match[1]
+        } else if (match[2] !== undefined) { // Closing tag
+            if (current.name !== localName(match[2])) {
+                throw new InfobipApiError(`Invalid XML. Unexpected closing tag </${match[2]}>.`, { data: text })
+            }
+            stack.pop()
+        } else if (match[3] !== undefined) { // Opening tag
+            let node = { name: localName(match[3]), text: '', children: [] }
+            current.children.push(node)
+            if (!match[5]) {
+                stack.push(node)
+            }
+        } else if (match[6] !== undefined) { // Text
+            current.text += unescape(match[6])
+        }
+    }
+    if (stack.length !== 1 || stack[0].children.length !== 1) {
+        throw new InfobipApiError('Invalid XML.', { data: text })
+    }
+    return stack[0].children[0]
+}
+
+/**
+ * Strip the namespace prefix of a tag name
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+    let index = name.indexOf(':')
+    return (index >= 0) ? name.substr(index + 1) : name
+}
+
+/**
+ * Escape text for XML
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;')
+}
+
+/**
+ * Decode XML entities
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function unescape(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|quot|apos|amp);/g, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint((code[1] === 'x') ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10))
+        }
+        return { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[code]
+    })
+}
+
+module.exports = {
+    parse: parse,
+    serialize: serialize
+}
@@ -0,0 +1,443 @@
+//// Core modules
+
+//// External modules
+
+//// Modules
+const InfobipValidationError = require('./errors').InfobipValidationError;
+
+
+/**
+ * Keys of block mappings, eg. "name:" or "'pin type': NUMERIC"
+ *
+ * @private
+ */
+const KEY = /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)'|([^\s"'#][^:]*?))[ \t]*:(?:[ \t]+(.*))?$/
+
+/**
+ * Keys that would change the prototype of the parsed objects
+ *
+ * @private
+ */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * Parse the YAML used by config files: block mappings and sequences, plain and quoted scalars, "|" and ">" block scalars,
+ * one-line flow sequences and mappings, and comments. Anchors, aliases, tags and multiple documents are not supported.
+ * The keys __proto__, constructor and prototype are rejected.
+ *
+ * @example
+ * let infobip = require('node-infobip');
+ * console.log(infobip.yaml.parse('applications:\n  - name: Login\n    enabled: true'))
+ * // { applications: [ { name: 'Login', enabled: true } ] }
+ *
+ * @param {string} text YAML document.
+ *
+ * @returns {*} The value of the document, null if empty
+ * @throws {InfobipValidationError}
+ */
+function parse(text) {
+    let state = { lines: String(text).replace(/^\uFEFF/, '').split(/\r?\n/), index: 0 }
+    skip(state)
+    if (state.index < state.lines.length && /^---[ \t]*(#.*)?$/.test(state.lines[state.index])) {
+        state.index += 1
+        skip(state)
+    }
+    if (state.index >= state.lines.length) {
+        return null
+    }
+    let indent = indentOf(state)
+    let value = parseNode(state, indent)
+    skip(state)
+    if (state.index < state.lines.length && !/^\.\.\.[ \t]*$/.test(state.lines[state.index])) {
+        fail(state, 'Unexpected indentation.')
+    }
+    return value
+}
+
+/**
+ * Parse the mapping, sequence or scalar starting at the current line
+ *
+ * @private
+ * @param {Object} state
+ * @param {number} indent Indentation of the node.
+ * @returns {*}
+ */
+function parseNode(state, indent) {
+    let content = state.lines[state.index].slice(indent)
+    if (isDash(content)) {
+        return parseSequence(state, indent)
+    }
+    if (KEY.test(stripComment(content))) {
+        return parseMapping(state, indent)
+    }
+    state.index += 1
+    return scalar(state, stripComment(content).trim(), indent - 1)
+}
+
+/**
+ * Parse a block sequence
+ *
+ * @private
+ * @param {Object} state
+ * @param {number} indent Indentation of the dashes.
+ * @returns {Array}
+ */
+function parseSequence(state, indent) {
+    let items = []
+    while (state.index < state.lines.length && indentOf(state) === indent) {
+        let content = state.lines[state.index].slice(indent)
+        if (!isDash(content)) {
+            fail(state, 'Expected a "-" sequence item.')
+        }
+        let rest = content.slice(1)
+        let value = stripComment(rest).trim()
+        if (value === '') {
+            state.index += 1
+            skip(state)
+            items.push((state.index < state.lines.length && indentOf(state) > indent) ? parseNode(state, indentOf(state)) : null)
+        } else if (isDash(value) || KEY.test(value)) {
+            // Parse "- key: value" as if the item started on its own line
+            let inner = indent + 1 + rest.length - rest.trimStart().length
+            state.lines[state.index] = ' '.repeat(inner) + rest.trimStart()
+            items.push(parseNode(state, inner))
+        } else {
+            state.index += 1
+            items.push(scalar(state, value, indent))
+        }
+        skip(state)
+    }
+    if (state.index < state.lines.length && indentOf(state) > indent) {
+        fail(state, 'Unexpected indentation.')
+    }
+    return items
+}
+
+/**
+ * Parse a block mapping
+ *
+ * @private
+ * @param {Object} state
+ * @param {number} indent Indentation of the keys.
+ * @returns {Object}
+ */
+function parseMapping(state, indent) {
+    let map = {}
+    while (state.index < state.lines.length && indentOf(state) === indent) {
+        let match = KEY.exec(stripComment(state.lines[state.index].slice(indent)))
+        if (!match) {
+            fail(state, 'Expected a "key:".')
+        }
+        let key = keyOf(state, match)
+        if (UNSAFE_KEYS.includes(key)) {
+            fail(state, `Key "${key}" is not allowed.`)
+        }
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            fail(state, `Duplicate key "${key}".`)
+        }
+        let value = (match[4] || '').trim()
+        state.index += 1
+        if (value === '') {
+            skip(state)
+            if (state.index < state.lines.length && indentOf(state) > indent) {
+                map[key] = parseNode(state, indentOf(state))
+            } else if (state.index < state.lines.length && indentOf(state) === indent && isDash(state.lines[state.index].slice(indent))) {
+                // Sequences may start at the indentation of their key
+                map[key] = parseSequence(state, indent)
+            } else {
+                map[key] = null
+            }
+        } else {
+            map[key] = scalar(state, value, indent)
+        }
+        skip(state)
+    }
+    if (state.index < state.lines.length && indentOf(state) > indent) {
+        fail(state, 'Unexpected indentation.')
+    }
+    return map
+}
+
+/**
+ * Convert a scalar, a one-line flow collection or the block scalar that follows
+ *
+ * @private
+ * @param {Object} state Positioned on the line after the scalar.
+ * @param {string} text Scalar without comments.
+ * @param {number} indent Indentation of the parent node. Block scalars are indented more.
+ * @returns {*}
+ */
+function scalar(state, text, indent) {
+    let match = /^([|>])([+-]?)$/.exec(text)
+    if (match) {
+        return blockScalar(state, indent, match[1] === '>', match[2])
+    }
+    if (text[0] === '"') {
+        try {
+            return JSON.parse(text)
+        } catch (err) {
+            state.index -= 1
+            fail(state, 'Invalid double quoted string.')
+        }
+    }
+    if (text[0] === "'") {
+        match = /^'((?:[^']|'')*)'$/.exec(text)
+        if (!match) {
+            state.index -= 1
+            fail(state, 'Invalid single quoted string.')
+        }
+        return match[1].replace(/''/g, "'")
+    }
+    if (text[0] === '[' || text[0] === '{') {
+        return flow(state, text)
+    }
+    if (/^[&*!%@`]/.test(text)) {
+        state.index -= 1
+        fail(state, 'Anchors, aliases and tags are not supported.')
+    }
+    if (/:([ \t]|$)/.test(text)) {
+        state.index -= 1
+        fail(state, 'Plain values cannot contain ": ", quote them.')
+    }
+    if (/^(~|null|Null|NULL)$/.test(text)) {
+        return null
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text)
+    }
+    return text
+}
+
+/**
+ * Read a "|" (literal) or ">" (folded) block scalar
+ *
+ * @private
+ * @param {Object} state Positioned on the first line of the block.
+ * @param {number} indent Indentation of the parent node.
+ * @param {boolean} folded Join lines with spaces instead of newlines.
+ * @param {string} chomping "-" strips the final newline, "+" keeps all trailing newlines.
+ * @returns {string}
+ */
+function blockScalar(state, indent, folded, chomping) {
+    let lines = []
+    let blockIndent = -1
+    while (state.index < state.lines.length) {
+        let line = state.lines[state.index]
+        if (line.trim() === '') {
+            lines.push('')
+        } else {
+            let lineIndent = line.length - line.trimStart().length
+            if (lineIndent <= indent) {
+                break
+            }
+            if (blockIndent < 0) {
+                blockIndent = lineIndent
+            }
+            if (lineIndent < blockIndent) {
+                fail(state, 'Block scalar lines must be indented alike.')
+            }
+            lines.push(line.slice(blockIndent))
+        }
+        state.index += 1
+    }
+    let trailing = 0
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop()
+        trailing += 1
+    }
+    let text = lines.join('\n')
+    if (folded) {
+        // Single line breaks become spaces, each blank line a line break
+        text = lines.reduce((joined, line, i) => {
+            if (i === 0 || lines[i - 1] === '') {
+                return joined + line
+            }
+            return joined + ((line === '') ? '\n' : ` ${line}`)
+        }, '')
+    }
+    if (chomping === '-' || lines.length === 0) {
+        return text
+    }
+    return text + '\n'.repeat((chomping === '+') ? trailing + 1 : 1)
+}
+
+/**
+ * Parse a one-line flow sequence or mapping of scalars, eg. [1, 2] or { a: 1 }
+ *
+ * @private
+ * @param {Object} state
+ * @param {string} text
+ * @returns {Array|Object}
+ */
+function flow(state, text) {
+    let close = (text[0] === '[') ? ']' : '}'
+    if (text[text.length - 1] !== close) {
+        state.index -= 1
+        fail(state, `Flow collections must end on the same line with "${close}".`)
+    }
+    let items = splitFlow(text.slice(1, -1)).map((item) => item.trim())
+    if (items.length === 1 && items[0] === '') {
+        items = []
+    }
+    if (items.some((item) => item === '' || item[0] === '[' || item[0] === '{')) {
+        state.index -= 1
+        fail(state, 'Nested or empty flow items are not supported.')
+    }
+    if (close === ']') {
+        return items.map((item) => scalar(state, item, 0))
+    }
+    let map = {}
+    items.forEach((item) => {
+        let match = KEY.exec(item)
+        if (!match) {
+            state.index -= 1
+            fail(state, `Expected a "key: value" in "${item}".`)
+        }
+        state.index -= 1
+        let key = keyOf(state, match)
+        if (UNSAFE_KEYS.includes(key)) {
+            fail(state, `Key "${key}" is not allowed.`)
+        }
+        state.index += 1
+        map[key] = scalar(state, (match[4] || '').trim() || '~', 0)
+    })
+    return map
+}
+
+/**
+ * Split flow items on the commas outside quotes
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array}
+ */
+function splitFlow(text) {
+    let items = ['']
+    let quote = ''
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i]
+        if (quote) {
+            if (c === '\\' && quote === '"') {
+                items[items.length - 1] += c + text[++i]
+                continue
+            }
+            if (c === quote) {
+                quote = ''
+            }
+        } else if ((c === '"' || c === "'") && /^\s*$/.test(items[items.length - 1].split(':').pop())) {
+            quote = c
+        } else if (c === ',') {
+            items.push('')
+            continue
+        }
+        items[items.length - 1] += c
+    }
+    return items
+}
+
+/**
+ * Unquote the key matched by KEY
+ *
+ * @private
+ * @param {Object} state Positioned on the line of the key.
+ * @param {Array} match
+ * @returns {string}
+ * @throws {InfobipValidationError} If a double quoted key has invalid escapes
+ */
+function keyOf(state, match) {
+    if (match[1] !== undefined) {
+        try {
+            return JSON.parse(`"${match[1]}"`)
+        } catch (err) {
+            fail(state, 'Invalid double quoted key.')
+        }
+    }
+    return (match[2] !== undefined) ? match[2].replace(/''/g, "'") : match[3]
+}
+
+/**
+ * Remove a trailing comment. Quotes are only recognized at the start of a value, so "it's # not quoted" loses its comment.
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+    let quote = ''
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i]
+        if (quote) {
+            if (c === '\\' && quote === '"') {
+                i += 1
+            } else if (c === quote) {
+                quote = ''
+            }
+        } else if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+            quote = c
+        } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd()
+        }
+    }
+    return text.trimEnd()
+}
+
+/**
+ * Check if a line is a sequence item
+ *
+ * @private
+ * @param {string} content Line without its indentation.
+ * @returns {boolean}
+ */
+function isDash(content) {
+    return content === '-' || /^-[ \t]/.test(content)
+}
+
+/**
+ * Indentation of the current line
+ *
+ * @private
+ * @param {Object} state
+ * @returns {number}
+ * @throws {InfobipValidationError} If tabs are used for indentation
+ */
+function indentOf(state) {
+    let line = state.lines[state.index]
+    let indent = /^ */.exec(line)[0].length
+    if (line[indent] === '\t') {
+        fail(state, 'Tabs are not allowed for indentation.')
+    }
+    return indent
+}
+
+/**
+ * Move past blank and comment lines
+ *
+ * @private
+ * @param {Object} state
+ */
+function skip(state) {
+    while (state.index < state.lines.length && /^\s*(#.*)?$/.test(state.lines[state.index])) {
+        state.index += 1
+    }
+}
+
+/**
+ * Throw an error pointing at the current line
+ *
+ * @private
+ * @param {Object} state
+ * @param {string} message
+ * @throws {InfobipValidationError}
+ */
+function fail(state, message) {
+    throw new InfobipValidationError(`Invalid YAML on line ${state.index + 1}. ${message}`)
+}
+
+module.exports = {
+    parse: parse
+}